@@ -13,6 +13,10 @@ let currentFilters = {
     principle: 'all',
     status: 'all',
     framework: 'all',
+    capabilities: [],
+    effort: [],
+    type: [],
+    showRetired: false,
     search: ''
 };
 let currentSort = {
@@ -20,576 +24,5821 @@ let currentSort = {
     direction: 'asc'
 };
 
+const IMPLEMENTATION_STATUSES = {
+    'not-started': 'Not started',
+    'in-progress': 'In progress',
+    'implemented': 'Implemented',
+    'not-applicable': 'Not applicable'
+};
+
+// Tracker state lived under its own key before workspaces existed
+const LEGACY_TRACKER_STORAGE_KEY = 'aiuc1-navigator:tracker';
+const WORKSPACE_STORAGE_KEY = 'aiuc1-navigator:workspaces';
+const DEFAULT_WORKSPACE_ID = 'default';
+const SYSTEM_CAPABILITIES = {
+    'Text-generation': 'Text',
+    'Voice-generation': 'Voice',
+    'Image-generation': 'Image',
+    'Code-generation': 'Code',
+    'Automation': 'Automation'
+};
+let workspaceState = { activeId: DEFAULT_WORKSPACE_ID, workspaces: [] };
+
+// Team sync turns on when the app is served by server/sync-server.js
+const SYNC_STORAGE_KEY = 'aiuc1-navigator:sync';
+const SYNC_POLL_INTERVAL = 15000;
+let syncState = {
+    enabled: false,
+    connected: false,
+    syncing: false,
+    user: '',
+    revision: null,
+    lastSynced: null,
+    knownWorkspaces: [],
+    queue: [],
+    notices: []
+};
+let syncTimer = null;
+
+const EVIDENCE_DB_NAME = 'aiuc1-navigator';
+const EVIDENCE_STORE = 'evidence';
+const MAX_EVIDENCE_FILE_SIZE = 5 * 1024 * 1024;
+const EVIDENCE_KINDS = {
+    link: 'Link',
+    reference: 'File reference',
+    file: 'Uploaded file'
+};
+let evidenceDB = null;
+let evidenceItems = [];
+
+let openRequirementId = null;
+let modalReturnFocus = null;
+// The row that takes focus when tabbing into the table (roving tabindex)
+let activeRowId = null;
+const SORTABLE_COLUMNS = ['relevance', 'id', 'title', 'effort', 'type', 'capabilities'];
+
+let searchIndex = null;
+let searchHighlightPattern = null;
+let relationIndex = null;
+
+let datasetVersions = [];
+
+// A user-supplied dataset merged over the bundled standard
+const DATASET_OVERLAY_STORAGE_KEY = 'aiuc1-navigator:dataset-overlay';
+let bundledData = null;
+let datasetSchema = null;
+let datasetOverlay = null;
+
+const CATALOG_STORAGE_KEY = 'aiuc1-navigator:catalogs';
+let controlCatalogs = {};
+
+// User-defined frameworks, plus references users map onto any framework by requirement ID
+const FRAMEWORK_STORAGE_KEY = 'aiuc1-navigator:frameworks';
+let customFrameworks = { frameworks: [], mappings: {} };
+
+// Interface language; requirement text comes from data/translations overlays
+const SETTINGS_STORAGE_KEY = 'aiuc1-navigator:settings';
+const LOCALES = { en: 'English', de: 'Deutsch', fr: 'Français' };
+let settings = { locale: null };
+let messageCatalogs = {};
+let translator = I18n.createTranslator(messageCatalogs);
+let datasetTranslation = null;
+
 // ============================================
 // Initialization
 // ============================================
 
 document.addEventListener('DOMContentLoaded', async () => {
+    if (isEmbedMode()) {
+        await initializeEmbed();
+        return;
+    }
+
+    registerServiceWorker();
+    initializeConnectionStatus();
+    loadSettings();
+    await loadLocale(getPreferredLocale());
+    applyStaticTranslations();
+    loadCustomFrameworks();
     await loadData();
+    loadWorkspaces();
+    loadControlCatalogs();
+    await loadEvidence();
+    initializeLocaleSwitcher();
     initializeFilters();
     initializeSearch();
     initializeModal();
+    initializePanels();
+    initializeWorkspaceSwitcher();
     initializeExport();
     initializeKeyboardShortcuts();
-    renderRequirements();
-    updateStats();
+    initializeCommandPalette();
+    initializeURLState();
+    initializeSync();
 });
 
 async function loadData() {
     try {
+        // Offline, the service worker answers this from its cache
         const response = await fetch('data/aiuc-1-standards.json');
-        standardsData = await response.json();
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        bundledData = await response.json();
+        datasetSchema = await loadDatasetSchema();
+        datasetOverlay = loadDatasetOverlay();
+        standardsData = buildDataset();
         filteredRequirements = [...standardsData.requirements];
+        renderDatasetVersion();
+        renderPrincipleNames();
+        reportMissingTranslations();
+        await loadDatasetVersions();
     } catch (error) {
         console.error('Error loading data:', error);
-        // Fallback: try to load from inline data if available
-        showError('Failed to load standards data. Please refresh the page.');
+        showError(t(navigator.onLine === false ? 'errors.offline' : 'errors.loadFailed'));
     }
 }
 
 // ============================================
-// Filtering
+// Dataset Validation
 // ============================================
 
-function initializeFilters() {
-    // Principle buttons
-    document.querySelectorAll('.principle-btn').forEach(btn => {
-        btn.addEventListener('click', () => {
-            document.querySelectorAll('.principle-btn').forEach(b => b.classList.remove('active'));
-            btn.classList.add('active');
-            currentFilters.principle = btn.dataset.principle;
-            applyFilters();
-        });
-    });
+async function loadDatasetSchema() {
+    try {
+        const response = await fetch('data/aiuc-1-standards.schema.json');
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return await response.json();
+    } catch (error) {
+        // Without the schema the ID, prefix and total checks still run
+        console.error('Error loading dataset schema:', error);
+        return null;
+    }
+}
 
-    // Status toggles
-    document.querySelectorAll('.toggle-btn[data-status]').forEach(btn => {
-        btn.addEventListener('click', () => {
-            document.querySelectorAll('.toggle-btn[data-status]').forEach(b => b.classList.remove('active'));
-            btn.classList.add('active');
-            currentFilters.status = btn.dataset.status;
-            applyFilters();
-        });
-    });
+/**
+ * Run the shared structural checks and drop requirements that fail them, so
+ * a bad record is reported instead of rendering as "undefined".
+ */
+function checkDataset(data, schema, { render = true } = {}) {
+    if (!data || !data.metadata || !Array.isArray(data.principles) || !Array.isArray(data.requirements)) {
+        throw new Error(t('dataset.missingSections'));
+    }
 
-    // Framework select
-    document.getElementById('framework-filter').addEventListener('change', (e) => {
-        currentFilters.framework = e.target.value;
-        applyFilters();
-    });
+    const report = DatasetValidator.validateDataset(data, schema);
+    if (render) renderDatasetIssues(report, data);
 
-    // Sortable columns
-    document.querySelectorAll('.sortable').forEach(th => {
-        th.addEventListener('click', () => {
-            const column = th.dataset.sort;
-            if (currentSort.column === column) {
-                currentSort.direction = currentSort.direction === 'asc' ? 'desc' : 'asc';
-            } else {
-                currentSort.column = column;
-                currentSort.direction = 'asc';
-            }
-            document.querySelectorAll('.sortable').forEach(t => t.classList.remove('sorted'));
-            th.classList.add('sorted');
-            applyFilters();
-        });
-    });
+    return {
+        ...data,
+        requirements: data.requirements.filter((_, i) => !report.invalidRequirements.has(i))
+    };
 }
 
-function initializeSearch() {
-    const searchInput = document.getElementById('search-input');
-    let debounceTimer;
+function renderDatasetIssues(report, data) {
+    const container = document.getElementById('dataset-issues');
+    report.issues.forEach(issue => console.warn(`Dataset ${issue.severity}: ${DatasetValidator.formatIssue(issue)}`));
 
-    searchInput.addEventListener('input', (e) => {
-        clearTimeout(debounceTimer);
-        debounceTimer = setTimeout(() => {
-            currentFilters.search = e.target.value.toLowerCase().trim();
-            applyFilters();
-        }, 200);
-    });
+    // Warnings alone are for maintainers; they stay in the console
+    if (report.errors.length === 0) {
+        container.hidden = true;
+        return;
+    }
+
+    const skipped = report.invalidRequirements.size;
+
+    container.innerHTML = `
+        <details>
+            <summary>
+                ${skipped > 0
+                    ? t('datasetIssues.hidden', { skipped, count: data.requirements.length })
+                    : t('datasetIssues.invalid')}
+                ${t('datasetIssues.errors', { count: report.errors.length })}, ${t('datasetIssues.warnings', { count: report.warnings.length })}
+            </summary>
+            <ul>
+                ${report.issues.map(issue => `
+                    <li class="${issue.severity}">${escapeHTML(DatasetValidator.formatIssue(issue))}</li>
+                `).join('')}
+            </ul>
+        </details>
+    `;
+    container.hidden = false;
 }
 
-function applyFilters() {
-    if (!standardsData) return;
+// ============================================
+// Custom Datasets
+// ============================================
 
-    filteredRequirements = standardsData.requirements.filter(req => {
-        // Principle filter
-        if (currentFilters.principle !== 'all' && req.principle !== currentFilters.principle) {
-            return false;
-        }
+// Everything else on a requirement is a custom field, shown as is
+const DATASET_FIELDS = [
+    'id', 'principle', 'principleName', 'title', 'description', 'status', 'frequency', 'type',
+    'effort', 'capabilities', 'retired', 'url', 'keywords', 'controlActivities', 'frameworkMappings', 'gettingStarted'
+];
+// Nested objects an overlay extends key by key instead of replacing
+const DATASET_MERGED_FIELDS = ['controlActivities', 'frameworkMappings', 'gettingStarted'];
+const DATASET_CSV_COLUMNS = {
+    'ID': 'id',
+    'Principle': 'principle',
+    'Principle Name': 'principleName',
+    'Title': 'title',
+    'Description': 'description',
+    'Status': 'status',
+    'Frequency': 'frequency',
+    'Type': 'type',
+    'Effort': 'effort',
+    'Capabilities': 'capabilities',
+    'URL': 'url'
+};
 
-        // Status filter
-        if (currentFilters.status !== 'all' && req.status !== currentFilters.status) {
-            return false;
-        }
+function loadDatasetOverlay() {
+    try {
+        const overlay = JSON.parse(localStorage.getItem(DATASET_OVERLAY_STORAGE_KEY));
+        return overlay && overlay.data ? overlay : null;
+    } catch (error) {
+        console.error('Error loading custom dataset:', error);
+        return null;
+    }
+}
 
-        // Framework filter
-        if (currentFilters.framework !== 'all') {
-            const hasFramework = req.frameworkMappings &&
-                Object.keys(req.frameworkMappings).some(fw =>
-                    fw.toLowerCase().includes(currentFilters.framework.toLowerCase())
-                );
-            if (!hasFramework) return false;
+function saveDatasetOverlay() {
+    try {
+        if (datasetOverlay) {
+            localStorage.setItem(DATASET_OVERLAY_STORAGE_KEY, JSON.stringify(datasetOverlay));
+        } else {
+            localStorage.removeItem(DATASET_OVERLAY_STORAGE_KEY);
         }
+    } catch (error) {
+        console.error('Error saving custom dataset:', error);
+    }
+}
 
-        // Search filter
-        if (currentFilters.search) {
-            const searchTerms = currentFilters.search.split(' ').filter(t => t.length > 0);
-            const searchableText = [
-                req.id,
-                req.title,
-                req.description,
-                req.principleName,
-                ...(req.keywords || []),
-                ...Object.keys(req.frameworkMappings || {}),
-                ...Object.values(req.frameworkMappings || {}).flat()
-            ].join(' ').toLowerCase();
+function buildDataset({ translate = true } = {}) {
+    const base = translate ? getTranslatedBundledData() : bundledData;
+    // The untranslated copy only feeds the changelog; its issues are already shown
+    const render = translate;
 
-            return searchTerms.every(term => searchableText.includes(term));
+    if (datasetOverlay) {
+        try {
+            return applyCustomMappings(checkDataset(mergeDataset(base, datasetOverlay.data), datasetSchema, { render }));
+        } catch (error) {
+            // A stored overlay that no longer applies should not take the navigator down
+            console.error('Error applying custom dataset:', error);
         }
+    }
+    return applyCustomMappings(checkDataset(base, datasetSchema, { render }));
+}
 
-        return true;
-    });
+async function refreshDataset(data = buildDataset()) {
+    standardsData = data;
+    renderDatasetVersion();
+    renderPrincipleNames();
+    renderFrameworkFilter();
+    await loadDatasetVersions();
+    applyFilters();
+}
+
+function isPlainObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
 
-    // Sort
-    filteredRequirements.sort((a, b) => {
-        let aVal, bVal;
+/**
+ * Overlay requirements are matched by ID: their fields replace the bundled
+ * ones, nested mappings merge key by key and unknown IDs are appended.
+ * The result still goes through checkDataset like the bundled file.
+ */
+function mergeDataset(base, overlay) {
+    const principles = new Map(base.principles.map(p => [p.id, p]));
+    (overlay.principles || []).forEach(p => {
+        if (isPlainObject(p) && p.id) principles.set(p.id, { ...principles.get(p.id), ...p });
+    });
 
-        switch (currentSort.column) {
-            case 'id':
-                aVal = a.id;
-                bVal = b.id;
-                break;
-            case 'title':
-                aVal = a.title.toLowerCase();
-                bVal = b.title.toLowerCase();
-                break;
-            default:
-                aVal = a.id;
-                bVal = b.id;
+    const requirements = base.requirements.map(req => ({ ...req }));
+    const byId = new Map(requirements.map(req => [req.id, req]));
+    (overlay.requirements || []).forEach(item => {
+        if (!isPlainObject(item)) {
+            requirements.push(item);
+            return;
         }
 
-        if (currentSort.direction === 'asc') {
-            return aVal < bVal ? -1 : aVal > bVal ? 1 : 0;
-        } else {
-            return aVal > bVal ? -1 : aVal < bVal ? 1 : 0;
+        const existing = byId.get(item.id);
+        if (!existing) {
+            const principle = principles.get(item.principle);
+            const req = { ...item };
+            if (!req.principleName && principle) req.principleName = principle.name;
+            requirements.push(req);
+            byId.set(req.id, req);
+            return;
         }
+
+        Object.entries(item).forEach(([key, value]) => {
+            existing[key] = DATASET_MERGED_FIELDS.includes(key) && isPlainObject(existing[key]) && isPlainObject(value)
+                ? { ...existing[key], ...value }
+                : value;
+        });
     });
 
-    renderRequirements();
-    updateStats();
+    return {
+        ...base,
+        metadata: { ...base.metadata, totalRequirements: requirements.length },
+        principles: [...principles.values()],
+        requirements
+    };
 }
 
-// ============================================
-// Rendering
-// ============================================
-
-function renderRequirements() {
-    const tbody = document.getElementById('requirements-body');
+/**
+ * Accepts a full dataset, { "requirements": [...] }, a bare array of
+ * requirements, or a CSV with an ID column.
+ */
+function parseDatasetOverlay(text) {
+    const trimmed = text.trim();
+    if (!trimmed) throw new Error(t('dataset.emptyFile'));
+    if (!trimmed.startsWith('{') && !trimmed.startsWith('[')) return parseDatasetCSV(trimmed);
 
-    if (filteredRequirements.length === 0) {
-        tbody.innerHTML = `
-            <tr>
-                <td colspan="6">
-                    <div class="empty-state">
-                        <svg class="empty-state-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5">
-                            <circle cx="11" cy="11" r="8"/>
-                            <path d="M21 21l-4.35-4.35"/>
-                        </svg>
-                        <h3 class="empty-state-title">No requirements found</h3>
-                        <p class="empty-state-text">Try adjusting your filters or search terms</p>
-                    </div>
-                </td>
-            </tr>
-        `;
-        return;
+    const json = JSON.parse(trimmed);
+    const overlay = Array.isArray(json) ? { requirements: json } : json;
+    if (!isPlainObject(overlay) || (!Array.isArray(overlay.requirements) && !Array.isArray(overlay.principles))) {
+        throw new Error(t('dataset.noRequirements'));
     }
+    return { principles: overlay.principles || [], requirements: overlay.requirements || [] };
+}
 
-    tbody.innerHTML = filteredRequirements.map(req => `
-        <tr data-id="${req.id}">
-            <td>
-                <span class="req-id" data-principle="${req.principle}">${req.id}</span>
-            </td>
-            <td>
-                <span class="principle-badge" data-principle="${req.principle}">
-                    <span class="dot"></span>
-                    ${req.principleName}
-                </span>
-            </td>
-            <td>
-                <div class="req-title">${req.title}</div>
-                <div class="req-description">${req.description}</div>
-            </td>
-            <td>
-                <span class="status-badge ${req.status.toLowerCase()}">${req.status}</span>
-                <span class="effort-icon" title="${getEffortLabel(req.effort)}">${getEffortEmoji(req.effort)}</span>
-            </td>
-            <td>
-                <span class="frequency-text">${req.frequency}</span>
-            </td>
-            <td>
-                <div class="framework-tags">
-                    ${getFrameworkTags(req.frameworkMappings)}
-                </div>
-            </td>
-        </tr>
-    `).join('');
+/**
+ * Columns follow the CSV export and the bundled CSV. Empty cells keep the
+ * bundled value, framework columns become mappings and any other column
+ * becomes a custom field named after its header.
+ */
+function parseDatasetCSV(text) {
+    const [header, ...rows] = DatasetValidator.parseCSV(text).map(row => row.map(cell => cell.trim()));
+    if (!header || !header.includes('ID')) throw new Error(t('dataset.noIdColumn'));
 
-    // Add click handlers for rows
-    tbody.querySelectorAll('tr[data-id]').forEach(row => {
-        row.addEventListener('click', () => {
-            const req = standardsData.requirements.find(r => r.id === row.dataset.id);
-            if (req) openModal(req);
+    const frameworks = new Set([...DatasetValidator.FRAMEWORK_COLUMNS, ...getFrameworkNames()]);
+    const split = (value, separator) => value.split(separator).map(item => item.trim()).filter(Boolean);
+
+    const requirements = rows.map(row => {
+        const req = {};
+        header.forEach((column, i) => {
+            const value = row[i];
+            if (!value) return;
+
+            if (column === 'URL') {
+                // The export writes full links; the dataset stores site paths
+                req.url = value.replace(/^https:\/\/www\.aiuc-1\.com(?=\/)/, '');
+            } else if (column === 'Effort') {
+                req.effort = value.toLowerCase();
+            } else if (DATASET_CSV_COLUMNS[column]) {
+                req[DATASET_CSV_COLUMNS[column]] = value;
+            } else if (column === 'Keywords') {
+                req.keywords = split(value, value.includes(';') ? ';' : ',');
+            } else if (column === 'Should Include' || column === 'May Include') {
+                const key = column === 'Should Include' ? 'shouldInclude' : 'mayInclude';
+                req.controlActivities = { ...req.controlActivities, [key]: split(value, ';') };
+            } else if (frameworks.has(column)) {
+                req.frameworkMappings = { ...req.frameworkMappings, [column]: splitReferences(value) };
+            } else {
+                req[column] = value;
+            }
         });
+        return req;
     });
+
+    return { principles: [], requirements };
 }
 
-function getFrameworkTags(mappings) {
-    if (!mappings) return '';
+// "A.7.2, A.7.3" is two references, "Articles 9, 10" is one
+function splitReferences(value) {
+    return value.split(',').map(ref => ref.trim()).filter(Boolean).reduce((refs, ref) => {
+        if (/^\d+$/.test(ref) && refs.length > 0) {
+            refs[refs.length - 1] += `, ${ref}`;
+        } else {
+            refs.push(ref);
+        }
+        return refs;
+    }, []);
+}
 
-    const frameworks = Object.keys(mappings);
-    const displayFrameworks = frameworks.slice(0, 3);
-    const remaining = frameworks.length - 3;
+async function fetchDatasetOverlay(value) {
+    const url = getSafeURL(value);
+    if (!url) throw new Error(t('dataset.unsafeURL'));
 
-    let html = displayFrameworks.map(fw => {
-        const abbrev = getFrameworkAbbrev(fw);
-        return `<span class="framework-tag">${abbrev}</span>`;
-    }).join('');
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    return parseDatasetOverlay(await response.text());
+}
 
-    if (remaining > 0) {
-        html += `<span class="framework-tag">+${remaining}</span>`;
-    }
+/**
+ * Merge and check before anything is saved, so a dataset that cannot be
+ * applied leaves the current one in place. Pass null to go back to the
+ * bundled standard.
+ */
+async function applyDatasetOverlay(overlay) {
+    const base = getTranslatedBundledData();
+    const data = applyCustomMappings(overlay
+        ? checkDataset(mergeDataset(base, overlay.data), datasetSchema)
+        : checkDataset(base, datasetSchema));
 
-    return html;
+    datasetOverlay = overlay;
+    saveDatasetOverlay();
+    await refreshDataset(data);
 }
 
-function getFrameworkAbbrev(framework) {
-    const abbrevs = {
-        'EU AI Act': 'EU',
-        'ISO 42001': 'ISO',
-        'NIST AI RMF': 'NIST',
-        'OWASP Top 10': 'OWASP',
-        'MITRE ATLAS': 'MITRE',
-        'CSA AICM': 'CSA'
-    };
-    return abbrevs[framework] || framework;
+function getCustomFields(req) {
+    return Object.entries(req).filter(([key, value]) => {
+        if (DATASET_FIELDS.includes(key)) return false;
+        if (Array.isArray(value)) return value.length > 0 && value.every(item => typeof item === 'string');
+        return (typeof value === 'string' && value.trim()) || typeof value === 'number' || typeof value === 'boolean';
+    });
 }
 
-function getEffortDisplay(effort) {
-    const effortMap = {
-        'low': '🪶 Light',
-        'medium': '🧱 Moderate',
-        'high': '⚓ Significant'
-    };
-    return effortMap[effort] || effort;
+// "internalNotes" reads as "Internal notes"; CSV headers are kept as written
+function formatFieldLabel(key) {
+    if (/\s/.test(key)) return key;
+    const words = key.replace(/([a-z0-9])([A-Z])/g, '$1 $2').replace(/[_-]+/g, ' ').toLowerCase();
+    return words.charAt(0).toUpperCase() + words.slice(1);
 }
 
-function getEffortEmoji(effort) {
-    return { low: '🪶', medium: '🧱', high: '⚓' }[effort] || '';
-}
+function renderCustomFields(req) {
+    const fields = getCustomFields(req);
+    if (fields.length === 0) return '';
 
-function getEffortLabel(effort) {
-    return { low: 'Light effort', medium: 'Moderate effort', high: 'Significant effort' }[effort] || '';
+    return `
+        <div class="modal-section">
+            <h3 class="modal-section-title">${t('modal.customFields')}</h3>
+            <dl class="custom-fields">
+                ${fields.map(([key, value]) => `
+                    <dt>${escapeHTML(formatFieldLabel(key))}</dt>
+                    <dd>${Array.isArray(value)
+                        ? `<ul>${value.map(item => `<li>${highlight(item)}</li>`).join('')}</ul>`
+                        : highlight(value)}</dd>
+                `).join('')}
+            </dl>
+        </div>
+    `;
 }
 
-function updateStats() {
-    if (!standardsData) return;
-
-    const mandatoryCount = standardsData.requirements.filter(r => r.status === 'Mandatory').length;
-    const optionalCount = standardsData.requirements.filter(r => r.status === 'Optional').length;
+function renderDatasetPanel(content) {
+    const bundledIds = new Set(bundledData.requirements.map(req => req.id));
+    const overlayRequirements = datasetOverlay ? datasetOverlay.data.requirements || [] : [];
+    const updated = overlayRequirements.filter(req => req && bundledIds.has(req.id)).length;
+    const { standard, version } = bundledData.metadata;
 
-    animateNumber('mandatory-count', mandatoryCount);
-    animateNumber('optional-count', optionalCount);
-    animateNumber('filtered-count', filteredRequirements.length);
+    content.innerHTML = `
+        ${renderPanelHeader(t('dataset.label'), t('panel.dataset'), t('dataset.description', { standard: escapeHTML(standard), version: escapeHTML(version) }))}
 
-    // Update principle counts
-    ['A', 'B', 'C', 'D', 'E', 'F'].forEach(p => {
-        const count = standardsData.requirements.filter(r => r.principle === p).length;
-        const el = document.getElementById(`count-${p}`);
-        if (el) el.textContent = count;
-    });
+        <div class="modal-section">
+            <h3 class="modal-section-title">${t('dataset.inUse')}</h3>
+            ${datasetOverlay ? `
+                <p class="panel-note">
+                    ${t('dataset.extended', { source: escapeHTML(datasetOverlay.source), date: escapeHTML(formatDate(new Date(datasetOverlay.loadedAt))) })}
+                    ${t('dataset.changes', { count: updated, added: overlayRequirements.length - updated })}
+                </p>
+                <div class="panel-actions">
+                    <button type="button" class="panel-btn" id="dataset-reset">${t('dataset.reset')}</button>
+                </div>
+            ` : `<p class="panel-note">${t('dataset.bundledOnly')}</p>`}
+        </div>
 
-    const allEl = document.getElementById('count-all');
-    if (allEl) allEl.textContent = standardsData.requirements.length;
-}
+        <div class="modal-section">
+            <h3 class="modal-section-title">${t('dataset.load')}</h3>
+            <form class="panel-actions" id="dataset-url-form">
+                <label class="export-btn coverage-upload">
+                    <input type="file" accept=".json,.csv,application/json,text/csv" id="dataset-file" hidden>
+                    ${t('dataset.loadFile')}
+                </label>
+                <input type="url" class="tracker-input" name="url" placeholder="https://example.com/extended-standard.json" required>
+                <button type="submit" class="export-btn">${t('dataset.loadURL')}</button>
+            </form>
+            <span class="evidence-form-error" id="dataset-error"></span>
+        </div>
+    `;
 
-function animateNumber(elementId, target) {
-    const el = document.getElementById(elementId);
-    if (!el) return;
+    const load = async (source, read) => {
+        const error = content.querySelector('#dataset-error');
+        error.textContent = '';
+        try {
+            const data = await read();
+            await applyDatasetOverlay({ source, loadedAt: new Date().toISOString(), data });
+            renderDatasetPanel(content);
+        } catch (loadError) {
+            error.textContent = t('dataset.loadFailed', { source, message: loadError.message });
+        }
+    };
 
-    const current = parseInt(el.textContent) || 0;
-    const duration = 300;
-    const start = performance.now();
+    content.querySelector('#dataset-file').addEventListener('change', (e) => {
+        const file = e.target.files[0];
+        if (file) load(file.name, async () => parseDatasetOverlay(await file.text()));
+    });
 
-    function update(now) {
-        const elapsed = now - start;
-        const progress = Math.min(elapsed / duration, 1);
-        const eased = 1 - Math.pow(1 - progress, 3);
-        const value = Math.round(current + (target - current) * eased);
-        el.textContent = value;
+    content.querySelector('#dataset-url-form').addEventListener('submit', (e) => {
+        e.preventDefault();
+        const url = e.target.elements.url.value.trim();
+        load(url, () => fetchDatasetOverlay(url));
+    });
 
-        if (progress < 1) {
-            requestAnimationFrame(update);
-        }
+    const resetBtn = content.querySelector('#dataset-reset');
+    if (resetBtn) {
+        resetBtn.addEventListener('click', async () => {
+            await applyDatasetOverlay(null);
+            renderDatasetPanel(content);
+        });
     }
-
-    requestAnimationFrame(update);
 }
 
 // ============================================
-// Modal
+// Offline Support
 // ============================================
 
-function initializeModal() {
-    const overlay = document.getElementById('modal-overlay');
-    const closeBtn = document.getElementById('modal-close');
+function registerServiceWorker() {
+    // Service workers need http(s); opening index.html from disk still works online
+    if (!('serviceWorker' in navigator) || !window.location.protocol.startsWith('http')) return;
 
-    closeBtn.addEventListener('click', closeModal);
-    overlay.addEventListener('click', (e) => {
-        if (e.target === overlay) closeModal();
+    navigator.serviceWorker.register('sw.js').catch(error => {
+        console.error('Service worker registration failed:', error);
     });
 }
 
-function openModal(req) {
-    const overlay = document.getElementById('modal-overlay');
-    const content = document.getElementById('modal-content');
+function initializeConnectionStatus() {
+    const update = () => {
+        const el = document.getElementById('offline-indicator');
+        if (el) el.hidden = navigator.onLine !== false;
+    };
+    window.addEventListener('online', update);
+    window.addEventListener('offline', update);
+    update();
+}
 
-    content.innerHTML = `
-        <div class="modal-header">
-            <div class="modal-id" data-principle="${req.principle}">${req.id} · ${req.principleName}</div>
-            <h2 class="modal-title">${req.title}</h2>
-            <div class="modal-meta">
-                <span class="modal-badge status-badge ${req.status.toLowerCase()}">
-                    ${req.status}
-                </span>
-                <span class="modal-badge">
-                    <svg viewBox="0 0 16 16" fill="none" stroke="currentColor">
-                        <circle cx="8" cy="8" r="6"/>
-                        <path d="M8 4v4l2.5 2.5"/>
-                    </svg>
-                    ${req.frequency}
-                </span>
-                <span class="modal-badge">
-                    <svg viewBox="0 0 16 16" fill="none" stroke="currentColor">
-                        <path d="M8 2v12M2 8h12"/>
-                    </svg>
-                    ${req.type}
-                </span>
-                ${req.effort ? `<span class="modal-badge effort-badge effort-${req.effort}">${getEffortDisplay(req.effort)}</span>` : ''}
-            </div>
-            <p class="modal-description">${req.description}</p>
-        </div>
+function renderDatasetVersion() {
+    const el = document.getElementById('dataset-version');
+    if (!el || !standardsData) return;
 
-        ${req.controlActivities ? renderControlActivities(req.controlActivities) : ''}
+    const { standard, version, lastUpdated } = standardsData.metadata;
+    el.textContent = `${standard} ${version}${datasetOverlay ? ` + ${t('dataset.custom')}` : ''}`;
+    el.title = datasetOverlay
+        ? t('dataset.versionExtended', { date: lastUpdated, source: datasetOverlay.source })
+        : t('dataset.version', { date: lastUpdated });
+}
 
-        ${req.gettingStarted ? renderGettingStarted(req.gettingStarted) : ''}
+// ============================================
+// Localisation
+// ============================================
 
-        ${req.frameworkMappings ? renderFrameworkMappings(req.frameworkMappings) : ''}
+function t(key, params) {
+    return translator.t(key, params);
+}
 
-        ${req.keywords && req.keywords.length > 0 ? `
-            <div class="modal-section">
-                <h3 class="modal-section-title">Keywords</h3>
-                <div class="keywords-list">
-                    ${req.keywords.map(kw => `<span class="keyword-tag">${kw}</span>`).join('')}
-                </div>
-            </div>
+function loadSettings() {
+    try {
+        settings = { ...settings, ...JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY)) };
+    } catch (error) {
+        console.error('Error loading settings:', error);
+    }
+}
+
+function saveSettings() {
+    try {
+        localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+    } catch (error) {
+        console.error('Error saving settings:', error);
+    }
+}
+
+// A language picked in the switcher wins over the browser's preferences
+function getPreferredLocale() {
+    if (LOCALES[settings.locale]) return settings.locale;
+    return I18n.negotiateLocale(navigator.languages || [navigator.language], Object.keys(LOCALES));
+}
+
+async function loadLocale(locale) {
+    await Promise.all([...new Set([I18n.DEFAULT_LOCALE, locale])].map(loadMessageCatalog));
+    translator = I18n.createTranslator(messageCatalogs, locale);
+    datasetTranslation = locale === I18n.DEFAULT_LOCALE
+        ? null
+        : { overlay: await loadDatasetTranslation(locale), report: null };
+    document.documentElement.lang = locale;
+}
+
+async function loadMessageCatalog(locale) {
+    if (messageCatalogs[locale]) return;
+
+    try {
+        const response = await fetch(`locales/${locale}.json`);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        messageCatalogs[locale] = (await response.json()).messages || {};
+    } catch (error) {
+        // Missing strings fall back to English, or to their keys without it
+        console.error(`Error loading ${locale} messages:`, error);
+    }
+}
+
+// Translated requirement text is optional; without it everything stays English
+async function loadDatasetTranslation(locale) {
+    try {
+        const response = await fetch(`data/translations/aiuc-1-standards.${locale}.json`);
+        if (!response.ok) return null;
+        return await response.json();
+    } catch (error) {
+        console.error(`Error loading ${locale} requirement translations:`, error);
+        return null;
+    }
+}
+
+/**
+ * The bundled standard in the current language. Translations apply before a
+ * custom dataset is merged, so text people loaded themselves is never replaced.
+ */
+function getTranslatedBundledData() {
+    if (!datasetTranslation) return bundledData;
+
+    const { data, report } = I18n.translateDataset(bundledData, datasetTranslation.overlay, translator.locale);
+    datasetTranslation.report = report;
+    return data;
+}
+
+function reportMissingTranslations() {
+    if (!datasetTranslation || !datasetTranslation.report) return;
+
+    const { locale } = translator;
+    const { report } = datasetTranslation;
+    const coverage = I18n.summarizeCoverage(report);
+    const messages = getMessageCoverage();
+
+    if (coverage.translated < coverage.total || messages.missing.length > 0) {
+        console.warn(`Translation ${locale}: ${coverage.translated} of ${coverage.total} requirement fields and ` +
+            `${messages.total - messages.missing.length} of ${messages.total} interface strings translated; see Views → Translations`);
+    }
+    report.invalid.forEach(issue => console.warn(`Translation ${locale}: ${issue.id} ${issue.field} ${issue.message}`));
+    if (report.outdated) {
+        console.warn(`Translation ${locale}: written for ${report.version}, dataset is ${bundledData.metadata.version}`);
+    }
+}
+
+function getMessageCoverage() {
+    const base = messageCatalogs[I18n.DEFAULT_LOCALE] || {};
+    return {
+        total: Object.keys(base).length,
+        ...I18n.compareCatalogs(base, messageCatalogs[translator.locale] || {})
+    };
+}
+
+// Requirement markup shared with the embeddable elements, in the current language
+const requirementCard = RequirementCard.createCardRenderer({ t, has: key => translator.has(key), highlight });
+const { formatValue, formatFrequency, getEffortDisplay, getEffortLabel } = requirementCard;
+
+function formatEvidenceKind(kind) {
+    return EVIDENCE_KINDS[kind] ? t(`evidence.kind.${kind}`) : kind;
+}
+
+// Plain-text labels of the effort, type and capability filter buttons
+function getFilterValueLabel(key, value) {
+    if (key === 'effort') return EFFORT_ICONS[value] ? `${EFFORT_ICONS[value]} ${t(`effort.${value}`)}` : value;
+    if (key === 'capabilities') return formatValue('capabilityShort', value);
+    return formatValue(key, value);
+}
+
+/**
+ * index.html carries English text plus data-i18n="key" for text content,
+ * data-i18n-html for messages with links, and data-i18n-placeholder,
+ * data-i18n-aria-label or data-i18n-title for attributes.
+ */
+function applyStaticTranslations(root = document) {
+    root.querySelectorAll('[data-i18n]').forEach(el => {
+        el.textContent = t(el.dataset.i18n);
+    });
+    root.querySelectorAll('[data-i18n-html]').forEach(el => {
+        el.innerHTML = t(el.dataset.i18nHtml);
+    });
+    ['placeholder', 'aria-label', 'title'].forEach(attribute => {
+        root.querySelectorAll(`[data-i18n-${attribute}]`).forEach(el => {
+            el.setAttribute(attribute, t(el.getAttribute(`data-i18n-${attribute}`)));
+        });
+    });
+}
+
+function renderPrincipleNames() {
+    standardsData.principles.forEach(principle => {
+        const el = document.querySelector(`.principle-btn[data-principle="${principle.id}"] .principle-name`);
+        if (el) el.textContent = principle.name;
+    });
+}
+
+function initializeLocaleSwitcher() {
+    const select = document.getElementById('locale-select');
+    select.innerHTML = Object.entries(LOCALES).map(([locale, name]) => `
+        <option value="${locale}" lang="${locale}" ${locale === translator.locale ? 'selected' : ''}>${escapeHTML(name)}</option>
+    `).join('');
+
+    select.addEventListener('change', () => setLocale(select.value));
+}
+
+async function setLocale(locale) {
+    if (!LOCALES[locale]) return;
+
+    settings.locale = locale;
+    saveSettings();
+
+    await loadLocale(locale);
+    applyStaticTranslations();
+    renderSyncStatus();
+    await refreshDataset();
+    reportMissingTranslations();
+    announce(t('locale.changed', { language: LOCALES[locale] }));
+}
+
+const TRANSLATION_FIELD_LABELS = {
+    'principle.name': 'translations.field.principleName',
+    'principle.description': 'translations.field.principleDescription',
+    'title': 'translations.field.title',
+    'description': 'translations.field.description',
+    'controlActivities.shouldInclude': 'modal.shouldInclude',
+    'controlActivities.mayInclude': 'modal.mayInclude',
+    'gettingStarted.overview': 'translations.field.overview',
+    'gettingStarted.steps': 'translations.field.steps',
+    'gettingStarted.tip': 'translations.field.tip',
+    'gettingStarted.template.description': 'translations.field.template'
+};
+
+// "gettingStarted.steps[2]" reads as "Getting started steps #3"
+function formatTranslationField(field) {
+    const match = /^(.*?)(?:\[(\d+)\])?$/.exec(field);
+    const label = TRANSLATION_FIELD_LABELS[match[1]] ? t(TRANSLATION_FIELD_LABELS[match[1]]) : match[1];
+    return match[2] === undefined ? label : `${label} #${Number(match[2]) + 1}`;
+}
+
+function renderTranslationsPanel(content) {
+    const { locale } = translator;
+    const language = LOCALES[locale];
+
+    if (!datasetTranslation) {
+        content.innerHTML = `
+            ${renderPanelHeader(t('translations.label'), t('translations.title'), t('translations.description'))}
+            <div class="empty-state">
+                <h3 class="empty-state-title">${t('translations.sourceLanguage', { language })}</h3>
+                <p class="empty-state-text">${t('translations.chooseLanguage')}</p>
+            </div>
+        `;
+        return;
+    }
+
+    const { report } = datasetTranslation;
+    const coverage = I18n.summarizeCoverage(report);
+    const messages = getMessageCoverage();
+    const byRequirement = new Map();
+    report.missing.forEach(entry => {
+        const key = `${entry.scope}:${entry.id}`;
+        if (!byRequirement.has(key)) byRequirement.set(key, { ...entry, fields: [] });
+        byRequirement.get(key).fields.push(entry.field);
+    });
+    const percent = (done, total) => (total > 0 ? Math.round((done / total) * 100) : 100);
+
+    content.innerHTML = `
+        ${renderPanelHeader(t('translations.label'), t('translations.title'), t('translations.description'))}
+
+        <div class="modal-section">
+            <div class="coverage-stats">
+                <div class="coverage-stat">
+                    <span class="coverage-stat-number">${percent(messages.total - messages.missing.length, messages.total)}%</span>
+                    <span class="stat-label">${t('translations.interfaceCoverage', { done: messages.total - messages.missing.length, total: messages.total })}</span>
+                </div>
+                <div class="coverage-stat">
+                    <span class="coverage-stat-number">${percent(coverage.translated, coverage.total)}%</span>
+                    <span class="stat-label">${t('translations.contentCoverage', { done: coverage.translated, total: coverage.total })}</span>
+                </div>
+            </div>
+            ${!datasetTranslation.overlay ? `<p class="panel-note">${t('translations.noOverlay', { language, file: `data/translations/aiuc-1-standards.${locale}.json` })}</p>` : ''}
+            ${report.outdated ? `<p class="panel-note">${t('translations.outdated', { version: escapeHTML(report.version), current: escapeHTML(bundledData.metadata.version) })}</p>` : ''}
+            <div class="panel-actions">
+                <button type="button" class="export-btn" id="translation-template">${t('translations.downloadContent')}</button>
+                <button type="button" class="export-btn" id="translation-messages">${t('translations.downloadMessages')}</button>
+            </div>
+        </div>
+
+        <div class="modal-section">
+            <h3 class="modal-section-title">${t('translations.byField')}</h3>
+            <div class="coverage-bars">
+                ${Object.entries(report.fields).map(([field, counts]) => `
+                    <div class="coverage-bar-row translation-bar-row">
+                        <span class="translation-field">${escapeHTML(formatTranslationField(field))}</span>
+                        <span class="coverage-bar"><span class="coverage-bar-fill" style="width: ${percent(counts.translated, counts.total)}%"></span></span>
+                        <span class="coverage-bar-reqs">${counts.translated} / ${counts.total}</span>
+                    </div>
+                `).join('')}
+            </div>
+        </div>
+
+        ${report.invalid.length > 0 ? `
+            <div class="modal-section">
+                <h3 class="modal-section-title">${t('translations.invalid', { count: report.invalid.length })}</h3>
+                <ul class="translation-issues">
+                    ${report.invalid.map(issue => `
+                        <li><strong>${escapeHTML(issue.id)}</strong> ${escapeHTML(formatTranslationField(issue.field))}: ${escapeHTML(issue.message)}</li>
+                    `).join('')}
+                </ul>
+            </div>
+        ` : ''}
+
+        ${report.unknown.length > 0 ? `
+            <div class="modal-section">
+                <h3 class="modal-section-title">${t('translations.unknown', { count: report.unknown.length })}</h3>
+                <div class="keywords-list">${report.unknown.map(id => `<span class="keyword-tag">${escapeHTML(id)}</span>`).join('')}</div>
+            </div>
         ` : ''}
 
-        <a href="https://www.aiuc-1.com${req.url}" target="_blank" class="modal-link">
-            View on AIUC-1.com
-            <svg width="16" height="16" viewBox="0 0 16 16" fill="none">
-                <path d="M5 3H13V11M13 3L3 13" stroke="currentColor" stroke-width="1.5"/>
-            </svg>
-        </a>
-    `;
+        <div class="modal-section">
+            <h3 class="modal-section-title">${t('translations.missingContent', { count: byRequirement.size })}</h3>
+            ${byRequirement.size === 0 ? `<p class="evidence-empty">${t('translations.complete')}</p>` : `
+                <table class="panel-table">
+                    <tbody>
+                        ${[...byRequirement.values()].map(entry => `
+                            <tr>
+                                <td>${entry.scope === 'principle'
+                                    ? `<span class="req-id" data-principle="${escapeHTML(entry.id)}">${escapeHTML(entry.id)}</span>`
+                                    : `<button class="req-id crosswalk-req" data-principle="${escapeHTML(entry.id.charAt(0))}" data-open-requirement="${escapeHTML(entry.id)}">${escapeHTML(entry.id)}</button>`}</td>
+                                <td>${escapeHTML(entry.fields.map(formatTranslationField).join(', '))}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            `}
+        </div>
+
+        <div class="modal-section">
+            <details class="translation-messages">
+                <summary>${t('translations.missingMessages', { count: messages.missing.length })}</summary>
+                <dl class="custom-fields">
+                    ${messages.missing.map(key => `
+                        <dt><code>${escapeHTML(key)}</code></dt>
+                        <dd>${escapeHTML(JSON.stringify(messageCatalogs[I18n.DEFAULT_LOCALE][key]))}</dd>
+                    `).join('')}
+                </dl>
+            </details>
+        </div>
+    `;
+
+    content.querySelector('#translation-template').addEventListener('click', () => {
+        const template = I18n.buildOverlayTemplate(getTranslatedBundledData(), report);
+        const blob = new Blob([JSON.stringify(template, null, 2)], { type: 'application/json' });
+        downloadBlob(blob, `aiuc-1-standards.${locale}.todo.json`);
+    });
+
+    content.querySelector('#translation-messages').addEventListener('click', () => {
+        const base = messageCatalogs[I18n.DEFAULT_LOCALE];
+        const missing = Object.fromEntries(messages.missing.map(key => [key, base[key]]));
+        const blob = new Blob([JSON.stringify({ locale, messages: missing }, null, 2)], { type: 'application/json' });
+        downloadBlob(blob, `${locale}.todo.json`);
+    });
+
+    bindRequirementLinks(content);
+}
+
+// ============================================
+// Filtering
+// ============================================
+
+function initializeFilters() {
+    renderFrameworkFilter();
+
+    // Principle buttons
+    document.querySelectorAll('.principle-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+            currentFilters.principle = btn.dataset.principle;
+            syncFilterButtons();
+            applyFilters();
+            syncURLState();
+        });
+    });
+
+    // Status toggles
+    document.querySelectorAll('.toggle-btn[data-status]').forEach(btn => {
+        btn.addEventListener('click', () => {
+            currentFilters.status = btn.dataset.status;
+            syncFilterButtons();
+            applyFilters();
+            syncURLState();
+        });
+    });
+
+    // Multi-select toggles (capabilities, effort, type): none selected means all
+    document.querySelectorAll('[data-multi-filter]').forEach(group => {
+        const key = group.dataset.multiFilter;
+        group.querySelectorAll('.toggle-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                toggleMultiFilter(key, btn.dataset.value);
+                syncFilterButtons();
+                applyFilters();
+                syncURLState();
+            });
+        });
+    });
+
+    // Retired toggle
+    document.getElementById('retired-toggle').addEventListener('click', () => {
+        currentFilters.showRetired = !currentFilters.showRetired;
+        syncFilterControls();
+        applyFilters();
+        syncURLState();
+    });
+
+    // Framework select
+    document.getElementById('framework-filter').addEventListener('change', (e) => {
+        currentFilters.framework = e.target.value;
+        applyFilters();
+        syncURLState();
+    });
+
+    // Sortable columns
+    document.querySelectorAll('.sortable').forEach(th => {
+        th.addEventListener('click', () => {
+            const column = th.dataset.sort;
+            if (currentSort.column === column) {
+                currentSort.direction = currentSort.direction === 'asc' ? 'desc' : 'asc';
+            } else {
+                currentSort.column = column;
+                currentSort.direction = 'asc';
+            }
+            syncSortHeaders();
+            applyFilters();
+            syncURLState();
+        });
+    });
+}
+
+// Keeps the selection in the order the buttons appear, so URLs stay stable
+function toggleMultiFilter(key, value) {
+    const group = document.querySelector(`[data-multi-filter="${key}"]`);
+    const selected = currentFilters[key];
+    const order = group ? [...group.querySelectorAll('.toggle-btn')].map(b => b.dataset.value) : [...selected, value];
+    currentFilters[key] = [...new Set(order)].filter(v => v === value ? !selected.includes(v) : selected.includes(v));
+}
+
+function initializeSearch() {
+    const searchInput = document.getElementById('search-input');
+    let debounceTimer;
+
+    searchInput.addEventListener('input', (e) => {
+        clearTimeout(debounceTimer);
+        debounceTimer = setTimeout(() => {
+            const previousSearch = currentFilters.search;
+            currentFilters.search = e.target.value.toLowerCase().trim();
+            // Starting a search switches to relevance ranking
+            if (currentFilters.search && !previousSearch) {
+                currentSort = { column: 'relevance', direction: 'asc' };
+                syncFilterControls();
+            }
+            applyFilters();
+            // Typing should not flood the history; keep one entry per search
+            syncURLState({ replace: true });
+        }, 200);
+    });
+}
+
+function applyFilters() {
+    if (!standardsData) return;
+
+    const searchResults = currentFilters.search ? searchRequirements(currentFilters.search) : null;
+    searchHighlightPattern = searchResults ? RequirementsQuery.buildHighlightPattern(searchResults.matchedTokens) : null;
+
+    filteredRequirements = standardsData.requirements.filter(req =>
+        RequirementsQuery.matchesFilters(req, currentFilters, searchResults)
+    );
+    RequirementsQuery.sortRequirements(filteredRequirements, currentSort, searchResults);
+
+    renderRequirements();
+    updateStats();
+}
+
+// Built-in frameworks first, then custom ones, then any a loaded dataset adds
+function renderFrameworkFilter() {
+    const select = document.getElementById('framework-filter');
+    if (!select || !standardsData) return;
+
+    select.innerHTML = `
+        <option value="all">${t('filters.allFrameworks')}</option>
+        ${getFrameworkNames().map(name => `<option value="${escapeHTML(name)}">${escapeHTML(name)}</option>`).join('')}
+    `;
+    syncFrameworkFilter();
+}
+
+function syncFrameworkFilter() {
+    // Short names like "OWASP" still filter, so select the option they match
+    const select = document.getElementById('framework-filter');
+    const option = [...select.options].find(o =>
+        o.value === currentFilters.framework ||
+        (currentFilters.framework !== 'all' && o.value.toLowerCase().includes(currentFilters.framework.toLowerCase()))
+    );
+    select.value = option ? option.value : 'all';
+}
+
+// ============================================
+// Search
+// ============================================
+
+// Indexing and scoring live in lib/requirements-query.js, shared with the CLI
+function getSearchIndex() {
+    if (searchIndex && searchIndex.source === standardsData) return searchIndex;
+
+    searchIndex = {
+        source: standardsData,
+        ...RequirementsQuery.buildSearchIndex(standardsData.requirements, { getFrameworkAbbrev })
+    };
+    return searchIndex;
+}
+
+function searchRequirements(query) {
+    return RequirementsQuery.searchRequirements(getSearchIndex(), query);
+}
+
+/**
+ * Escape text for HTML and wrap the current search matches in <mark>.
+ */
+function highlight(text) {
+    const value = String(text === null || text === undefined ? '' : text);
+    if (!searchHighlightPattern) return escapeHTML(value);
+
+    return value
+        .split(searchHighlightPattern)
+        .map((part, i) => (i % 2 === 1 ? `<mark>${escapeHTML(part)}</mark>` : escapeHTML(part)))
+        .join('');
+}
+
+// ============================================
+// Rendering
+// ============================================
+
+function renderRequirements() {
+    const tbody = document.getElementById('requirements-body');
+
+    if (filteredRequirements.length === 0) {
+        tbody.innerHTML = `
+            <tr>
+                <td colspan="10">
+                    <div class="empty-state">
+                        <svg class="empty-state-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5">
+                            <circle cx="11" cy="11" r="8"/>
+                            <path d="M21 21l-4.35-4.35"/>
+                        </svg>
+                        <h3 class="empty-state-title">${t('table.empty')}</h3>
+                        <p class="empty-state-text">${t('table.emptyHint')}</p>
+                    </div>
+                </td>
+            </tr>
+        `;
+        return;
+    }
+
+    if (!filteredRequirements.some(req => req.id === activeRowId)) {
+        activeRowId = filteredRequirements[0].id;
+    }
+
+    tbody.innerHTML = filteredRequirements.map(req => `
+        <tr data-id="${escapeHTML(req.id)}" tabindex="${req.id === activeRowId ? 0 : -1}" aria-haspopup="dialog"${req.retired ? ' class="retired"' : ''}>
+            <td>
+                <span class="req-id" data-principle="${escapeHTML(req.principle)}">${escapeHTML(req.id)}</span>
+            </td>
+            <td>
+                <span class="principle-badge" data-principle="${escapeHTML(req.principle)}">
+                    <span class="dot"></span>
+                    ${escapeHTML(req.principleName)}
+                </span>
+            </td>
+            <td>
+                <div class="req-title">${highlight(req.title)}</div>
+                <div class="req-description">${highlight(req.description)}</div>
+            </td>
+            <td>
+                <span class="status-badge ${escapeHTML(req.status.toLowerCase())}">${escapeHTML(formatValue('status', req.status))}</span>
+                ${req.retired ? `<span class="status-badge retired">${t('status.retired')}</span>` : ''}
+            </td>
+            <td>
+                <span class="effort-text" title="${escapeHTML(getEffortLabel(req.effort))}">${getEffortDisplay(req.effort)}</span>
+            </td>
+            <td>
+                <span class="type-text">${escapeHTML(formatValue('type', req.type))}</span>
+            </td>
+            <td>
+                <div class="capability-tags">
+                    ${getRequirementCapabilities(req).map(c => `<span class="capability-tag">${escapeHTML(formatValue('capability', c))}</span>`).join('')}
+                </div>
+            </td>
+            <td>
+                ${renderTrackerCell(req)}
+            </td>
+            <td>
+                <span class="frequency-text">${escapeHTML(formatFrequency(req.frequency))}</span>
+            </td>
+            <td>
+                <div class="framework-tags">
+                    ${getFrameworkTags(req.frameworkMappings)}
+                </div>
+            </td>
+        </tr>
+    `).join('');
+
+    // Add click and keyboard handlers for rows
+    tbody.querySelectorAll('tr[data-id]').forEach(row => {
+        row.addEventListener('click', () => {
+            const req = standardsData.requirements.find(r => r.id === row.dataset.id);
+            setActiveRow(row);
+            if (req) openModal(req);
+        });
+        row.addEventListener('keydown', (e) => {
+            if (e.target !== row || e.altKey || e.ctrlKey || e.metaKey) return;
+            const rows = getRequirementRows();
+            const index = rows.indexOf(row);
+            let target = null;
+
+            if (e.key === 'ArrowDown') target = rows[index + 1];
+            else if (e.key === 'ArrowUp') target = rows[index - 1];
+            else if (e.key === 'Home') target = rows[0];
+            else if (e.key === 'End') target = rows[rows.length - 1];
+            else if (e.key === 'Enter' || e.key === ' ') {
+                e.preventDefault();
+                row.click();
+                return;
+            } else {
+                return;
+            }
+
+            e.preventDefault();
+            if (target) focusRow(target);
+        });
+    });
+}
+
+function getRequirementRows() {
+    return [...document.querySelectorAll('#requirements-body tr[data-id]')];
+}
+
+function setActiveRow(row) {
+    activeRowId = row.dataset.id;
+    getRequirementRows().forEach(r => { r.tabIndex = r === row ? 0 : -1; });
+}
+
+function focusRow(row) {
+    setActiveRow(row);
+    row.focus();
+    if (row.scrollIntoView) row.scrollIntoView({ block: 'nearest' });
+}
+
+// j/k from anywhere on the page: start at the remembered row, then step
+function moveRowFocus(delta) {
+    const rows = getRequirementRows();
+    if (rows.length === 0) return;
+
+    const index = rows.indexOf(document.activeElement);
+    if (index === -1) {
+        focusRow(rows.find(r => r.dataset.id === activeRowId) || rows[0]);
+    } else {
+        focusRow(rows[clamp(index + delta, 0, rows.length - 1)]);
+    }
+}
+
+function getFrameworkTags(mappings) {
+    if (!mappings) return '';
+
+    const frameworks = Object.keys(mappings);
+    const displayFrameworks = frameworks.slice(0, 3);
+    const remaining = frameworks.length - 3;
+
+    let html = displayFrameworks.map(fw => {
+        const abbrev = getFrameworkAbbrev(fw);
+        return `<span class="framework-tag">${escapeHTML(abbrev)}</span>`;
+    }).join('');
+
+    if (remaining > 0) {
+        html += `<span class="framework-tag">+${remaining}</span>`;
+    }
+
+    return html;
+}
+
+const { FRAMEWORK_ABBREVIATIONS, EFFORT_ORDER, getRequirementCapabilities } = RequirementsQuery;
+const { EFFORT_ICONS, escapeHTML, getSafeURL, getRequirementURL } = RequirementCard;
+
+function getFrameworkAbbrev(framework) {
+    const custom = getCustomFramework(framework);
+    return custom ? custom.abbrev : FRAMEWORK_ABBREVIATIONS[framework] || framework;
+}
+
+function getFrameworkNames() {
+    const names = new Set([...Object.keys(FRAMEWORK_ABBREVIATIONS), ...customFrameworks.frameworks.map(f => f.name)]);
+    standardsData.requirements.forEach(req => {
+        Object.keys(req.frameworkMappings || {}).forEach(name => names.add(name));
+    });
+    return [...names];
+}
+
+function getActiveRequirements() {
+    return standardsData.requirements.filter(r => !r.retired);
+}
+
+function updateStats() {
+    if (!standardsData) return;
+
+    // Retired requirements never count towards mandatory/optional totals
+    const activeRequirements = getActiveRequirements();
+    const visibleRequirements = currentFilters.showRetired ? standardsData.requirements : activeRequirements;
+    const mandatoryCount = activeRequirements.filter(r => r.status === 'Mandatory').length;
+    const optionalCount = activeRequirements.filter(r => r.status === 'Optional').length;
+
+    animateNumber('mandatory-count', mandatoryCount);
+    animateNumber('optional-count', optionalCount);
+    animateNumber('filtered-count', filteredRequirements.length);
+
+    document.getElementById('hero-requirement-count').textContent = activeRequirements.length;
+    document.getElementById('hero-principle-count').textContent = standardsData.principles.length;
+
+    // Update principle counts
+    standardsData.principles.forEach(({ id }) => {
+        const count = visibleRequirements.filter(r => r.principle === id).length;
+        const el = document.getElementById(`count-${id}`);
+        if (el) el.textContent = count;
+    });
+
+    const allEl = document.getElementById('count-all');
+    if (allEl) allEl.textContent = visibleRequirements.length;
+
+    // Update capability, effort and type counts
+    document.querySelectorAll('[data-multi-filter]').forEach(group => {
+        const key = group.dataset.multiFilter;
+        group.querySelectorAll('.toggle-btn').forEach(btn => {
+            const count = visibleRequirements.filter(r => key === 'capabilities'
+                ? getRequirementCapabilities(r).includes(btn.dataset.value)
+                : r[key] === btn.dataset.value
+            ).length;
+            const countEl = btn.querySelector('.toggle-count');
+            if (countEl) countEl.textContent = count;
+        });
+    });
+
+    // Update readiness
+    const readinessPercent = calculateReadiness(activeRequirements).percent;
+    animateNumber('readiness-percent', readinessPercent);
+
+    ['all', 'A', 'B', 'C', 'D', 'E', 'F'].forEach(p => {
+        const requirements = p === 'all'
+            ? activeRequirements
+            : activeRequirements.filter(r => r.principle === p);
+        const readiness = calculateReadiness(requirements);
+        const bar = document.getElementById(`readiness-${p}`);
+        if (!bar) return;
+        bar.style.width = `${readiness.percent}%`;
+        bar.parentElement.title = t('stats.readinessTitle', {
+            percent: readiness.percent,
+            done: readiness.implemented,
+            total: readiness.applicable
+        });
+    });
+
+    announceStats(t('stats.announcement', {
+        shown: filteredRequirements.length,
+        count: visibleRequirements.length,
+        percent: readinessPercent
+    }));
+}
+
+function animateNumber(elementId, target) {
+    const el = document.getElementById(elementId);
+    if (!el) return;
+
+    const current = parseInt(el.textContent) || 0;
+    const duration = 300;
+    const start = performance.now();
+
+    function update(now) {
+        const elapsed = now - start;
+        const progress = Math.min(elapsed / duration, 1);
+        const eased = 1 - Math.pow(1 - progress, 3);
+        const value = Math.round(current + (target - current) * eased);
+        el.textContent = value;
+
+        if (progress < 1) {
+            requestAnimationFrame(update);
+        }
+    }
+
+    requestAnimationFrame(update);
+}
+
+// The animated counters are not read out, so changes go to the live region.
+// The first summary after loading is the page itself and stays silent.
+let lastStatsSummary = null;
+let statsAnnounceTimer = null;
+let announceTimer = null;
+
+function announceStats(summary) {
+    clearTimeout(statsAnnounceTimer);
+    if (lastStatsSummary === null) {
+        lastStatsSummary = summary;
+        return;
+    }
+    statsAnnounceTimer = setTimeout(() => {
+        if (summary === lastStatsSummary) return;
+        lastStatsSummary = summary;
+        announce(summary);
+    }, 500);
+}
+
+function announce(message) {
+    const region = document.getElementById('live-region');
+    if (!region) return;
+
+    // Clearing first makes a repeated message be read again
+    clearTimeout(announceTimer);
+    region.textContent = '';
+    announceTimer = setTimeout(() => { region.textContent = message; }, 50);
+}
+
+// ============================================
+// Modal
+// ============================================
+
+function initializeModal() {
+    const overlay = document.getElementById('modal-overlay');
+    const closeBtn = document.getElementById('modal-close');
+
+    closeBtn.addEventListener('click', () => closeModal());
+    overlay.addEventListener('click', (e) => {
+        if (e.target === overlay) closeModal();
+    });
+}
+
+function openModal(req, { updateURL = true } = {}) {
+    const content = document.getElementById('modal-content');
+
+    content.innerHTML = `
+        ${requirementCard.renderHeader(req)}
+
+        ${renderTrackerSection(req)}
+
+        ${renderCollaborationSection(req)}
+
+        ${req.controlActivities ? renderControlActivities(req.controlActivities, req.id) : ''}
+
+        ${renderEvidenceSection(req)}
+
+        ${requirementCard.renderGettingStarted(req.gettingStarted, {
+            templateActions: `
+                <button type="button" class="modal-link" data-template-download="csv">${t('modal.downloadCSV')}</button>
+                <button type="button" class="modal-link" data-template-download="markdown">${t('modal.downloadMarkdown')}</button>
+            `
+        })}
+
+        ${renderFrameworkMappings(req)}
+
+        ${renderRelatedRequirements(req)}
+
+        ${renderCustomFields(req)}
+
+        ${requirementCard.renderKeywords(req)}
+
+        <div class="modal-actions">
+            <a href="${escapeHTML(getRequirementURL(req))}" target="_blank" rel="noopener" class="modal-link">
+                ${t('modal.viewOnSite')}
+                <svg width="16" height="16" viewBox="0 0 16 16" fill="none">
+                    <path d="M5 3H13V11M13 3L3 13" stroke="currentColor" stroke-width="1.5"/>
+                </svg>
+            </a>
+            <button type="button" class="modal-link" id="generate-policy">${t('modal.policyDocument')}</button>
+            <button type="button" class="modal-link" id="copy-link">
+                <span class="copy-link-label">${t('modal.copyLink')}</span>
+                <svg width="16" height="16" viewBox="0 0 16 16" fill="none">
+                    <path d="M6.5 9.5L9.5 6.5M7 4.5L8.5 3A2.5 2.5 0 0 1 13 6.5L11.5 8M9 11.5L7.5 13A2.5 2.5 0 0 1 3 9.5L4.5 8" stroke="currentColor" stroke-width="1.5" stroke-linecap="round"/>
+                </svg>
+            </button>
+        </div>
+    `;
+
+    bindTrackerControls(content, req);
+    bindEvidenceControls(content, req);
+    bindFrameworkMappingControls(content, req);
+    bindCollaborationControls(content, req);
+    const related = content.querySelector('#related-requirements');
+    if (related) {
+        bindRequirementLinks(related);
+        related.querySelector('[data-related-graph]').addEventListener('click', () => openPanel('relations', { focus: req.id }));
+    }
+    content.querySelector('#copy-link').addEventListener('click', (e) => copyRequirementLink(req, e.currentTarget));
+    content.querySelector('#generate-policy').addEventListener('click', () => openPanel('policies', { selected: [req.id] }));
+    content.querySelectorAll('[data-template-download]').forEach(btn => {
+        btn.addEventListener('click', () => downloadTemplate(req, btn.dataset.templateDownload));
+    });
+
+    openRequirementId = req.id;
+    if (updateURL) syncURLState();
+    showModal();
+}
+
+function showModal({ wide = false } = {}) {
+    const modal = document.getElementById('requirement-modal');
+    const overlay = document.getElementById('modal-overlay');
+
+    // Remember where focus came from only when the modal is first opened
+    if (!overlay.classList.contains('active')) {
+        modalReturnFocus = document.activeElement;
+    }
+
+    const heading = modal.querySelector('#modal-content .modal-title');
+    if (heading) heading.id = 'modal-heading';
+
+    modal.classList.toggle('modal-wide', wide);
+    overlay.classList.add('active');
+    document.body.style.overflow = 'hidden';
+    document.getElementById('modal-content').scrollTop = 0;
+    modal.focus();
+}
+
+function closeModal({ updateURL = true } = {}) {
+    const overlay = document.getElementById('modal-overlay');
+    if (!overlay.classList.contains('active')) return;
+
+    overlay.classList.remove('active');
+    document.body.style.overflow = '';
+
+    // Return to the row of the requirement last shown, which may differ from
+    // the one that was opened after stepping with n/p
+    const row = getRequirementRows().find(r => r.dataset.id === openRequirementId);
+    if (row) {
+        focusRow(row);
+    } else if (modalReturnFocus && modalReturnFocus.isConnected) {
+        modalReturnFocus.focus();
+    }
+    modalReturnFocus = null;
+
+    if (openRequirementId) {
+        openRequirementId = null;
+        if (updateURL) syncURLState();
+    }
+}
+
+function isModalOpen() {
+    return document.getElementById('modal-overlay').classList.contains('active');
+}
+
+// Step through the current results with n/p while a requirement is open
+function stepModalRequirement(delta) {
+    const inResults = filteredRequirements.some(r => r.id === openRequirementId);
+    const list = inResults ? filteredRequirements : getActiveRequirements();
+    const index = list.findIndex(r => r.id === openRequirementId);
+    const next = list[index + delta];
+
+    if (index === -1 || !next) {
+        announce(t(delta > 0 ? 'modal.atLast' : 'modal.atFirst'));
+        return;
+    }
+
+    openModal(next);
+    announce(t('modal.position', { id: next.id, title: next.title, position: index + delta + 1, count: list.length }));
+}
+
+// Keep Tab and Shift+Tab inside the open modal
+function trapModalFocus(e) {
+    const modal = document.getElementById('requirement-modal');
+    const focusable = [...modal.querySelectorAll(
+        'a[href], button:not([disabled]), input:not([disabled]):not([type="hidden"]), select:not([disabled]), textarea:not([disabled]), summary, [tabindex]:not([tabindex="-1"])'
+    )].filter(el => !el.closest('[hidden]'));
+    if (focusable.length === 0) return;
+
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    const inside = modal.contains(document.activeElement) && document.activeElement !== modal;
+
+    if (e.shiftKey && (!inside || document.activeElement === first)) {
+        e.preventDefault();
+        last.focus();
+    } else if (!e.shiftKey && (!inside || document.activeElement === last)) {
+        e.preventDefault();
+        first.focus();
+    }
+}
+
+// ============================================
+// Panels
+// ============================================
+
+const PANEL_RENDERERS = {
+    'evidence-gaps': renderEvidenceGapsPanel,
+    'review-calendar': renderReviewCalendarPanel,
+    'crosswalk': renderCrosswalkPanel,
+    'coverage': renderCoveragePanel,
+    'relations': renderRelationsPanel,
+    'changelog': renderChangelogPanel,
+    'workspaces': renderWorkspacesPanel,
+    'scoping': renderScopingPanel,
+    'roadmap': renderRoadmapPanel,
+    'policies': renderPoliciesPanel,
+    'dataset': renderDatasetPanel,
+    'frameworks': renderFrameworksPanel,
+    'sync': renderSyncPanel,
+    'translations': renderTranslationsPanel
+};
+
+function initializePanels() {
+    document.querySelectorAll('[data-panel]').forEach(btn => {
+        btn.addEventListener('click', () => openPanel(btn.dataset.panel));
+    });
+}
+
+function openPanel(name, state) {
+    const render = PANEL_RENDERERS[name];
+    if (!render || !standardsData) return;
+
+    // Panels are not addressable, so leave the requirement hash behind
+    if (openRequirementId) {
+        openRequirementId = null;
+        syncURLState();
+    }
+
+    const content = document.getElementById('modal-content');
+    content.innerHTML = '';
+    render(content, state);
+    showModal({ wide: true });
+}
+
+function renderPanelHeader(label, title, description) {
+    return `
+        <div class="modal-header">
+            <div class="modal-id">${label}</div>
+            <h2 class="modal-title">${title}</h2>
+            ${description ? `<p class="modal-description">${description}</p>` : ''}
+        </div>
+    `;
+}
+
+function bindRequirementLinks(container) {
+    container.querySelectorAll('[data-open-requirement]').forEach(el => {
+        el.addEventListener('click', () => {
+            const req = standardsData.requirements.find(r => r.id === el.dataset.openRequirement);
+            if (req) openModal(req);
+        });
+    });
+}
+
+function renderControlActivities(activities, reqId) {
+    const entry = getTrackerEntry(reqId);
+    let html = '';
+
+    if (activities.shouldInclude && activities.shouldInclude.length > 0) {
+        html += `
+            <div class="modal-section">
+                <h3 class="modal-section-title">${t('modal.shouldInclude')}</h3>
+                <ul class="control-list should checkable">
+                    ${activities.shouldInclude.map((item, i) => renderActivityItem(item, 'shouldInclude', i, reqId, entry)).join('')}
+                </ul>
+            </div>
+        `;
+    }
+
+    if (activities.mayInclude && activities.mayInclude.length > 0) {
+        html += `
+            <div class="modal-section">
+                <h3 class="modal-section-title">${t('modal.mayInclude')}</h3>
+                <ul class="control-list may checkable">
+                    ${activities.mayInclude.map((item, i) => renderActivityItem(item, 'mayInclude', i, reqId, entry)).join('')}
+                </ul>
+            </div>
+        `;
+    }
+
+    return html;
+}
+
+function renderActivityItem(item, group, index, reqId, entry) {
+    const checked = entry.checks[group][index];
+    return `
+        <li>
+            <label class="control-check">
+                <input type="checkbox" data-activity-group="${group}" data-activity-index="${index}" ${checked ? 'checked' : ''}>
+                <span>${highlight(item)}</span>
+            </label>
+            <div class="evidence-chips" data-evidence-target="${group}:${index}">
+                ${renderEvidenceChips(getEvidenceFor(reqId, `${group}:${index}`))}
+            </div>
+        </li>
+    `;
+}
+
+function renderFrameworkMappings(req) {
+    const frameworks = Object.entries(req.frameworkMappings || {});
+    const names = getFrameworkNames();
+
+    return `
+        <div class="modal-section" id="framework-mappings">
+            <h3 class="modal-section-title">${t('modal.frameworkMappings')}</h3>
+            ${frameworks.length > 0 ? `
+                <div class="framework-grid">
+                    ${frameworks.map(([name, refs]) => {
+                        // References users added can be removed again; the standard's cannot
+                        const custom = getCustomRefs(req.id, name);
+                        const standard = [].concat(refs).filter(ref => !custom.includes(ref));
+                        return `
+                            <div class="framework-card">
+                                <div class="framework-card-title">${escapeHTML(name)}</div>
+                                <div class="framework-card-refs">
+                                    ${highlight(standard.join(', '))}
+                                    ${custom.map(ref => `
+                                        <span class="framework-ref-custom">
+                                            ${highlight(ref)}
+                                            <button type="button" data-remove-mapping="${escapeHTML(ref)}" data-framework="${escapeHTML(name)}" title="${escapeHTML(t('modal.removeReference'))}" aria-label="${escapeHTML(t('modal.removeReferenceLabel', { ref }))}">×</button>
+                                        </span>
+                                    `).join('')}
+                                </div>
+                            </div>
+                        `;
+                    }).join('')}
+                </div>
+            ` : ''}
+            <form class="framework-mapping-form" id="framework-mapping-form">
+                <select class="framework-select" name="framework" aria-label="${escapeHTML(t('filters.framework'))}">
+                    ${names.map(name => `
+                        <option value="${escapeHTML(name)}" ${getCustomFramework(name) && name === customFrameworks.frameworks[0].name ? 'selected' : ''}>${escapeHTML(name)}</option>
+                    `).join('')}
+                </select>
+                <input type="text" class="tracker-input" name="ref" placeholder="${escapeHTML(t('modal.referencePlaceholder'))}" required>
+                <button type="submit" class="modal-link">${t('modal.addReference')}</button>
+                <span class="evidence-form-error" id="framework-mapping-error"></span>
+            </form>
+        </div>
+    `;
+}
+
+// ============================================
+// URL State
+// ============================================
+
+function initializeURLState() {
+    window.addEventListener('popstate', applyURLState);
+    applyURLState();
+}
+
+/**
+ * Restore filters, sort and the open requirement from the URL, e.g.
+ * ?principle=B&status=Mandatory&framework=OWASP&q=injection#B005
+ */
+function applyURLState() {
+    if (!standardsData) return;
+
+    const params = new URLSearchParams(window.location.search);
+    const principle = (params.get('principle') || '').toUpperCase();
+    const status = (params.get('status') || '').toLowerCase();
+
+    currentFilters.principle = standardsData.principles.some(p => p.id === principle) ? principle : 'all';
+    currentFilters.status = ['Mandatory', 'Optional'].find(s => s.toLowerCase() === status) || 'all';
+    currentFilters.framework = params.get('framework') || 'all';
+    currentFilters.capabilities = readListParam(params, 'cap');
+    currentFilters.effort = readListParam(params, 'effort');
+    currentFilters.type = readListParam(params, 'type');
+    currentFilters.showRetired = params.get('retired') === '1';
+    currentFilters.search = (params.get('q') || '').toLowerCase().trim();
+    currentSort.column = SORTABLE_COLUMNS.includes(params.get('sort')) ? params.get('sort') : 'id';
+    currentSort.direction = params.get('dir') === 'desc' ? 'desc' : 'asc';
+
+    syncFilterControls();
+    applyFilters();
+
+    const hashId = decodeURIComponent(window.location.hash.slice(1)).toUpperCase();
+    const req = standardsData.requirements.find(r => r.id === hashId);
+    if (req) {
+        openModal(req, { updateURL: false });
+    } else {
+        closeModal({ updateURL: false });
+        openRequirementId = null;
+    }
+}
+
+function readListParam(params, name) {
+    return (params.get(name) || '').split(',').map(v => v.trim()).filter(Boolean);
+}
+
+function buildStateURL() {
+    const params = new URLSearchParams();
+
+    if (currentFilters.principle !== 'all') params.set('principle', currentFilters.principle);
+    if (currentFilters.status !== 'all') params.set('status', currentFilters.status);
+    if (currentFilters.framework !== 'all') params.set('framework', currentFilters.framework);
+    if (currentFilters.capabilities.length > 0) params.set('cap', currentFilters.capabilities.join(','));
+    if (currentFilters.effort.length > 0) params.set('effort', currentFilters.effort.join(','));
+    if (currentFilters.type.length > 0) params.set('type', currentFilters.type.join(','));
+    if (currentFilters.showRetired) params.set('retired', '1');
+    if (currentFilters.search) params.set('q', currentFilters.search);
+    if (currentSort.column !== 'id') params.set('sort', currentSort.column);
+    if (currentSort.direction !== 'asc') params.set('dir', currentSort.direction);
+
+    const query = params.toString();
+    return `${window.location.pathname}${query ? `?${query}` : ''}${openRequirementId ? `#${openRequirementId}` : ''}`;
+}
+
+function syncURLState({ replace = false } = {}) {
+    const url = buildStateURL();
+    const current = `${window.location.pathname}${window.location.search}${window.location.hash}`;
+    if (url === current) return;
+
+    if (replace) {
+        history.replaceState(null, '', url);
+    } else {
+        history.pushState(null, '', url);
+    }
+}
+
+function syncFilterControls() {
+    syncFilterButtons();
+    syncFrameworkFilter();
+
+    document.getElementById('search-input').value = currentFilters.search;
+
+    syncSortHeaders();
+}
+
+function syncFilterButtons() {
+    const setPressed = (btn, pressed) => {
+        btn.classList.toggle('active', pressed);
+        btn.setAttribute('aria-pressed', String(pressed));
+    };
+
+    document.querySelectorAll('.principle-btn').forEach(btn => {
+        setPressed(btn, btn.dataset.principle === currentFilters.principle);
+    });
+
+    document.querySelectorAll('.toggle-btn[data-status]').forEach(btn => {
+        setPressed(btn, btn.dataset.status === currentFilters.status);
+    });
+
+    document.querySelectorAll('[data-multi-filter]').forEach(group => {
+        const selected = currentFilters[group.dataset.multiFilter];
+        group.querySelectorAll('.toggle-btn').forEach(btn => {
+            setPressed(btn, selected.includes(btn.dataset.value));
+        });
+    });
+
+    setPressed(document.getElementById('retired-toggle'), currentFilters.showRetired);
+}
+
+function syncSortHeaders() {
+    document.querySelectorAll('.sortable').forEach(th => {
+        const sorted = th.dataset.sort === currentSort.column;
+        th.classList.toggle('sorted', sorted);
+        if (sorted) {
+            th.setAttribute('aria-sort', currentSort.direction === 'asc' ? 'ascending' : 'descending');
+        } else {
+            th.removeAttribute('aria-sort');
+        }
+    });
+}
+
+async function copyRequirementLink(req, button) {
+    const url = new URL(buildStateURL(), window.location.href).href;
+    const label = button.querySelector('.copy-link-label');
+
+    try {
+        await navigator.clipboard.writeText(url);
+        label.textContent = t('modal.linkCopied');
+        setTimeout(() => { label.textContent = t('modal.copyLink'); }, 1500);
+    } catch (error) {
+        // Clipboard API needs a secure context; fall back to a prompt
+        window.prompt(t('modal.linkTo', { id: req.id }), url);
+    }
+}
+
+// ============================================
+// Embed Mode
+// ============================================
+
+// URL parameter -> <aiuc1-list> attribute, for the same filters the table uses
+const EMBED_LIST_PARAMS = [
+    ['principle', 'principle'],
+    ['status', 'status'],
+    ['framework', 'framework'],
+    ['cap', 'capability'],
+    ['effort', 'effort'],
+    ['type', 'type'],
+    ['q', 'search'],
+    ['sort', 'sort']
+];
+
+function isEmbedMode() {
+    return new URLSearchParams(window.location.search).has('embed');
+}
+
+/**
+ * For tools that allow iframes but strip custom elements: ?embed=C003 shows
+ * one requirement card, ?embed with the usual filter parameters shows a
+ * list, ?theme=dark (or auto) switches palettes and ?lang=de picks a
+ * language. The page renders the same elements lib/aiuc1-elements.js
+ * provides, fed this browser's dataset, custom mappings and language.
+ */
+async function initializeEmbed() {
+    document.body.hidden = true;
+    const lang = new URLSearchParams(window.location.search).get('lang');
+    await loadLocale(lang ? I18n.negotiateLocale([lang], Object.keys(LOCALES)) : getPreferredLocale());
+    loadCustomFrameworks();
+    await loadData();
+    document.body.hidden = false;
+    if (!standardsData) return;
+
+    const params = new URLSearchParams(window.location.search);
+    const id = params.get('embed').trim();
+    const element = document.createElement(id ? 'aiuc1-requirement' : 'aiuc1-list');
+
+    if (id) {
+        element.setAttribute('id', id);
+    } else {
+        EMBED_LIST_PARAMS.forEach(([param, attribute]) => {
+            if (params.get(param)) element.setAttribute(attribute, params.get(param));
+        });
+        if (params.get('retired') === '1') element.setAttribute('retired', '');
+        if (params.get('dir') === 'desc') element.setAttribute('desc', '');
+    }
+    element.setAttribute('theme', params.get('theme') || 'light');
+
+    AIUC1Elements.setDataset(standardsData, { t, has: key => translator.has(key) });
+    document.body.className = 'embed-mode';
+    document.body.innerHTML = '<main class="embed-page"></main>';
+    document.body.firstElementChild.appendChild(element);
+}
+
+// ============================================
+// Workspaces
+// ============================================
+
+/**
+ * Each workspace is one assessed AI system: a profile (capabilities in use,
+ * deployment context, owner) plus its own per-requirement tracker state.
+ */
+function loadWorkspaces() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(WORKSPACE_STORAGE_KEY));
+        if (stored && Array.isArray(stored.workspaces) && stored.workspaces.length > 0) {
+            workspaceState = stored;
+        }
+    } catch (error) {
+        console.error('Error loading workspaces:', error);
+    }
+
+    if (workspaceState.workspaces.length === 0) {
+        workspaceState.workspaces = [createWorkspace(t('workspaces.defaultName'), {
+            id: DEFAULT_WORKSPACE_ID,
+            tracker: loadLegacyTrackerState()
+        })];
+        saveWorkspaces();
+    }
+
+    workspaceState.workspaces = workspaceState.workspaces.map(ws => createWorkspace(ws.name, ws));
+    if (!workspaceState.workspaces.some(ws => ws.id === workspaceState.activeId)) {
+        workspaceState.activeId = workspaceState.workspaces[0].id;
+    }
+}
+
+function loadLegacyTrackerState() {
+    try {
+        return JSON.parse(localStorage.getItem(LEGACY_TRACKER_STORAGE_KEY)) || {};
+    } catch (error) {
+        console.error('Error loading tracker state:', error);
+        return {};
+    }
+}
+
+function saveWorkspaces() {
+    try {
+        localStorage.setItem(WORKSPACE_STORAGE_KEY, JSON.stringify(workspaceState));
+    } catch (error) {
+        console.error('Error saving workspaces:', error);
+    }
+}
+
+function createWorkspace(name, fields = {}) {
+    const profile = fields.profile || {};
+    return {
+        id: fields.id || generateId('workspace'),
+        name,
+        profile: {
+            capabilities: profile.capabilities || [],
+            deployment: profile.deployment || '',
+            owner: profile.owner || '',
+            scoping: profile.scoping || null
+        },
+        tracker: sanitizeTracker(fields.tracker),
+        roadmap: fields.roadmap || null,
+        comments: fields.comments || {},
+        createdAt: fields.createdAt || new Date().toISOString()
+    };
+}
+
+// Values a tracker field may hold; anything else is dropped rather than rendered
+const TRACKER_FIELD_CHECKS = {
+    status: value => Object.hasOwn(IMPLEMENTATION_STATUSES, value),
+    owner: value => typeof value === 'string',
+    dueDate: value => value === '' || /^\d{4}-\d{2}-\d{2}$/.test(value),
+    lastReviewed: value => value === '' || /^\d{4}-\d{2}-\d{2}$/.test(value),
+    notes: value => typeof value === 'string',
+    checks: value => Boolean(value) && typeof value === 'object' &&
+        ['shouldInclude', 'mayInclude'].every(group => value[group] === undefined || Array.isArray(value[group])),
+    updatedAt: value => typeof value === 'string'
+};
+
+/**
+ * Tracker entries arrive from localStorage, imports and the sync server.
+ * Invalid fields are dropped instead of defaulted so the sync server still
+ * sees them as never set.
+ */
+function sanitizeTracker(tracker) {
+    return Object.fromEntries(Object.entries(tracker || {})
+        .filter(([, entry]) => entry && typeof entry === 'object')
+        .map(([reqId, entry]) => [reqId, Object.fromEntries(Object.entries(TRACKER_FIELD_CHECKS)
+            .filter(([field, isValid]) => Object.hasOwn(entry, field) && isValid(entry[field]))
+            .map(([field]) => [field, entry[field]]))]));
+}
+
+function getActiveWorkspace() {
+    return workspaceState.workspaces.find(ws => ws.id === workspaceState.activeId);
+}
+
+function addWorkspace(name) {
+    const workspace = createWorkspace(name);
+    workspaceState.workspaces.push(workspace);
+    saveWorkspaces();
+    queueSync({ type: 'workspace', workspaceId: workspace.id, fields: getWorkspaceSyncFields(workspace) });
+    return workspace;
+}
+
+function updateWorkspace(id, changes) {
+    const workspace = workspaceState.workspaces.find(ws => ws.id === id);
+    if (!workspace) return;
+
+    const previous = { name: workspace.name, profile: { ...workspace.profile } };
+    if (changes.name !== undefined) workspace.name = changes.name;
+    Object.assign(workspace.profile, changes.profile || {});
+    saveWorkspaces();
+    queueSync({
+        type: 'workspace',
+        workspaceId: id,
+        fields: { name: workspace.name, profile: { ...workspace.profile } },
+        previous
+    });
+}
+
+async function removeWorkspace(id) {
+    if (workspaceState.workspaces.length <= 1) return;
+
+    const evidence = evidenceItems.filter(item => getEvidenceWorkspaceId(item) === id);
+    for (const item of evidence) {
+        await deleteEvidence(item.id);
+    }
+
+    workspaceState.workspaces = workspaceState.workspaces.filter(ws => ws.id !== id);
+    queueSync({ type: 'delete-workspace', workspaceId: id });
+    if (workspaceState.activeId === id) {
+        switchWorkspace(workspaceState.workspaces[0].id);
+    } else {
+        saveWorkspaces();
+    }
+}
+
+function switchWorkspace(id) {
+    if (!workspaceState.workspaces.some(ws => ws.id === id)) return;
+
+    workspaceState.activeId = id;
+    saveWorkspaces();
+
+    // Narrow the table to what the newly selected system actually uses
+    currentFilters.capabilities = [...getActiveWorkspace().profile.capabilities];
+    syncFilterControls();
+    applyFilters();
+    syncURLState();
+    renderWorkspaceSwitcher();
+}
+
+/**
+ * A requirement is in scope when it is Universal or covers a capability the
+ * system uses. A profile with no capabilities selected keeps everything in
+ * scope, unless the scoping questionnaire established that the system uses none.
+ */
+function isRequirementInScope(req, workspace = getActiveWorkspace()) {
+    const { capabilities: inUse, scoping } = workspace.profile;
+    const capabilities = getRequirementCapabilities(req);
+    if (capabilities.includes('Universal') || capabilities.some(c => inUse.includes(c))) return true;
+    return inUse.length === 0 && !hasCapabilityAnswers(scoping ? scoping.answers : {});
+}
+
+function isRequirementApplicable(req, workspace = getActiveWorkspace()) {
+    return !req.retired &&
+        isRequirementInScope(req, workspace) &&
+        getTrackerEntry(req.id, workspace).status !== 'not-applicable';
+}
+
+function initializeWorkspaceSwitcher() {
+    document.getElementById('workspace-select').addEventListener('change', (e) => {
+        switchWorkspace(e.target.value);
+    });
+    renderWorkspaceSwitcher();
+}
+
+function renderWorkspaceSwitcher() {
+    const select = document.getElementById('workspace-select');
+    select.innerHTML = workspaceState.workspaces.map(ws => `
+        <option value="${escapeHTML(ws.id)}" ${ws.id === workspaceState.activeId ? 'selected' : ''}>${escapeHTML(ws.name)}</option>
+    `).join('');
+}
+
+function renderWorkspacesPanel(content) {
+    const principles = standardsData.principles;
+    const activeRequirements = getActiveRequirements();
+    const readinessCell = (requirements, workspace) => {
+        const readiness = calculateReadiness(requirements, workspace);
+        return `
+            <td class="workspace-readiness" title="${t('workspaces.readinessTitle', { done: readiness.implemented, total: readiness.applicable })}">
+                ${readiness.applicable > 0 ? `${readiness.percent}%` : '—'}
+                <span class="workspace-bar"><span style="width: ${readiness.percent}%"></span></span>
+            </td>
+        `;
+    };
+
+    content.innerHTML = `
+        ${renderPanelHeader(t('workspaces.label'), t('workspaces.title'), t('workspaces.description'))}
+        <form class="panel-actions" id="workspace-form">
+            <input type="text" class="tracker-input" name="name" placeholder="${t('workspaces.namePlaceholder')}" required>
+            <button type="submit" class="export-btn">${t('workspaces.add')}</button>
+        </form>
+        <table class="panel-table workspace-table">
+            <thead>
+                <tr>
+                    <th>${t('workspaces.system')}</th>
+                    <th>${t('filters.capabilities')}</th>
+                    <th>${t('workspaces.deployment')}</th>
+                    <th>${t('tracker.owner')}</th>
+                    <th></th>
+                </tr>
+            </thead>
+            <tbody>
+                ${workspaceState.workspaces.map(ws => `
+                    <tr data-workspace="${escapeHTML(ws.id)}" class="${ws.id === workspaceState.activeId ? 'active' : ''}">
+                        <td><input type="text" class="tracker-input" data-workspace-field="name" value="${escapeHTML(ws.name)}" required></td>
+                        <td>
+                            <div class="toggle-group">
+                                ${Object.keys(SYSTEM_CAPABILITIES).map(value => `
+                                    <button type="button" class="toggle-btn ${ws.profile.capabilities.includes(value) ? 'active' : ''}" data-workspace-capability="${value}">${formatValue('capabilityShort', value)}</button>
+                                `).join('')}
+                            </div>
+                        </td>
+                        <td><input type="text" class="tracker-input" data-workspace-field="deployment" value="${escapeHTML(ws.profile.deployment)}" placeholder="${t('workspaces.deploymentPlaceholder')}"></td>
+                        <td><input type="text" class="tracker-input" data-workspace-field="owner" value="${escapeHTML(ws.profile.owner)}" placeholder="${t('tracker.unassigned')}"></td>
+                        <td class="workspace-actions">
+                            ${ws.id === workspaceState.activeId
+                                ? `<span class="impl-badge implemented">${t('workspaces.active')}</span>`
+                                : `<button type="button" class="modal-link" data-workspace-action="switch">${t('workspaces.switch')}</button>`}
+                            ${workspaceState.workspaces.length > 1 ? `<button type="button" class="modal-link" data-workspace-action="delete">${t('common.delete')}</button>` : ''}
+                        </td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+
+        <div class="modal-section">
+            <h3 class="modal-section-title">${t('workspaces.byPrinciple')}</h3>
+            <table class="panel-table workspace-comparison">
+                <thead>
+                    <tr>
+                        <th>${t('table.principle')}</th>
+                        ${workspaceState.workspaces.map(ws => `<th>${escapeHTML(ws.name)}</th>`).join('')}
+                    </tr>
+                </thead>
+                <tbody>
+                    ${principles.map(p => `
+                        <tr>
+                            <td><span class="principle-badge" data-principle="${escapeHTML(p.id)}"><span class="dot"></span>${escapeHTML(p.name)}</span></td>
+                            ${workspaceState.workspaces.map(ws => readinessCell(activeRequirements.filter(r => r.principle === p.id), ws)).join('')}
+                        </tr>
+                    `).join('')}
+                    <tr class="workspace-total">
+                        <td>${t('workspaces.overall')}</td>
+                        ${workspaceState.workspaces.map(ws => readinessCell(activeRequirements, ws)).join('')}
+                    </tr>
+                </tbody>
+            </table>
+        </div>
+    `;
+
+    const rerender = () => renderWorkspacesPanel(content);
+
+    content.querySelector('#workspace-form').addEventListener('submit', (e) => {
+        e.preventDefault();
+        const name = e.target.elements.name.value.trim();
+        if (!name) return;
+        addWorkspace(name);
+        renderWorkspaceSwitcher();
+        rerender();
+    });
+
+    content.querySelectorAll('[data-workspace]').forEach(row => {
+        const id = row.dataset.workspace;
+
+        row.querySelectorAll('[data-workspace-field]').forEach(field => {
+            field.addEventListener('change', () => {
+                const key = field.dataset.workspaceField;
+                if (key === 'name') {
+                    if (!field.value.trim()) return;
+                    updateWorkspace(id, { name: field.value.trim() });
+                    renderWorkspaceSwitcher();
+                    rerender();
+                } else {
+                    updateWorkspace(id, { profile: { [key]: field.value.trim() } });
+                }
+            });
+        });
+
+        row.querySelectorAll('[data-workspace-capability]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                const workspace = workspaceState.workspaces.find(ws => ws.id === id);
+                const value = btn.dataset.workspaceCapability;
+                const capabilities = workspace.profile.capabilities.includes(value)
+                    ? workspace.profile.capabilities.filter(c => c !== value)
+                    : [...workspace.profile.capabilities, value];
+                updateWorkspace(id, { profile: { capabilities } });
+                if (id === workspaceState.activeId) refreshTrackerViews();
+                rerender();
+            });
+        });
+
+        const switchBtn = row.querySelector('[data-workspace-action="switch"]');
+        if (switchBtn) {
+            switchBtn.addEventListener('click', () => {
+                switchWorkspace(id);
+                rerender();
+            });
+        }
+
+        const deleteBtn = row.querySelector('[data-workspace-action="delete"]');
+        if (deleteBtn) {
+            deleteBtn.addEventListener('click', async () => {
+                const workspace = workspaceState.workspaces.find(ws => ws.id === id);
+                if (!window.confirm(t('workspaces.confirmDelete', { name: workspace.name }))) return;
+                try {
+                    await removeWorkspace(id);
+                } catch (error) {
+                    console.error('Error deleting workspace:', error);
+                }
+                renderWorkspaceSwitcher();
+                rerender();
+            });
+        }
+    });
+}
+
+// ============================================
+// Scoping Questionnaire
+// ============================================
+
+/**
+ * Each question maps a "yes" onto requirement capabilities, keywords or
+ * principles. Capabilities decide what is in scope; keywords and principles
+ * decide which optional requirements are worth recommending. The wording of
+ * each question, its hint and the reason it gives live in the locale
+ * catalogs under scoping.<id>.
+ */
+const SCOPING_QUESTIONS = [
+    {
+        id: 'text',
+        capabilities: ['Text-generation']
+    },
+    {
+        id: 'voice',
+        capabilities: ['Voice-generation']
+    },
+    {
+        id: 'images',
+        capabilities: ['Image-generation']
+    },
+    {
+        id: 'code',
+        capabilities: ['Code-generation']
+    },
+    {
+        id: 'automation',
+        capabilities: ['Automation'],
+        keywords: ['Tool Calls', 'Agent Permissions', 'Human Review', 'Escalation', 'Intervention', 'User Control']
+    },
+    {
+        id: 'customerData',
+        keywords: ['Model Training Data', 'Model Training', 'Cross-Customer Data', 'Data Rights', 'Consent', 'Opt-Out'],
+        principles: ['A']
+    },
+    {
+        id: 'customerFacing',
+        keywords: ['Transparency', 'Labelling', 'Feedback', 'Adversarial', 'Jailbreak', 'Prompt Injection', 'Monitoring'],
+        principles: ['C']
+    },
+    {
+        id: 'publicDetails',
+        keywords: ['Public Disclosure', 'Open-Source', 'System Cards']
+    },
+    {
+        id: 'regulated',
+        keywords: ['Regulatory', 'High-Risk Outputs', 'Human Review', 'Monitoring', 'Transparency', 'Quality management'],
+        principles: ['E']
+    }
+];
+
+const SCOPING_ANSWERS = ['yes', 'no', 'unsure'];
+
+const SCOPING_DECISIONS = ['included', 'recommended', 'deprioritised', 'excluded'];
+
+// "Not sure" counts as yes so nothing is scoped out on a guess
+function getAffirmedQuestions(answers) {
+    return SCOPING_QUESTIONS.filter(q => answers[q.id] === 'yes' || answers[q.id] === 'unsure');
+}
+
+// Answering every capability question "no" means no capabilities, not an unscoped system
+function hasCapabilityAnswers(answers) {
+    return SCOPING_QUESTIONS.some(q => q.capabilities && SCOPING_ANSWERS.includes(answers[q.id]));
+}
+
+function getScopedCapabilities(answers) {
+    return [...new Set(getAffirmedQuestions(answers).flatMap(q => q.capabilities || []))];
+}
+
+/**
+ * Decide for every active requirement whether it is included, recommended,
+ * deprioritised or excluded, with the reasons behind each decision.
+ */
+function scopeRequirements(answers) {
+    const affirmed = getAffirmedQuestions(answers);
+    const capabilities = getScopedCapabilities(answers);
+    const profile = { profile: { capabilities, scoping: { answers } } };
+    const lowerKeywords = req => (req.keywords || []).map(k => k.toLowerCase());
+    const formatCapabilities = list => list.map(c => formatValue('capabilityShort', c)).join(', ');
+
+    return getActiveRequirements().map(req => {
+        const reqCapabilities = getRequirementCapabilities(req);
+        const universal = reqCapabilities.includes('Universal');
+
+        if (!isRequirementInScope(req, profile)) {
+            return {
+                req,
+                decision: 'excluded',
+                reasons: [t('scoping.reason.otherCapabilities', { capabilities: formatCapabilities(reqCapabilities) })]
+            };
+        }
+
+        const reasons = [];
+        if (universal) {
+            reasons.push(t('scoping.reason.universal'));
+        } else if (capabilities.length === 0) {
+            reasons.push(t('scoping.reason.noCapabilities'));
+        } else {
+            const matched = reqCapabilities.filter(c => capabilities.includes(c));
+            reasons.push(t('scoping.reason.capabilities', { capabilities: formatCapabilities(matched) }));
+        }
+
+        const keywords = lowerKeywords(req);
+        const triggers = affirmed.filter(q =>
+            (q.keywords || []).some(k => keywords.includes(k.toLowerCase())) ||
+            (q.principles || []).includes(req.principle)
+        );
+        triggers.forEach(q => reasons.push(t(`scoping.${q.id}.reason`)));
+
+        if (req.status === 'Mandatory') {
+            return { req, decision: 'included', reasons };
+        }
+        if (triggers.length > 0) {
+            return { req, decision: 'recommended', reasons };
+        }
+        return {
+            req,
+            decision: 'deprioritised',
+            reasons: [...reasons, t('scoping.reason.deprioritised')]
+        };
+    });
+}
+
+function renderScopingPanel(content, state) {
+    const workspace = getActiveWorkspace();
+    const saved = workspace.profile.scoping;
+    const wizard = state || (saved
+        ? { answers: { ...saved.answers }, step: SCOPING_QUESTIONS.length }
+        : { answers: {}, step: 0 });
+
+    if (wizard.step >= SCOPING_QUESTIONS.length) {
+        renderScopingResults(content, wizard);
+        return;
+    }
+
+    const question = SCOPING_QUESTIONS[wizard.step];
+
+    content.innerHTML = `
+        ${renderPanelHeader(t('scoping.label'), t('panel.scoping'), t('scoping.description', { name: escapeHTML(workspace.name) }))}
+        <div class="scoping-progress">
+            <span class="filter-label">${t('scoping.progress', { step: wizard.step + 1, count: SCOPING_QUESTIONS.length })}</span>
+            <span class="workspace-bar"><span style="width: ${Math.round((wizard.step / SCOPING_QUESTIONS.length) * 100)}%"></span></span>
+        </div>
+        <div class="scoping-question">
+            <h3>${t(`scoping.${question.id}.question`)}</h3>
+            <p class="modal-description">${t(`scoping.${question.id}.hint`)}</p>
+            <div class="toggle-group">
+                ${SCOPING_ANSWERS.map(value => `
+                    <button type="button" class="toggle-btn ${wizard.answers[question.id] === value ? 'active' : ''}" data-scoping-answer="${value}">${t(`scoping.answer.${value}`)}</button>
+                `).join('')}
+            </div>
+        </div>
+        <div class="panel-actions">
+            ${wizard.step > 0 ? `<button type="button" class="modal-link" id="scoping-back">${t('scoping.back')}</button>` : ''}
+        </div>
+    `;
+
+    content.querySelectorAll('[data-scoping-answer]').forEach(btn => {
+        btn.addEventListener('click', () => {
+            renderScopingPanel(content, {
+                answers: { ...wizard.answers, [question.id]: btn.dataset.scopingAnswer },
+                step: wizard.step + 1
+            });
+        });
+    });
+
+    const backBtn = content.querySelector('#scoping-back');
+    if (backBtn) {
+        backBtn.addEventListener('click', () => renderScopingPanel(content, { ...wizard, step: wizard.step - 1 }));
+    }
+}
+
+function renderScopingResults(content, wizard) {
+    const workspace = getActiveWorkspace();
+    const results = scopeRequirements(wizard.answers);
+    const capabilities = getScopedCapabilities(wizard.answers);
+    const count = decision => results.filter(r => r.decision === decision).length;
+    const capabilityLabel = capabilities.length
+        ? capabilities.map(c => formatValue('capabilityShort', c)).join(', ')
+        : t(hasCapabilityAnswers(wizard.answers) ? 'scoping.noCapabilitiesUsed' : 'scoping.noCapabilities');
+
+    content.innerHTML = `
+        ${renderPanelHeader(t('scoping.label'), t('scoping.resultsTitle'), t('scoping.resultsDescription', { name: escapeHTML(workspace.name) }))}
+        <p class="panel-summary">
+            ${t('scoping.summary', { included: count('included'), recommended: count('recommended'), deprioritised: count('deprioritised'), excluded: count('excluded') })}
+        </p>
+        <div class="panel-actions">
+            <span class="filter-label">${t('scoping.capabilities', { capabilities: capabilityLabel })}</span>
+            <button type="button" class="export-btn" id="scoping-apply">${t('scoping.apply', { name: escapeHTML(workspace.name) })}</button>
+            <button type="button" class="modal-link" id="scoping-restart">${t('scoping.restart')}</button>
+        </div>
+        <div class="scoping-answers">
+            ${SCOPING_QUESTIONS.map(q => `
+                <div class="scoping-answer">
+                    <span>${t(`scoping.${q.id}.question`)}</span>
+                    <strong>${SCOPING_ANSWERS.includes(wizard.answers[q.id]) ? t(`scoping.answer.${wizard.answers[q.id]}`) : '—'}</strong>
+                </div>
+            `).join('')}
+        </div>
+        <table class="panel-table">
+            <thead>
+                <tr>
+                    <th>${t('table.id')}</th>
+                    <th>${t('table.requirement')}</th>
+                    <th>${t('scoping.decision')}</th>
+                    <th>${t('scoping.why')}</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${SCOPING_DECISIONS.map(decision => results.filter(r => r.decision === decision).map(({ req, reasons }) => `
+                    <tr data-open-requirement="${escapeHTML(req.id)}">
+                        <td><span class="req-id" data-principle="${escapeHTML(req.principle)}">${escapeHTML(req.id)}</span></td>
+                        <td>${escapeHTML(req.title)}</td>
+                        <td><span class="scoping-decision ${decision}">${t(`scoping.decision.${decision}`)}</span></td>
+                        <td class="scoping-reasons">${reasons.map(reason => `<div>${escapeHTML(reason)}</div>`).join('')}</td>
+                    </tr>
+                `).join('')).join('')}
+            </tbody>
+        </table>
+    `;
+
+    bindRequirementLinks(content);
+
+    content.querySelector('#scoping-restart').addEventListener('click', () => {
+        renderScopingPanel(content, { answers: wizard.answers, step: 0 });
+    });
+
+    content.querySelector('#scoping-apply').addEventListener('click', (e) => {
+        updateWorkspace(workspace.id, {
+            profile: {
+                capabilities,
+                scoping: { answers: wizard.answers, completedAt: new Date().toISOString() }
+            }
+        });
+        currentFilters.capabilities = [...capabilities];
+        syncFilterControls();
+        applyFilters();
+        syncURLState();
+        e.target.textContent = t('scoping.applied');
+    });
+}
+
+// ============================================
+// Roadmap
+// ============================================
+
+const EFFORT_POINTS = { low: 1, medium: 3, high: 5 };
+// Labelled roadmap.scheme.<key> in the locale catalogs
+const ROADMAP_SCHEMES = {
+    days: { phases: 3 },
+    quarters: { phases: 4 }
+};
+const ROADMAP_BACKLOG = 'backlog';
+const DEFAULT_ROADMAP_CAPACITY = 10;
+
+function getRoadmapSettings(workspace = getActiveWorkspace()) {
+    const roadmap = workspace.roadmap || {};
+    return {
+        scheme: ROADMAP_SCHEMES[roadmap.scheme] ? roadmap.scheme : 'days',
+        capacity: roadmap.capacity > 0 ? roadmap.capacity : DEFAULT_ROADMAP_CAPACITY,
+        startDate: roadmap.startDate || formatDate(new Date()),
+        assignments: roadmap.assignments || {}
+    };
+}
+
+function saveRoadmapSettings(changes) {
+    const workspace = getActiveWorkspace();
+    const previous = { roadmap: workspace.roadmap };
+    workspace.roadmap = { ...getRoadmapSettings(workspace), ...changes };
+    saveWorkspaces();
+    queueSync({ type: 'workspace', workspaceId: workspace.id, fields: { roadmap: workspace.roadmap }, previous });
+}
+
+function getRoadmapPhases(settings) {
+    const start = parseDate(settings.startDate);
+    const { phases } = ROADMAP_SCHEMES[settings.scheme];
+
+    const offset = i => (settings.scheme === 'days'
+        ? new Date(start.getFullYear(), start.getMonth(), start.getDate() + i * 30)
+        : addMonths(start, i * 3));
+
+    return Array.from({ length: phases }, (_, i) => {
+        const phaseStart = offset(i);
+        const next = offset(i + 1);
+        const phaseEnd = new Date(next.getFullYear(), next.getMonth(), next.getDate() - 1);
+
+        return {
+            label: settings.scheme === 'days'
+                ? t('roadmap.days', { from: i * 30 + 1, to: (i + 1) * 30 })
+                : t('roadmap.quarter', { number: i + 1 }),
+            start: formatDate(phaseStart),
+            end: formatDate(phaseEnd)
+        };
+    });
+}
+
+/**
+ * Requirements still to implement, most urgent first: mandatory before
+ * recommended before deprioritised, then light effort and preventative first.
+ */
+function getRoadmapCandidates() {
+    const workspace = getActiveWorkspace();
+    const scoping = workspace.profile.scoping;
+    const decisions = new Map(scoping
+        ? scopeRequirements(scoping.answers).map(({ req, decision }) => [req.id, decision])
+        : []);
+    const rank = req => {
+        if (req.status === 'Mandatory') return 0;
+        return decisions.get(req.id) === 'deprioritised' ? 2 : 1;
+    };
+
+    return getActiveRequirements()
+        .filter(req => isRequirementApplicable(req) && decisions.get(req.id) !== 'excluded')
+        .filter(req => getTrackerEntry(req.id).status !== 'implemented')
+        .map(req => ({ req, rank: rank(req), points: EFFORT_POINTS[req.effort] || EFFORT_POINTS.medium }))
+        .sort((a, b) =>
+            a.rank - b.rank ||
+            a.points - b.points ||
+            (a.req.type === 'Preventative' ? 0 : 1) - (b.req.type === 'Preventative' ? 0 : 1) ||
+            a.req.id.localeCompare(b.req.id)
+        );
+}
+
+/**
+ * Fill phases strictly in priority order up to the capacity: once an item
+ * does not fit a phase, nothing after it goes there either, so a later
+ * optional item never jumps ahead of a mandatory one. Items moved by hand
+ * stay where they were dropped; anything that does not fit goes to the backlog.
+ */
+function buildRoadmap(settings = getRoadmapSettings()) {
+    const phases = getRoadmapPhases(settings).map(phase => ({ ...phase, items: [], points: 0 }));
+    const backlog = [];
+    const candidates = getRoadmapCandidates();
+
+    const place = (item, phaseIndex) => {
+        if (phaseIndex === ROADMAP_BACKLOG || !phases[phaseIndex]) {
+            backlog.push(item);
+            return;
+        }
+        phases[phaseIndex].items.push(item);
+        phases[phaseIndex].points += item.points;
+    };
+
+    const pinned = candidates.filter(item => settings.assignments[item.req.id] !== undefined);
+    pinned.forEach(item => place(item, settings.assignments[item.req.id]));
+
+    let current = 0;
+    candidates
+        .filter(item => settings.assignments[item.req.id] === undefined)
+        .forEach(item => {
+            // Larger than a whole phase: it can never fit, so it should not hold the rest back
+            if (item.points > settings.capacity) {
+                place(item, ROADMAP_BACKLOG);
+                return;
+            }
+            while (phases[current] && phases[current].points + item.points > settings.capacity) current++;
+            place(item, phases[current] ? current : ROADMAP_BACKLOG);
+        });
+
+    return { phases, backlog, settings };
+}
+
+function renderRoadmapPanel(content) {
+    const roadmap = buildRoadmap();
+    const { settings } = roadmap;
+
+    const renderItem = ({ req, points }) => `
+        <div class="roadmap-item" draggable="true" data-roadmap-item="${escapeHTML(req.id)}">
+            <div class="roadmap-item-header">
+                <span class="req-id" data-principle="${escapeHTML(req.principle)}">${escapeHTML(req.id)}</span>
+                <span class="roadmap-points" title="${escapeHTML(getEffortLabel(req.effort))}">${t('roadmap.points', { count: points })}</span>
+            </div>
+            <div class="roadmap-item-title" data-open-requirement="${escapeHTML(req.id)}">${escapeHTML(req.title)}</div>
+            <div class="impl-meta">${escapeHTML(formatValue('status', req.status))} · ${escapeHTML(formatValue('type', req.type))}${settings.assignments[req.id] !== undefined ? ` · ${t('roadmap.moved')}` : ''}</div>
+        </div>
+    `;
+
+    const renderColumn = (key, title, subtitle, items, points) => `
+        <div class="roadmap-phase ${key !== ROADMAP_BACKLOG && points > settings.capacity ? 'over-capacity' : ''}" data-roadmap-phase="${key}">
+            <div class="roadmap-phase-header">
+                <span class="calendar-month-title">${title}</span>
+                <span class="impl-meta">${subtitle}</span>
+            </div>
+            <div class="roadmap-items">
+                ${items.map(renderItem).join('') || `<div class="calendar-empty">${t('roadmap.dropHere')}</div>`}
+            </div>
+        </div>
+    `;
+
+    content.innerHTML = `
+        ${renderPanelHeader(t('panel.roadmap'), t('roadmap.title'), t('roadmap.description', { name: escapeHTML(getActiveWorkspace().name) }))}
+        <form class="panel-actions" id="roadmap-settings">
+            <label class="tracker-field">
+                <span class="filter-label">${t('roadmap.phases')}</span>
+                <select class="framework-select" name="scheme">
+                    ${Object.keys(ROADMAP_SCHEMES).map(value => `
+                        <option value="${value}" ${settings.scheme === value ? 'selected' : ''}>${t(`roadmap.scheme.${value}`)}</option>
+                    `).join('')}
+                </select>
+            </label>
+            <label class="tracker-field">
+                <span class="filter-label">${t('roadmap.capacity')}</span>
+                <input type="number" class="tracker-input" name="capacity" min="1" value="${settings.capacity}">
+            </label>
+            <label class="tracker-field">
+                <span class="filter-label">${t('roadmap.start')}</span>
+                <input type="date" class="tracker-input" name="startDate" value="${escapeHTML(settings.startDate)}">
+            </label>
+            <button type="button" class="modal-link" id="roadmap-reset">${t('roadmap.replan')}</button>
+            <button type="button" class="export-btn" id="roadmap-csv">${t('roadmap.exportCSV')}</button>
+            <button type="button" class="export-btn" id="roadmap-print">${t('roadmap.printGantt')}</button>
+        </form>
+        <p class="panel-summary">${t('roadmap.effortPoints', { low: EFFORT_POINTS.low, medium: EFFORT_POINTS.medium, high: EFFORT_POINTS.high })}</p>
+        <div class="roadmap-board">
+            ${roadmap.phases.map((phase, i) => renderColumn(i, phase.label, `${phase.start} → ${phase.end} · ${t('roadmap.phasePoints', { points: phase.points, capacity: settings.capacity })}`, phase.items, phase.points)).join('')}
+            ${renderColumn(ROADMAP_BACKLOG, t('roadmap.backlog'), t('roadmap.unscheduled', { count: roadmap.backlog.reduce((sum, item) => sum + item.points, 0) }), roadmap.backlog, 0)}
+        </div>
+    `;
+
+    bindRequirementLinks(content);
+
+    const form = content.querySelector('#roadmap-settings');
+    form.addEventListener('change', () => {
+        const capacity = parseInt(form.elements.capacity.value, 10);
+        saveRoadmapSettings({
+            scheme: form.elements.scheme.value,
+            capacity: capacity > 0 ? capacity : DEFAULT_ROADMAP_CAPACITY,
+            startDate: form.elements.startDate.value || formatDate(new Date())
+        });
+        renderRoadmapPanel(content);
+    });
+    form.addEventListener('submit', (e) => e.preventDefault());
+
+    content.querySelector('#roadmap-reset').addEventListener('click', () => {
+        saveRoadmapSettings({ assignments: {} });
+        renderRoadmapPanel(content);
+    });
+    content.querySelector('#roadmap-csv').addEventListener('click', () => exportRoadmapCSV(roadmap));
+    content.querySelector('#roadmap-print').addEventListener('click', () => {
+        openPrintWindow(buildRoadmapGantt(roadmap), `aiuc-1-roadmap-${formatDate(new Date())}.html`);
+    });
+
+    content.querySelectorAll('[data-roadmap-item]').forEach(item => {
+        item.addEventListener('dragstart', (e) => {
+            e.dataTransfer.setData('text/plain', item.dataset.roadmapItem);
+            e.dataTransfer.effectAllowed = 'move';
+            item.classList.add('dragging');
+        });
+        item.addEventListener('dragend', () => item.classList.remove('dragging'));
+    });
+
+    content.querySelectorAll('[data-roadmap-phase]').forEach(column => {
+        column.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            column.classList.add('drop-target');
+        });
+        column.addEventListener('dragleave', () => column.classList.remove('drop-target'));
+        column.addEventListener('drop', (e) => {
+            e.preventDefault();
+            const reqId = e.dataTransfer.getData('text/plain');
+            if (!reqId) return;
+
+            const key = column.dataset.roadmapPhase;
+            saveRoadmapSettings({
+                assignments: { ...settings.assignments, [reqId]: key === ROADMAP_BACKLOG ? key : Number(key) }
+            });
+            renderRoadmapPanel(content);
+        });
+    });
+}
+
+function getRoadmapRows(roadmap) {
+    return [
+        ...roadmap.phases.flatMap(phase => phase.items.map(item => ({ phase, item }))),
+        ...roadmap.backlog.map(item => ({ phase: { label: t('roadmap.backlog'), start: '', end: '' }, item }))
+    ];
+}
+
+function exportRoadmapCSV(roadmap) {
+    const headers = ['Phase', 'Phase Start', 'Phase End', 'ID', 'Title', 'Status', 'Effort', 'Effort Points', 'Type', 'Frequency', 'Implementation', 'Owner'];
+    const rows = getRoadmapRows(roadmap).map(({ phase, item }) => {
+        const entry = getTrackerEntry(item.req.id);
+        return [
+            phase.label,
+            phase.start,
+            phase.end,
+            item.req.id,
+            item.req.title,
+            item.req.status,
+            getEffortLabel(item.req.effort),
+            item.points,
+            item.req.type,
+            item.req.frequency,
+            IMPLEMENTATION_STATUSES[entry.status],
+            entry.owner
+        ];
+    });
+
+    const csvContent = [headers, ...rows].map(toCSVRow).join('\n');
+    downloadBlob(new Blob([csvContent], { type: 'text/csv;charset=utf-8;' }), `aiuc-1-roadmap-${formatDate(new Date())}.csv`);
+}
+
+function buildRoadmapGantt(roadmap) {
+    const { phases, backlog, settings } = roadmap;
+    const workspace = getActiveWorkspace();
+    const columns = phases.length + 1;
+
+    const rows = getRoadmapRows(roadmap).map(({ item }) => {
+        const index = phases.findIndex(phase => phase.items.includes(item));
+        const column = index === -1 ? phases.length : index;
+        return `
+            <tr>
+                <td class="req-id">${escapeHTML(item.req.id)}</td>
+                <td>${escapeHTML(item.req.title)}<div class="meta">${escapeHTML(formatValue('status', item.req.status))} · ${t('roadmap.points', { count: item.points })}</div></td>
+                ${Array.from({ length: columns }, (_, i) => `
+                    <td class="cell">${i === column ? `<div class="bar ${index === -1 ? 'backlog' : ''}" style="background: var(--p-${escapeHTML(item.req.principle)})"></div>` : ''}</td>
+                `).join('')}
+            </tr>
+        `;
+    }).join('');
+
+    return `<!DOCTYPE html>
+<html lang="${translator.locale}">
+<head>
+    <meta charset="UTF-8">
+    <title>${escapeHTML(workspace.name)} · ${t('roadmap.title')} · ${formatDate(new Date())}</title>
+    <style>
+        :root { --p-A: #2563eb; --p-B: #db2777; --p-C: #d97706; --p-D: #7c3aed; --p-E: #059669; --p-F: #ea580c; }
+        body { font-family: 'Space Grotesk', system-ui, sans-serif; color: #09090b; line-height: 1.4; margin: 2rem; }
+        h1 { font-family: 'Instrument Serif', Georgia, serif; font-weight: 400; font-size: 2.25rem; margin: 0 0 0.25rem; }
+        table { border-collapse: collapse; width: 100%; font-size: 0.8125rem; }
+        th, td { text-align: left; padding: 0.3rem 0.5rem; border-bottom: 1px solid #e4e4e7; vertical-align: middle; }
+        th { font-size: 0.6875rem; text-transform: uppercase; letter-spacing: 0.08em; color: #71717a; }
+        th.phase { width: 14%; border-left: 1px solid #e4e4e7; }
+        td.cell { border-left: 1px solid #e4e4e7; padding: 0.3rem 0.25rem; }
+        tr { page-break-inside: avoid; }
+        .bar { height: 0.9rem; border-radius: 3px; }
+        .bar.backlog { opacity: 0.35; }
+        .req-id { font-family: 'DM Mono', monospace; color: #71717a; white-space: nowrap; }
+        .meta { color: #71717a; font-size: 0.75rem; }
+        @media print { body { margin: 0; } @page { size: landscape; } }
+    </style>
+</head>
+<body>
+    <div class="req-id">AIUC-1 · ${escapeHTML(workspace.name)}</div>
+    <h1>${t('roadmap.title')}</h1>
+    <p class="meta">${t('roadmap.printMeta', { date: formatDate(new Date()), scheme: t(`roadmap.scheme.${settings.scheme}`), start: escapeHTML(settings.startDate), capacity: settings.capacity, count: backlog.length })}</p>
+    <table>
+        <thead>
+            <tr>
+                <th>${t('table.id')}</th>
+                <th>${t('table.requirement')}</th>
+                ${phases.map(phase => `<th class="phase">${escapeHTML(phase.label)}<div class="meta">${phase.start} → ${phase.end}<br>${t('roadmap.phasePoints', { points: phase.points, capacity: settings.capacity })}</div></th>`).join('')}
+                <th class="phase">${t('roadmap.backlog')}</th>
+            </tr>
+        </thead>
+        <tbody>${rows}</tbody>
+    </table>
+    <script>window.addEventListener('load', () => window.print());<\/script>
+</body>
+</html>`;
+}
+
+// ============================================
+// Templates & Policy Documents
+// ============================================
+
+function downloadTemplate(req, format) {
+    const { template } = req.gettingStarted || {};
+    if (!template || !template.columns) return;
+
+    const rows = template.rows || [];
+    const filename = `aiuc-1-${req.id}-template`;
+
+    if (format === 'csv') {
+        const csvContent = [template.columns, ...rows].map(toCSVRow).join('\n');
+        downloadBlob(new Blob([csvContent], { type: 'text/csv;charset=utf-8;' }), `${filename}.csv`);
+        return;
+    }
+
+    const markdown = [
+        `# ${req.id} · ${req.title}`,
+        '',
+        template.description || null,
+        template.description ? '' : null,
+        buildMarkdownTable(template.columns, rows),
+        ''
+    ].filter(line => line !== null).join('\n');
+    downloadBlob(new Blob([markdown], { type: 'text/markdown;charset=utf-8' }), `${filename}.md`);
+}
+
+function buildMarkdownTable(columns, rows) {
+    const cell = value => String(value === null || value === undefined ? '' : value).replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+    return [
+        `| ${columns.map(cell).join(' | ')} |`,
+        `| ${columns.map(() => '---').join(' | ')} |`,
+        ...rows.map(row => `| ${columns.map((_, i) => cell(row[i])).join(' | ')} |`)
+    ].join('\n');
+}
+
+/**
+ * Starter policy text for one or more requirements, as a list of sections
+ * that the Markdown and HTML renderers both walk. Anything the user left
+ * blank stays as a [bracketed] placeholder to fill in later.
+ */
+function buildPolicyDocument(requirements, details) {
+    const company = details.company || t('policy.placeholder.company');
+    const owner = details.owner || t('policy.placeholder.owner');
+    const effectiveDate = details.effectiveDate || t('policy.placeholder.effectiveDate');
+    const bundle = requirements.length > 1;
+
+    const sections = requirements.map((req, i) => {
+        const number = bundle ? `${i + 1}.` : '';
+        const activities = req.controlActivities || {};
+        const mappings = Object.entries(req.frameworkMappings || {});
+        const blocks = [
+            { heading: t('policy.purpose'), paragraphs: [req.description] },
+            { heading: t('policy.scope'), paragraphs: [t('policy.scopeText', { company })] }
+        ];
+
+        if (activities.shouldInclude && activities.shouldInclude.length) {
+            blocks.push({
+                heading: t('policy.statements'),
+                paragraphs: [t('policy.statementsText', { company })],
+                ordered: activities.shouldInclude
+            });
+        }
+        if (activities.mayInclude && activities.mayInclude.length) {
+            blocks.push({
+                heading: t('policy.practices'),
+                paragraphs: [t('policy.practicesText', { company })],
+                list: activities.mayInclude
+            });
+        }
+        blocks.push(
+            { heading: t('policy.roles'), paragraphs: [t('policy.rolesText', { owner })] },
+            { heading: t('policy.review'), paragraphs: [t('policy.reviewText', { frequency: formatFrequency(req.frequency) || t('policy.placeholder.frequency') })] }
+        );
+        if (mappings.length) {
+            blocks.push({
+                heading: t('policy.references'),
+                list: [
+                    `AIUC-1 ${req.id}: ${getRequirementURL(req)}`,
+                    ...mappings.map(([name, refs]) => `${name}: ${[].concat(refs).join(', ')}`)
+                ]
+            });
+        }
+
+        return {
+            title: `${number ? `${number} ` : ''}${req.title}`,
+            reqId: req.id,
+            blocks: blocks.map((block, j) => ({ ...block, heading: `${number}${j + 1}${number ? '' : '.'} ${block.heading}` }))
+        };
+    });
+
+    return {
+        title: bundle ? details.title || t('policy.packTitle', { company }) : t('policy.title', { title: requirements[0].title }),
+        company,
+        owner,
+        effectiveDate,
+        sections
+    };
+}
+
+function renderPolicyMarkdown(doc) {
+    const lines = [
+        `# ${doc.title}`,
+        '',
+        buildMarkdownTable([t('policy.organisation'), t('policy.owner'), t('policy.effectiveDate'), t('policy.version')], [[doc.company, doc.owner, doc.effectiveDate, '1.0']]),
+        ''
+    ];
+
+    if (doc.sections.length > 1) {
+        lines.push(`## ${t('policy.contents')}`, '', ...doc.sections.map(section => `- ${section.title} (${section.reqId})`), '');
+    }
+
+    doc.sections.forEach(section => {
+        lines.push(`## ${section.title}`, '', `*AIUC-1 ${section.reqId}*`, '');
+        section.blocks.forEach(block => {
+            lines.push(`### ${block.heading}`, '');
+            (block.paragraphs || []).forEach(text => lines.push(text, ''));
+            if (block.ordered) lines.push(...block.ordered.map((item, i) => `${i + 1}. ${item}`), '');
+            if (block.list) lines.push(...block.list.map(item => `- ${item}`), '');
+        });
+    });
+
+    return lines.join('\n');
+}
+
+function renderPolicyHTML(doc) {
+    const sections = doc.sections.map(section => `
+        <section>
+            <h2>${escapeHTML(section.title)}</h2>
+            <p class="meta">AIUC-1 ${escapeHTML(section.reqId)}</p>
+            ${section.blocks.map(block => `
+                <h3>${escapeHTML(block.heading)}</h3>
+                ${(block.paragraphs || []).map(text => `<p>${escapeHTML(text)}</p>`).join('')}
+                ${block.ordered ? `<ol>${block.ordered.map(item => `<li>${escapeHTML(item)}</li>`).join('')}</ol>` : ''}
+                ${block.list ? `<ul>${block.list.map(item => `<li>${escapeHTML(item)}</li>`).join('')}</ul>` : ''}
+            `).join('')}
+        </section>
+    `).join('');
+
+    return `<!DOCTYPE html>
+<html lang="${translator.locale}">
+<head>
+    <meta charset="UTF-8">
+    <title>${escapeHTML(doc.title)}</title>
+    <style>
+        body { font-family: Georgia, serif; color: #09090b; line-height: 1.6; margin: 2rem auto; max-width: 760px; padding: 0 1.5rem; }
+        h1 { font-weight: 400; font-size: 2.25rem; margin: 0 0 1rem; }
+        h2 { font-weight: 400; font-size: 1.5rem; margin: 2rem 0 0; border-top: 1px solid #d4d4d8; padding-top: 1.5rem; }
+        h3 { font-family: system-ui, sans-serif; font-size: 0.8125rem; text-transform: uppercase; letter-spacing: 0.08em; color: #3f3f46; margin: 1.25rem 0 0.25rem; }
+        table { border-collapse: collapse; width: 100%; font-family: system-ui, sans-serif; font-size: 0.875rem; }
+        th, td { text-align: left; padding: 0.35rem 0.5rem; border: 1px solid #e4e4e7; }
+        .meta { color: #71717a; font-family: system-ui, sans-serif; font-size: 0.8125rem; margin: 0.25rem 0 0; }
+        section { page-break-inside: avoid; }
+    </style>
+</head>
+<body>
+    <h1>${escapeHTML(doc.title)}</h1>
+    <table>
+        <tr><th>${t('policy.organisation')}</th><th>${t('policy.owner')}</th><th>${t('policy.effectiveDate')}</th><th>${t('policy.version')}</th></tr>
+        <tr><td>${escapeHTML(doc.company)}</td><td>${escapeHTML(doc.owner)}</td><td>${escapeHTML(doc.effectiveDate)}</td><td>1.0</td></tr>
+    </table>
+    ${doc.sections.length > 1 ? `
+        <h3>${t('policy.contents')}</h3>
+        <ul>${doc.sections.map(section => `<li>${escapeHTML(section.title)} (${escapeHTML(section.reqId)})</li>`).join('')}</ul>
+    ` : ''}
+    ${sections}
+</body>
+</html>`;
+}
+
+function renderPoliciesPanel(content, state = {}) {
+    const selected = new Set(state.selected || []);
+    const workspace = getActiveWorkspace();
+
+    content.innerHTML = `
+        ${renderPanelHeader(t('policy.label'), t('policy.panelTitle'), t('policy.description'))}
+        <form id="policy-form">
+            <div class="tracker-form">
+                <label class="tracker-field">
+                    <span class="filter-label">${t('policy.company')}</span>
+                    <input type="text" class="tracker-input" name="company" placeholder="${t('policy.placeholder.company')}">
+                </label>
+                <label class="tracker-field">
+                    <span class="filter-label">${t('policy.owner')}</span>
+                    <input type="text" class="tracker-input" name="owner" value="${escapeHTML(workspace.profile.owner)}" placeholder="${t('policy.placeholder.owner')}">
+                </label>
+                <label class="tracker-field">
+                    <span class="filter-label">${t('policy.effectiveDate')}</span>
+                    <input type="date" class="tracker-input" name="effectiveDate">
+                </label>
+                <label class="tracker-field">
+                    <span class="filter-label">${t('policy.packTitleLabel')}</span>
+                    <input type="text" class="tracker-input" name="title" placeholder="${t('policy.packTitlePlaceholder')}">
+                </label>
+            </div>
+            <div class="panel-actions policy-actions">
+                <span class="panel-summary" id="policy-count"></span>
+                <button type="button" class="modal-link" data-policy-select="filtered">${t('policy.selectShown')}</button>
+                <button type="button" class="modal-link" data-policy-select="none">${t('policy.clear')}</button>
+                <button type="submit" class="export-btn" data-policy-format="markdown">${t('modal.downloadMarkdown')}</button>
+                <button type="submit" class="export-btn" data-policy-format="html">${t('policy.downloadHTML')}</button>
+            </div>
+            <div class="policy-list">
+                ${standardsData.principles.map(p => {
+                    const requirements = getActiveRequirements().filter(r => r.principle === p.id);
+                    if (requirements.length === 0) return '';
+                    return `
+                        <fieldset class="policy-group">
+                            <legend><span class="principle-badge" data-principle="${escapeHTML(p.id)}"><span class="dot"></span>${escapeHTML(p.name)}</span></legend>
+                            ${requirements.map(req => `
+                                <label class="control-check">
+                                    <input type="checkbox" name="requirement" value="${escapeHTML(req.id)}" ${selected.has(req.id) ? 'checked' : ''}>
+                                    <span><span class="req-id" data-principle="${escapeHTML(req.principle)}">${escapeHTML(req.id)}</span> ${escapeHTML(req.title)}</span>
+                                </label>
+                            `).join('')}
+                        </fieldset>
+                    `;
+                }).join('')}
+            </div>
+        </form>
+    `;
+
+    const form = content.querySelector('#policy-form');
+    const checkboxes = [...form.querySelectorAll('input[name="requirement"]')];
+    const updateCount = () => {
+        const count = checkboxes.filter(cb => cb.checked).length;
+        content.querySelector('#policy-count').textContent = t('policy.selected', { count });
+        form.querySelectorAll('[data-policy-format]').forEach(btn => { btn.disabled = count === 0; });
+    };
+    checkboxes.forEach(cb => cb.addEventListener('change', updateCount));
+    updateCount();
+
+    form.querySelectorAll('[data-policy-select]').forEach(btn => {
+        btn.addEventListener('click', () => {
+            const shown = new Set(filteredRequirements.map(r => r.id));
+            checkboxes.forEach(cb => { cb.checked = btn.dataset.policySelect === 'filtered' && shown.has(cb.value); });
+            updateCount();
+        });
+    });
+
+    form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        const ids = new Set(checkboxes.filter(cb => cb.checked).map(cb => cb.value));
+        const requirements = standardsData.requirements.filter(r => ids.has(r.id));
+        if (requirements.length === 0) return;
+
+        const doc = buildPolicyDocument(requirements, {
+            company: form.elements.company.value.trim(),
+            owner: form.elements.owner.value.trim(),
+            effectiveDate: form.elements.effectiveDate.value,
+            title: form.elements.title.value.trim()
+        });
+        const filename = requirements.length === 1
+            ? `aiuc-1-${requirements[0].id}-policy`
+            : `aiuc-1-policy-pack-${formatDate(new Date())}`;
+
+        if (e.submitter && e.submitter.dataset.policyFormat === 'html') {
+            downloadBlob(new Blob([renderPolicyHTML(doc)], { type: 'text/html;charset=utf-8' }), `${filename}.html`);
+        } else {
+            downloadBlob(new Blob([renderPolicyMarkdown(doc)], { type: 'text/markdown;charset=utf-8' }), `${filename}.md`);
+        }
+    });
+}
+
+// ============================================
+// Implementation Tracker
+// ============================================
+
+function getTrackerEntry(reqId, workspace = getActiveWorkspace()) {
+    const entry = Object.hasOwn(workspace.tracker, reqId) ? workspace.tracker[reqId] : {};
+    const checks = entry.checks || {};
+    return {
+        // Imports and the sync server can hand over statuses this version does not know
+        status: Object.hasOwn(IMPLEMENTATION_STATUSES, entry.status) ? entry.status : 'not-started',
+        owner: entry.owner || '',
+        dueDate: entry.dueDate || '',
+        lastReviewed: entry.lastReviewed || '',
+        notes: entry.notes || '',
+        checks: {
+            shouldInclude: (checks.shouldInclude || []).map(Boolean),
+            mayInclude: (checks.mayInclude || []).map(Boolean)
+        }
+    };
+}
+
+function updateTrackerEntry(reqId, changes) {
+    const workspace = getActiveWorkspace();
+    const stored = workspace.tracker[reqId] || {};
+    // What this browser last saw, so the sync server can tell if someone else changed it since
+    const previous = Object.fromEntries(Object.keys(changes).map(key => [key, stored[key] === undefined ? null : stored[key]]));
+
+    workspace.tracker[reqId] = {
+        ...stored,
+        ...getTrackerEntry(reqId),
+        ...changes,
+        updatedAt: new Date().toISOString()
+    };
+    saveWorkspaces();
+    queueSync({ type: 'requirement', workspaceId: workspace.id, reqId, changes, previous });
+}
+
+function setActivityChecked(reqId, group, index, checked) {
+    const { checks } = getTrackerEntry(reqId);
+    const groupChecks = [...checks[group]];
+    groupChecks[index] = checked;
+    updateTrackerEntry(reqId, { checks: { ...checks, [group]: groupChecks } });
+}
+
+function getActivityProgress(req) {
+    const { checks } = getTrackerEntry(req.id);
+    const activities = req.controlActivities || {};
+    const groups = ['shouldInclude', 'mayInclude'];
+
+    return {
+        done: groups.reduce((sum, group) =>
+            sum + (activities[group] || []).filter((_, i) => checks[group][i]).length, 0),
+        total: groups.reduce((sum, group) => sum + (activities[group] || []).length, 0)
+    };
+}
+
+function calculateReadiness(requirements, workspace = getActiveWorkspace()) {
+    const applicable = requirements.filter(r => isRequirementApplicable(r, workspace));
+    const implemented = applicable.filter(r => getTrackerEntry(r.id, workspace).status === 'implemented').length;
+
+    return {
+        implemented,
+        applicable: applicable.length,
+        percent: applicable.length > 0 ? Math.round((implemented / applicable.length) * 100) : 0
+    };
+}
+
+function renderTrackerCell(req) {
+    if (!isRequirementInScope(req)) {
+        return `<span class="impl-badge not-applicable">${t('tracker.outOfScope')}</span>`;
+    }
+
+    const entry = getTrackerEntry(req.id);
+    const progress = getActivityProgress(req);
+
+    return `
+        <span class="impl-badge ${escapeHTML(entry.status)}">${escapeHTML(t(`tracker.status.${entry.status}`))}</span>
+        ${progress.total > 0 ? `<div class="impl-meta">${t('tracker.activities', { done: progress.done, total: progress.total })}</div>` : ''}
+        ${entry.owner ? `<div class="impl-meta">${escapeHTML(entry.owner)}</div>` : ''}
+    `;
+}
+
+function renderTrackerSection(req) {
+    const entry = getTrackerEntry(req.id);
+
+    return `
+        <div class="modal-section">
+            <h3 class="modal-section-title">${t('tracker.title')}</h3>
+            <div class="tracker-form">
+                <label class="tracker-field">
+                    <span class="filter-label">${t('tracker.statusLabel')}</span>
+                    <select class="framework-select" data-tracker-field="status">
+                        ${Object.keys(IMPLEMENTATION_STATUSES).map(value => `
+                            <option value="${value}" ${entry.status === value ? 'selected' : ''}>${t(`tracker.status.${value}`)}</option>
+                        `).join('')}
+                    </select>
+                </label>
+                <label class="tracker-field">
+                    <span class="filter-label">${t('tracker.owner')}</span>
+                    <input type="text" class="tracker-input" data-tracker-field="owner" value="${escapeHTML(entry.owner)}" placeholder="${escapeHTML(t('tracker.unassigned'))}">
+                </label>
+                <label class="tracker-field">
+                    <span class="filter-label">${t('tracker.dueDate')}</span>
+                    <input type="date" class="tracker-input" data-tracker-field="dueDate" value="${escapeHTML(entry.dueDate)}">
+                </label>
+                <label class="tracker-field">
+                    <span class="filter-label">${t('tracker.lastReviewed')}</span>
+                    <input type="date" class="tracker-input" data-tracker-field="lastReviewed" value="${escapeHTML(entry.lastReviewed)}">
+                </label>
+                <label class="tracker-field tracker-field-wide">
+                    <span class="filter-label">${t('tracker.notes')}</span>
+                    <textarea class="tracker-input" data-tracker-field="notes" rows="3" placeholder="${escapeHTML(t('tracker.notesPlaceholder'))}">${escapeHTML(entry.notes)}</textarea>
+                </label>
+            </div>
+        </div>
+    `;
+}
+
+function bindTrackerControls(container, req) {
+    container.querySelectorAll('[data-tracker-field]').forEach(field => {
+        // Save as the user types, refresh the table once the value is committed
+        field.addEventListener('input', () => {
+            updateTrackerEntry(req.id, { [field.dataset.trackerField]: field.value });
+        });
+        field.addEventListener('change', refreshTrackerViews);
+    });
+
+    container.querySelectorAll('[data-activity-group]').forEach(checkbox => {
+        checkbox.addEventListener('change', () => {
+            setActivityChecked(req.id, checkbox.dataset.activityGroup, Number(checkbox.dataset.activityIndex), checkbox.checked);
+            refreshTrackerViews();
+        });
+    });
+}
+
+function refreshTrackerViews() {
+    renderRequirements();
+    updateStats();
+}
+
+// ============================================
+// Team Sync
+// ============================================
+
+function loadSyncState() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(SYNC_STORAGE_KEY)) || {};
+        syncState = {
+            ...syncState,
+            ...stored,
+            // A change that was in flight when the page closed is sent again
+            queue: (stored.queue || []).map(op => ({ ...op, sending: false }))
+        };
+    } catch (error) {
+        console.error('Error loading sync state:', error);
+    }
+}
+
+function saveSyncState() {
+    const { enabled, user, revision, lastSynced, knownWorkspaces, queue } = syncState;
+    try {
+        localStorage.setItem(SYNC_STORAGE_KEY, JSON.stringify({ enabled, user, revision, lastSynced, knownWorkspaces, queue }));
+    } catch (error) {
+        console.error('Error saving sync state:', error);
+    }
+}
+
+async function syncRequest(method, path, body) {
+    const response = await fetch(`api/${path}`, {
+        method,
+        headers: { 'Content-Type': 'application/json', 'X-User': syncState.user || 'anonymous' },
+        body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        const error = new Error(data.error || `HTTP ${response.status}`);
+        error.status = response.status;
+        throw error;
+    }
+    return data;
+}
+
+/**
+ * The sync server answers api/health; a static host does not. A browser
+ * that synced before keeps queueing changes while the server is unreachable.
+ */
+async function initializeSync() {
+    loadSyncState();
+
+    let reachable = false;
+    try {
+        const health = await syncRequest('GET', 'health');
+        reachable = health.service === 'aiuc1-navigator-sync';
+    } catch (error) {
+        // A response without the API means a plain static host
+        if (error.status) syncState.enabled = false;
+    }
+
+    if (!reachable && !syncState.enabled) {
+        saveSyncState();
+        return;
+    }
+
+    syncState.enabled = true;
+    syncState.connected = reachable;
+    saveSyncState();
+
+    window.addEventListener('online', () => syncNow());
+    setInterval(syncNow, SYNC_POLL_INTERVAL);
+    await syncNow();
+}
+
+// A snapshot, so later edits travel as their own queued changes
+function getWorkspaceSyncFields(workspace) {
+    const { name, profile, roadmap, tracker, createdAt } = workspace;
+    return JSON.parse(JSON.stringify({ name, profile, roadmap, tracker, createdAt }));
+}
+
+/**
+ * Local edits apply immediately and wait here until the server takes them.
+ * Consecutive edits to the same requirement or workspace collapse into one
+ * change, keeping the value seen before the first.
+ */
+function queueSync(op) {
+    if (!syncState.enabled) return;
+
+    const pending = ['requirement', 'workspace'].includes(op.type) && syncState.queue.find(item =>
+        !item.sending && item.type === op.type && item.workspaceId === op.workspaceId && item.reqId === op.reqId
+    );
+    if (pending) {
+        const key = op.type === 'requirement' ? 'changes' : 'fields';
+        pending[key] = { ...pending[key], ...op[key] };
+        pending.previous = { ...op.previous, ...pending.previous };
+    } else {
+        syncState.queue.push(op);
+    }
+
+    saveSyncState();
+    renderSyncStatus();
+    scheduleSync();
+}
+
+function scheduleSync() {
+    clearTimeout(syncTimer);
+    syncTimer = setTimeout(syncNow, 1000);
+}
+
+async function syncNow() {
+    if (!syncState.enabled || syncState.syncing) return;
+
+    syncState.syncing = true;
+    renderSyncStatus();
+    try {
+        await flushSyncQueue();
+        const health = await syncRequest('GET', 'health');
+        if (health.revision !== syncState.revision) await pullServerState();
+        syncState.connected = true;
+        syncState.lastSynced = new Date().toISOString();
+    } catch (error) {
+        // Offline or the server is down: the queue waits for the next attempt
+        if (error.status) console.error('Sync failed:', error);
+        syncState.connected = false;
+    } finally {
+        syncState.syncing = false;
+        saveSyncState();
+        renderSyncStatus();
+    }
+
+    if (syncState.connected && syncState.queue.length > 0) scheduleSync();
+}
+
+async function flushSyncQueue() {
+    while (syncState.queue.length > 0) {
+        const op = syncState.queue[0];
+        op.sending = true;
+
+        try {
+            handleSyncResult(op, await sendSyncOperation(op));
+        } catch (error) {
+            if (!error.status || error.status >= 500) {
+                op.sending = false;
+                throw error;
+            }
+            // Refused outright, e.g. the workspace was deleted by someone else; retrying cannot help
+            console.error('Sync change rejected:', error);
+            notifySync(t('sync.rejected', { message: error.message }));
+        }
+
+        syncState.queue.shift();
+        saveSyncState();
+    }
+}
+
+function sendSyncOperation(op) {
+    const workspace = `workspaces/${encodeURIComponent(op.workspaceId)}`;
+    const requirement = `${workspace}/requirements/${encodeURIComponent(op.reqId)}`;
+
+    switch (op.type) {
+        case 'requirement':
+            return syncRequest('PATCH', requirement, { changes: op.changes, previous: op.previous });
+        case 'workspace':
+            return syncRequest('PUT', workspace, { fields: op.fields, previous: op.previous });
+        case 'delete-workspace':
+            return syncRequest('DELETE', workspace);
+        case 'comment':
+            return syncRequest('POST', `${requirement}/comments`, op.comment);
+        default:
+            return Promise.resolve({});
+    }
+}
+
+// Last writer wins, but nobody should be overwritten silently
+function handleSyncResult(op, result) {
+    const workspace = workspaceState.workspaces.find(ws => ws.id === op.workspaceId);
+    const name = workspace ? workspace.name : op.workspaceId;
+
+    (result.conflicts || []).forEach(conflict => {
+        notifySync(t('sync.conflict', {
+            user: conflict.updatedBy || t('sync.someone'),
+            field: formatSyncField(conflict.field),
+            target: op.reqId ? t('sync.requirementIn', { id: op.reqId, name }) : name,
+            value: formatSyncValue(conflict.field, conflict.theirs)
+        }));
+    });
+}
+
+/**
+ * Replace the local copy with the server's, then replay changes still
+ * waiting in the queue. Workspaces the server has never seen are pushed;
+ * ones it has seen but no longer has were deleted by someone else. On the
+ * first sync, local progress in a workspace the server already has (every
+ * browser starts with the same default) is kept as a copy.
+ */
+async function pullServerState() {
+    const { revision, workspaces } = await syncRequest('GET', 'state');
+    const serverIds = new Set(workspaces.map(ws => ws.id));
+    const merged = workspaces.map(ws => createWorkspace(ws.name, ws));
+    const push = workspace => {
+        merged.push(workspace);
+        syncState.queue.push({ type: 'workspace', workspaceId: workspace.id, fields: getWorkspaceSyncFields(workspace) });
+    };
+
+    workspaceState.workspaces.forEach(ws => {
+        const queued = syncState.queue.some(op => op.type === 'workspace' && op.workspaceId === ws.id);
+        if (!serverIds.has(ws.id)) {
+            if (!queued && !syncState.knownWorkspaces.includes(ws.id)) push(ws);
+        } else if (syncState.revision === null && Object.keys(ws.tracker).length > 0) {
+            push(createWorkspace(t('workspaces.localCopy', { name: ws.name }), { ...ws, id: generateId('workspace') }));
+        }
+    });
+    syncState.queue.forEach(op => applyQueuedOperation(op, merged));
+
+    if (merged.length === 0) {
+        const workspace = createWorkspace(t('workspaces.defaultName'));
+        merged.push(workspace);
+        syncState.queue.push({ type: 'workspace', workspaceId: workspace.id, fields: getWorkspaceSyncFields(workspace) });
+    }
+
+    workspaceState.workspaces = merged;
+    if (!merged.some(ws => ws.id === workspaceState.activeId)) workspaceState.activeId = merged[0].id;
+    syncState.knownWorkspaces = [...serverIds];
+    syncState.revision = revision;
+    saveWorkspaces();
+    refreshSyncedViews();
+}
+
+function applyQueuedOperation(op, workspaces) {
+    const index = workspaces.findIndex(ws => ws.id === op.workspaceId);
+    const workspace = workspaces[index];
+
+    if (op.type === 'delete-workspace') {
+        if (workspace) workspaces.splice(index, 1);
+    } else if (op.type === 'workspace') {
+        if (workspace) {
+            Object.assign(workspace, { ...op.fields, profile: { ...workspace.profile, ...op.fields.profile } });
+        } else {
+            workspaces.push(createWorkspace(op.fields.name, { ...op.fields, id: op.workspaceId }));
+        }
+    } else if (op.type === 'requirement' && workspace) {
+        workspace.tracker[op.reqId] = { ...workspace.tracker[op.reqId], ...op.changes };
+    } else if (op.type === 'comment' && workspace) {
+        const comments = workspace.comments[op.reqId] || (workspace.comments[op.reqId] = []);
+        if (!comments.some(comment => comment.id === op.comment.id)) {
+            comments.push({ ...op.comment, author: syncState.user || 'anonymous', pending: true });
+        }
+    }
+}
+
+// Tracker fields in an open requirement are left alone so typing is not interrupted
+function refreshSyncedViews() {
+    renderWorkspaceSwitcher();
+    if (!standardsData) return;
+
+    applyFilters();
+    const comments = document.getElementById('sync-comments');
+    const req = openRequirementId && standardsData.requirements.find(r => r.id === openRequirementId);
+    if (comments && req) comments.innerHTML = renderCommentList(req);
+}
+
+function notifySync(message) {
+    syncState.notices.push(message);
+    renderSyncNotices();
+}
+
+function renderSyncNotices() {
+    const container = document.getElementById('sync-notices');
+    if (!container) return;
+
+    container.hidden = syncState.notices.length === 0;
+    container.innerHTML = `
+        <ul>${syncState.notices.map(message => `<li>${escapeHTML(message)}</li>`).join('')}</ul>
+        <button type="button" class="modal-link" id="sync-notices-dismiss">${t('sync.dismiss')}</button>
+    `;
+    container.querySelector('#sync-notices-dismiss').addEventListener('click', () => {
+        syncState.notices = [];
+        renderSyncNotices();
+    });
+}
+
+function renderSyncStatus() {
+    const el = document.getElementById('sync-status');
+    if (!el) return;
+
+    el.hidden = !syncState.enabled;
+    const pending = syncState.queue.length;
+    let label = t('sync.synced');
+    if (syncState.syncing) label = t('sync.syncing');
+    else if (!syncState.connected) label = pending > 0 ? `${t('footer.offline')} · ${t('sync.pending', { count: pending })}` : t('footer.offline');
+    else if (pending > 0) label = t('sync.pending', { count: pending });
+
+    el.textContent = label;
+    el.classList.toggle('offline', !syncState.connected);
+    el.title = syncState.lastSynced
+        ? t('sync.lastSynced', { time: new Date(syncState.lastSynced).toLocaleString() })
+        : t('sync.neverSynced');
+}
+
+// Tracker and workspace fields as they read inside a sentence
+function formatSyncField(field) {
+    return translator.has(`sync.field.${field}`) ? t(`sync.field.${field}`) : field;
+}
+
+function formatSyncValue(field, value) {
+    if (value === null || value === undefined || value === '') return '—';
+    if (field === 'status') return IMPLEMENTATION_STATUSES[value] ? t(`tracker.status.${value}`) : value;
+    if (field === 'checks') {
+        const checked = Object.values(value || {}).flat().filter(Boolean).length;
+        return t('sync.checked', { count: checked });
+    }
+    if (typeof value === 'object') return t('sync.updated');
+
+    const text = String(value);
+    return text.length > 80 ? `${text.slice(0, 79)}…` : text;
+}
+
+function renderCommentList(req) {
+    const comments = getActiveWorkspace().comments[req.id] || [];
+    if (comments.length === 0) return `<p class="panel-note">${t('comments.empty')}</p>`;
+
+    return comments.map(comment => `
+        <div class="sync-comment${comment.pending ? ' pending' : ''}">
+            <div class="sync-comment-meta">
+                <strong>${escapeHTML(comment.author)}</strong>
+                ${escapeHTML(new Date(comment.createdAt).toLocaleString())}
+                ${comment.pending ? `· ${t('comments.pending')}` : ''}
+            </div>
+            <div class="sync-comment-text">${escapeHTML(comment.text)}</div>
+        </div>
+    `).join('');
+}
+
+function renderCollaborationSection(req) {
+    if (!syncState.enabled) return '';
+
+    return `
+        <div class="modal-section">
+            <h3 class="modal-section-title">${t('comments.title')}</h3>
+            <div id="sync-comments">${renderCommentList(req)}</div>
+            <form class="sync-comment-form" id="sync-comment-form">
+                <textarea class="tracker-input" name="text" rows="2" placeholder="${escapeHTML(t('comments.placeholder', { user: syncState.user || t('comments.anonymous') }))}" required></textarea>
+                <button type="submit" class="modal-link">${t('comments.post')}</button>
+            </form>
+            <details class="sync-history" id="sync-history">
+                <summary>${t('comments.history')}</summary>
+                <div class="sync-history-list"></div>
+            </details>
+        </div>
+    `;
+}
+
+function bindCollaborationControls(container, req) {
+    const form = container.querySelector('#sync-comment-form');
+    if (!form) return;
+
+    form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        const text = form.elements.text.value.trim();
+        if (!text) return;
+
+        const comment = { id: OSCAL.generateUUID(), text, createdAt: new Date().toISOString() };
+        const workspace = getActiveWorkspace();
+        const op = { type: 'comment', workspaceId: workspace.id, reqId: req.id, comment };
+        applyQueuedOperation(op, workspaceState.workspaces);
+        saveWorkspaces();
+        queueSync(op);
+
+        form.reset();
+        container.querySelector('#sync-comments').innerHTML = renderCommentList(req);
+    });
+
+    container.querySelector('#sync-history').addEventListener('toggle', async (e) => {
+        if (!e.target.open) return;
+        e.target.querySelector('.sync-history-list').innerHTML = await renderAuditEntries({
+            workspace: getActiveWorkspace().id,
+            requirement: req.id,
+            limit: 50
+        });
+    });
+}
+
+async function renderAuditEntries(query) {
+    let entries;
+    try {
+        const params = new URLSearchParams(Object.entries(query).filter(([, value]) => value));
+        entries = (await syncRequest('GET', `audit?${params}`)).entries;
+    } catch (error) {
+        return `<p class="panel-note">${t('sync.historyOffline')}</p>`;
+    }
+    if (entries.length === 0) return `<p class="panel-note">${t('sync.historyEmpty')}</p>`;
+
+    const describe = entry => {
+        if (entry.action === 'create') return t('sync.audit.create', { name: escapeHTML(entry.to) });
+        if (entry.action === 'delete') return t('sync.audit.delete', { name: escapeHTML(entry.from) });
+        if (entry.action === 'comment') return t('sync.audit.comment', { text: escapeHTML(formatSyncValue('comment', entry.to)) });
+        return t('sync.audit.update', {
+            field: escapeHTML(formatSyncField(entry.field)),
+            from: escapeHTML(formatSyncValue(entry.field, entry.from)),
+            to: escapeHTML(formatSyncValue(entry.field, entry.to))
+        });
+    };
+
+    return `
+        <table class="panel-table sync-audit-table">
+            <tbody>
+                ${entries.map(entry => `
+                    <tr>
+                        <td class="sync-audit-time">${escapeHTML(new Date(entry.at).toLocaleString())}</td>
+                        <td>${escapeHTML(entry.user)}</td>
+                        ${query.requirement ? '' : `<td>${entry.requirementId ? `<button type="button" class="crosswalk-req" data-open-requirement="${escapeHTML(entry.requirementId)}">${escapeHTML(entry.requirementId)}</button>` : ''}</td>`}
+                        <td>${describe(entry)}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+function renderSyncPanel(content) {
+    const pending = syncState.queue.length;
+
+    content.innerHTML = `
+        ${renderPanelHeader(t('sync.label'), t('sync.title'), t('sync.description'))}
+        <div class="panel-actions">
+            <label class="tracker-field">
+                <span class="filter-label">${t('sync.user')}</span>
+                <input type="text" class="tracker-input" id="sync-user" value="${escapeHTML(syncState.user)}" placeholder="${t('sync.userPlaceholder')}">
+            </label>
+            <button type="button" class="export-btn" id="sync-now">${t('sync.now')}</button>
+            <span class="panel-note">
+                ${syncState.connected ? t('sync.connected') : t('footer.offline')} ·
+                ${t('sync.waiting', { count: pending })}
+                ${syncState.lastSynced ? `· ${t('sync.lastSyncedInline', { time: escapeHTML(new Date(syncState.lastSynced).toLocaleString()) })}` : ''}
+            </span>
+        </div>
+
+        <div class="modal-section">
+            <h3 class="modal-section-title">${t('sync.activity', { name: escapeHTML(getActiveWorkspace().name) })}</h3>
+            <div id="sync-activity"><p class="panel-note">${t('common.loading')}</p></div>
+        </div>
+    `;
+
+    content.querySelector('#sync-user').addEventListener('change', (e) => {
+        syncState.user = e.target.value.trim();
+        saveSyncState();
+    });
+
+    content.querySelector('#sync-now').addEventListener('click', async () => {
+        await syncNow();
+        renderSyncPanel(content);
+    });
+
+    renderAuditEntries({ workspace: getActiveWorkspace().id, limit: 100 }).then(html => {
+        const activity = content.querySelector('#sync-activity');
+        if (!activity) return;
+        activity.innerHTML = html;
+        bindRequirementLinks(activity);
+    });
+}
+
+// ============================================
+// Evidence
+// ============================================
+
+function openEvidenceDB() {
+    if (evidenceDB) return Promise.resolve(evidenceDB);
+
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(EVIDENCE_DB_NAME, 1);
+        request.onupgradeneeded = () => {
+            const store = request.result.createObjectStore(EVIDENCE_STORE, { keyPath: 'id' });
+            store.createIndex('reqId', 'reqId');
+        };
+        request.onsuccess = () => {
+            evidenceDB = request.result;
+            resolve(evidenceDB);
+        };
+        request.onerror = () => reject(request.error);
+    });
+}
+
+async function runEvidenceTransaction(mode, operation) {
+    const db = await openEvidenceDB();
+
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(EVIDENCE_STORE, mode);
+        const request = operation(tx.objectStore(EVIDENCE_STORE));
+        tx.oncomplete = () => resolve(request.result);
+        tx.onerror = () => reject(tx.error);
+        // A quota overrun aborts the transaction without an error event on it
+        tx.onabort = () => reject(tx.error || new DOMException('Transaction aborted', 'AbortError'));
+    });
+}
+
+async function loadEvidence() {
+    try {
+        evidenceItems = await runEvidenceTransaction('readonly', store => store.getAll());
+    } catch (error) {
+        console.error('Error loading evidence:', error);
+        evidenceItems = [];
+    }
+}
+
+async function addEvidence(item) {
+    const record = {
+        ...item,
+        workspaceId: workspaceState.activeId,
+        id: generateId('evidence'),
+        createdAt: new Date().toISOString()
+    };
+    await runEvidenceTransaction('readwrite', store => store.put(record));
+    evidenceItems.push(record);
+    return record;
+}
+
+async function deleteEvidence(id) {
+    await runEvidenceTransaction('readwrite', store => store.delete(id));
+    evidenceItems = evidenceItems.filter(item => item.id !== id);
+}
+
+/**
+ * Evidence for a requirement. Pass a target ("shouldInclude:0") for a single
+ * control activity, null for requirement-level evidence, or omit it for all.
+ */
+function getEvidenceFor(reqId, target) {
+    return evidenceItems
+        .filter(item => item.reqId === reqId && getEvidenceWorkspaceId(item) === workspaceState.activeId)
+        .filter(item => target === undefined || (item.target || null) === target)
+        .sort((a, b) => getEvidenceDate(b).localeCompare(getEvidenceDate(a)));
+}
+
+// Evidence recorded before workspaces existed belongs to the default workspace
+function getEvidenceWorkspaceId(item) {
+    return item.workspaceId || DEFAULT_WORKSPACE_ID;
+}
+
+function getEvidenceDate(item) {
+    return [item.date, item.periodEnd].filter(Boolean).sort().pop() || item.createdAt.slice(0, 10);
+}
+
+function getFrequencyMonths(frequency) {
+    const match = /every\s+(\d+)\s+months?/i.exec(frequency || '');
+    return match ? Number(match[1]) : 12;
+}
+
+function getEvidenceGaps() {
+    const today = parseDate(formatDate(new Date()));
+
+    return getActiveRequirements()
+        .filter(req => req.status === 'Mandatory' && isRequirementApplicable(req))
+        .map(req => {
+            const items = getEvidenceFor(req.id);
+            if (items.length === 0) return { req, reason: 'missing' };
+
+            const latest = getEvidenceDate(items[0]);
+            const expires = addMonths(parseDate(latest), getFrequencyMonths(req.frequency));
+            return expires < today ? { req, reason: 'stale', latest, expires: formatDate(expires) } : null;
+        })
+        .filter(Boolean);
+}
+
+function renderEvidenceSection(req) {
+    const activities = req.controlActivities || {};
+    const targets = ['shouldInclude', 'mayInclude'].flatMap(group =>
+        (activities[group] || []).map((item, i) => ({ value: `${group}:${i}`, label: item }))
+    );
+
+    return `
+        <div class="modal-section">
+            <h3 class="modal-section-title">${t('evidence.title')}</h3>
+            <div class="evidence-list" id="evidence-list">
+                ${renderEvidenceList(req)}
+            </div>
+            <form class="evidence-form" id="evidence-form">
+                <label class="tracker-field">
+                    <span class="filter-label">${t('evidence.kind')}</span>
+                    <select class="framework-select" name="kind">
+                        ${Object.keys(EVIDENCE_KINDS).map(value => `<option value="${value}">${t(`evidence.kind.${value}`)}</option>`).join('')}
+                    </select>
+                </label>
+                <label class="tracker-field">
+                    <span class="filter-label">${t('evidence.label')}</span>
+                    <input type="text" class="tracker-input" name="label" placeholder="${escapeHTML(t('evidence.labelPlaceholder'))}" required>
+                </label>
+                <label class="tracker-field" data-evidence-field="location">
+                    <span class="filter-label">${t('evidence.location')}</span>
+                    <input type="text" class="tracker-input" name="location" placeholder="https://...">
+                </label>
+                <label class="tracker-field" data-evidence-field="file" hidden>
+                    <span class="filter-label">${t('evidence.file')}</span>
+                    <input type="file" class="tracker-input" name="file">
+                </label>
+                <label class="tracker-field">
+                    <span class="filter-label">${t('evidence.date')}</span>
+                    <input type="date" class="tracker-input" name="date" value="${formatDate(new Date())}" required>
+                </label>
+                <label class="tracker-field">
+                    <span class="filter-label">${t('evidence.periodStart')}</span>
+                    <input type="date" class="tracker-input" name="periodStart">
+                </label>
+                <label class="tracker-field">
+                    <span class="filter-label">${t('evidence.periodEnd')}</span>
+                    <input type="date" class="tracker-input" name="periodEnd">
+                </label>
+                <label class="tracker-field tracker-field-wide">
+                    <span class="filter-label">${t('evidence.appliesTo')}</span>
+                    <select class="framework-select" name="activity">
+                        <option value="">${t('evidence.wholeRequirement')}</option>
+                        ${targets.map(target => `<option value="${target.value}">${escapeHTML(target.label)}</option>`).join('')}
+                    </select>
+                </label>
+                <div class="evidence-form-actions">
+                    <span class="evidence-form-error" id="evidence-form-error"></span>
+                    <button type="submit" class="export-btn">${t('evidence.add')}</button>
+                </div>
+            </form>
+        </div>
+    `;
+}
+
+function renderEvidenceList(req) {
+    const items = getEvidenceFor(req.id);
+    if (items.length === 0) {
+        return `<p class="evidence-empty">${t('evidence.empty')}</p>`;
+    }
+
+    return items.map(item => {
+        const [group, index] = (item.target || '').split(':');
+        const activity = group ? ((req.controlActivities || {})[group] || [])[Number(index)] : null;
+
+        return `
+            <div class="evidence-item">
+                <span class="evidence-kind">${escapeHTML(formatEvidenceKind(item.kind))}</span>
+                <div class="evidence-body">
+                    <div class="evidence-label">${renderEvidenceLabel(item)}</div>
+                    <div class="evidence-meta">
+                        ${escapeHTML(item.date || '')}
+                        ${item.periodStart || item.periodEnd ? ` · ${escapeHTML(t('evidence.period', { start: item.periodStart || '…', end: item.periodEnd || '…' }))}` : ''}
+                        ${activity ? ` · ${escapeHTML(activity)}` : ''}
+                    </div>
+                </div>
+                <button type="button" class="evidence-delete" data-delete-evidence="${escapeHTML(item.id)}" title="${escapeHTML(t('evidence.remove'))}">×</button>
+            </div>
+        `;
+    }).join('');
+}
+
+function renderEvidenceLabel(item) {
+    const label = escapeHTML(item.label || item.fileName || item.location || t('evidence.untitled'));
+
+    if (item.kind === 'link' && /^https?:\/\//i.test(item.location || '')) {
+        return `<a href="${escapeHTML(item.location)}" target="_blank" rel="noopener">${label}</a>`;
+    }
+    if (item.kind === 'file') {
+        return `<a href="#" data-download-evidence="${escapeHTML(item.id)}">${label}</a>`;
+    }
+    return `${label}${item.location ? ` <code>${escapeHTML(item.location)}</code>` : ''}`;
+}
+
+function renderEvidenceChips(items) {
+    return items.map(item => `
+        <span class="evidence-chip" title="${escapeHTML(formatEvidenceKind(item.kind))} · ${escapeHTML(getEvidenceDate(item))}">
+            ${escapeHTML(item.label || item.fileName || t('evidence.title'))}
+        </span>
+    `).join('');
+}
+
+function bindEvidenceControls(container, req) {
+    const form = container.querySelector('#evidence-form');
+    if (!form) return;
+    const fields = form.elements;
+
+    fields.kind.addEventListener('change', () => {
+        const isFile = fields.kind.value === 'file';
+        form.querySelector('[data-evidence-field="file"]').hidden = !isFile;
+        form.querySelector('[data-evidence-field="location"]').hidden = isFile;
+    });
+
+    form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const errorEl = container.querySelector('#evidence-form-error');
+        errorEl.textContent = '';
+
+        const item = {
+            reqId: req.id,
+            target: fields.activity.value || null,
+            kind: fields.kind.value,
+            label: fields.label.value.trim(),
+            date: fields.date.value,
+            periodStart: fields.periodStart.value,
+            periodEnd: fields.periodEnd.value
+        };
+
+        if (item.kind === 'file') {
+            const file = fields.file.files[0];
+            if (!file) {
+                errorEl.textContent = t('evidence.chooseFile');
+                return;
+            }
+            if (file.size > MAX_EVIDENCE_FILE_SIZE) {
+                errorEl.textContent = t('evidence.fileTooLarge');
+                return;
+            }
+            Object.assign(item, { blob: file, fileName: file.name, fileType: file.type, fileSize: file.size });
+        } else {
+            item.location = fields.location.value.trim();
+        }
+
+        try {
+            await addEvidence(item);
+            form.reset();
+            fields.date.value = formatDate(new Date());
+            fields.kind.dispatchEvent(new Event('change'));
+            refreshEvidenceViews(container, req);
+        } catch (error) {
+            console.error('Error saving evidence:', error);
+            errorEl.textContent = t('evidence.saveFailed');
+        }
+    });
+
+    bindEvidenceItemControls(container, req);
+}
+
+function bindEvidenceItemControls(container, req) {
+    container.querySelectorAll('[data-delete-evidence]').forEach(btn => {
+        btn.addEventListener('click', async () => {
+            try {
+                await deleteEvidence(btn.dataset.deleteEvidence);
+            } catch (error) {
+                console.error('Error deleting evidence:', error);
+            }
+            // Re-render either way so the list matches what is actually stored
+            refreshEvidenceViews(container, req);
+        });
+    });
+
+    container.querySelectorAll('[data-download-evidence]').forEach(link => {
+        link.addEventListener('click', (e) => {
+            e.preventDefault();
+            const item = evidenceItems.find(i => i.id === link.dataset.downloadEvidence);
+            if (item && item.blob) downloadBlob(item.blob, item.fileName || 'evidence');
+        });
+    });
+}
+
+function refreshEvidenceViews(container, req) {
+    container.querySelector('#evidence-list').innerHTML = renderEvidenceList(req);
+    container.querySelectorAll('[data-evidence-target]').forEach(el => {
+        el.innerHTML = renderEvidenceChips(getEvidenceFor(req.id, el.dataset.evidenceTarget));
+    });
+    bindEvidenceItemControls(container, req);
+}
+
+function renderEvidenceGapsPanel(content) {
+    const gaps = getEvidenceGaps();
+
+    content.innerHTML = `
+        ${renderPanelHeader(t('evidence.title'), t('panel.evidence-gaps'), t('evidenceGaps.description'))}
+        ${gaps.length === 0 ? `
+            <div class="empty-state">
+                <h3 class="empty-state-title">${t('evidenceGaps.empty')}</h3>
+                <p class="empty-state-text">${t('evidenceGaps.emptyHint')}</p>
+            </div>
+        ` : `
+            <table class="panel-table">
+                <thead>
+                    <tr>
+                        <th>${t('table.id')}</th>
+                        <th>${t('table.requirement')}</th>
+                        <th>${t('table.frequency')}</th>
+                        <th>${t('evidenceGaps.gap')}</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${gaps.map(({ req, reason, latest, expires }) => `
+                        <tr data-open-requirement="${escapeHTML(req.id)}">
+                            <td><span class="req-id" data-principle="${escapeHTML(req.principle)}">${escapeHTML(req.id)}</span></td>
+                            <td>${escapeHTML(req.title)}</td>
+                            <td><span class="frequency-text">${escapeHTML(formatFrequency(req.frequency))}</span></td>
+                            <td>
+                                ${reason === 'missing'
+                                    ? `<span class="gap-badge missing">${t('evidenceGaps.missing')}</span>`
+                                    : `<span class="gap-badge stale">${t('evidenceGaps.stale')}</span><div class="impl-meta">${t('evidenceGaps.expired', { latest, expires })}</div>`}
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `}
+    `;
+
+    bindRequirementLinks(content);
+}
+
+// ============================================
+// Review Calendar
+// ============================================
+
+const REVIEW_HORIZON_MONTHS = 12;
+
+function getReviewSchedules() {
+    const today = parseDate(formatDate(new Date()));
+
+    return getActiveRequirements()
+        .filter(req => isRequirementApplicable(req))
+        .map(req => {
+            const { lastReviewed } = getTrackerEntry(req.id);
+            const months = getFrequencyMonths(req.frequency);
+            if (!lastReviewed) {
+                return { req, months, lastReviewed: null, nextReview: null, overdue: false };
+            }
+
+            const nextReview = addMonths(parseDate(lastReviewed), months);
+            return { req, months, lastReviewed, nextReview: formatDate(nextReview), overdue: nextReview < today };
+        });
+}
+
+/**
+ * Review dates for a schedule that fall inside [from, until]. Each date is
+ * computed from the last review so month-end clamping never drifts.
+ */
+function projectReviewDates(schedule, from, until) {
+    if (!schedule.lastReviewed) return [];
+
+    const base = parseDate(schedule.lastReviewed);
+    const dates = [];
+    for (let k = 1; ; k++) {
+        const date = addMonths(base, k * schedule.months);
+        if (date > until) break;
+        if (date >= from) dates.push(formatDate(date));
+    }
+    return dates;
+}
+
+function renderReviewCalendarPanel(content) {
+    const today = parseDate(formatDate(new Date()));
+    const until = addMonths(today, REVIEW_HORIZON_MONTHS);
+    const schedules = getReviewSchedules();
+    const overdue = schedules.filter(s => s.overdue);
+    const unscheduled = schedules.filter(s => !s.lastReviewed);
+
+    const months = Array.from({ length: REVIEW_HORIZON_MONTHS }, (_, i) => {
+        const start = new Date(today.getFullYear(), today.getMonth() + i, 1);
+        return { key: formatDate(start).slice(0, 7), start, reviews: [] };
+    });
+    schedules.forEach(schedule => {
+        projectReviewDates(schedule, today, until).forEach(date => {
+            const month = months.find(m => m.key === date.slice(0, 7));
+            if (month) month.reviews.push({ date, req: schedule.req });
+        });
+    });
+
+    content.innerHTML = `
+        ${renderPanelHeader(t('reviews.label'), t('panel.review-calendar'), t('reviews.description', { count: REVIEW_HORIZON_MONTHS }))}
+        <div class="panel-actions">
+            <button class="export-btn" id="export-ics">
+                <svg width="16" height="16" viewBox="0 0 16 16" fill="none">
+                    <path d="M2 10V13H14V10M8 2V10M8 10L4 6M8 10L12 6" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"/>
+                </svg>
+                ${t('reviews.exportICS')}
+            </button>
+        </div>
+
+        ${overdue.length > 0 ? `
+            <div class="modal-section">
+                <h3 class="modal-section-title">${t('reviews.overdue', { count: overdue.length })}</h3>
+                ${renderReviewList(overdue.map(s => ({ req: s.req, date: s.nextReview })), 'overdue')}
+            </div>
+        ` : ''}
+
+        ${unscheduled.length > 0 ? `
+            <div class="modal-section">
+                <h3 class="modal-section-title">${t('reviews.neverReviewed', { count: unscheduled.length })}</h3>
+                ${renderReviewList(unscheduled.map(s => ({ req: s.req, date: null })), 'unscheduled')}
+            </div>
+        ` : ''}
+
+        <div class="modal-section">
+            <h3 class="modal-section-title">${t('reviews.upcoming')}</h3>
+            <div class="calendar-grid">
+                ${months.map(month => `
+                    <div class="calendar-month">
+                        <div class="calendar-month-title">${month.start.toLocaleDateString(translator.locale, { month: 'long', year: 'numeric' })}</div>
+                        ${month.reviews.length === 0
+                            ? `<div class="calendar-empty">${t('reviews.none')}</div>`
+                            : month.reviews
+                                .sort((a, b) => a.date.localeCompare(b.date))
+                                .map(({ date, req }) => `
+                                    <div class="calendar-entry" data-open-requirement="${escapeHTML(req.id)}">
+                                        <span class="calendar-day">${Number(date.slice(8))}</span>
+                                        <span class="req-id" data-principle="${escapeHTML(req.principle)}">${escapeHTML(req.id)}</span>
+                                        <span class="calendar-title">${escapeHTML(req.title)}</span>
+                                    </div>
+                                `).join('')}
+                    </div>
+                `).join('')}
+            </div>
+        </div>
+    `;
+
+    content.querySelector('#export-ics').addEventListener('click', exportReviewCalendar);
+    content.querySelectorAll('[data-mark-reviewed]').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            updateTrackerEntry(btn.dataset.markReviewed, { lastReviewed: formatDate(new Date()) });
+            refreshTrackerViews();
+            renderReviewCalendarPanel(content);
+        });
+    });
+    bindRequirementLinks(content);
+}
+
+function renderReviewList(items, state) {
+    return `
+        <table class="panel-table">
+            <tbody>
+                ${items.map(({ req, date }) => `
+                    <tr data-open-requirement="${escapeHTML(req.id)}">
+                        <td><span class="req-id" data-principle="${escapeHTML(req.principle)}">${escapeHTML(req.id)}</span></td>
+                        <td>${escapeHTML(req.title)}</td>
+                        <td><span class="frequency-text">${escapeHTML(formatFrequency(req.frequency))}</span></td>
+                        <td>${state === 'overdue' ? `<span class="gap-badge missing">${t('reviews.due', { date })}</span>` : `<span class="gap-badge stale">${t('reviews.noDate')}</span>`}</td>
+                        <td><button class="panel-btn" data-mark-reviewed="${escapeHTML(req.id)}">${t('reviews.markReviewed')}</button></td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+/**
+ * Export the review schedule as an RFC 5545 calendar. Each requirement becomes
+ * one recurring all-day event; overdue and never-reviewed items start today.
+ */
+function exportReviewCalendar() {
+    const today = parseDate(formatDate(new Date()));
+    const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//Adversis//AIUC-1 Navigator//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeICSText(t('reviews.calendarName'))}`
+    ];
+
+    getReviewSchedules().forEach(({ req, months, nextReview, overdue }) => {
+        const start = nextReview && !overdue ? parseDate(nextReview) : today;
+        const end = new Date(start.getFullYear(), start.getMonth(), start.getDate() + 1);
+        const { owner } = getTrackerEntry(req.id);
+        const description = [
+            req.description,
+            '',
+            `${t('table.frequency')}: ${formatFrequency(req.frequency)}`,
+            owner ? `${t('tracker.owner')}: ${owner}` : null,
+            `${getRequirementURL(req)}`
+        ].filter(line => line !== null).join('\n');
+
+        lines.push(
+            'BEGIN:VEVENT',
+            `UID:${req.id}-review@aiuc1-navigator`,
+            `DTSTAMP:${stamp}`,
+            `DTSTART;VALUE=DATE:${formatICSDate(start)}`,
+            `DTEND;VALUE=DATE:${formatICSDate(end)}`,
+            `RRULE:FREQ=MONTHLY;INTERVAL=${months}`,
+            `SUMMARY:${escapeICSText(t('reviews.eventSummary', { id: req.id, title: req.title }))}`,
+            `DESCRIPTION:${escapeICSText(description)}`,
+            `URL:${getRequirementURL(req)}`,
+            'BEGIN:VALARM',
+            'ACTION:DISPLAY',
+            `DESCRIPTION:${escapeICSText(t('reviews.eventReminder', { id: req.id }))}`,
+            'TRIGGER:-P1D',
+            'END:VALARM',
+            'END:VEVENT'
+        );
+    });
+
+    lines.push('END:VCALENDAR');
+
+    const content = lines.map(foldICSLine).join('\r\n') + '\r\n';
+    downloadBlob(new Blob([content], { type: 'text/calendar;charset=utf-8' }), `aiuc-1-review-schedule-${formatDate(today)}.ics`);
+}
+
+function formatICSDate(date) {
+    return formatDate(date).replace(/-/g, '');
+}
+
+function escapeICSText(value) {
+    return String(value)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+// RFC 5545 §3.1: lines longer than 75 octets are folded with CRLF + space
+function foldICSLine(line) {
+    const encoder = new TextEncoder();
+    let folded = '';
+    let current = '';
+    let octets = 0;
+
+    for (const char of line) {
+        const size = encoder.encode(char).length;
+        if (octets + size > 75) {
+            folded += `${current}\r\n `;
+            current = '';
+            octets = 1;
+        }
+        current += char;
+        octets += size;
+    }
+
+    return folded + current;
+}
+
+// ============================================
+// Framework Crosswalk
+// ============================================
+
+/**
+ * Reverse index of frameworkMappings: one entry per external control with
+ * every AIUC-1 requirement that references it.
+ */
+function buildCrosswalkIndex() {
+    return RequirementsQuery.buildCrosswalkIndex(getActiveRequirements(), getFrameworkNames());
+}
+
+function renderCrosswalkPanel(content) {
+    const index = buildCrosswalkIndex();
+    const frameworks = getFrameworkNames().filter(name => index.some(e => e.framework === name));
+
+    content.innerHTML = `
+        ${renderPanelHeader(t('crosswalk.label'), t('panel.crosswalk'), t('crosswalk.description'))}
+        <div class="panel-actions">
+            <label class="tracker-field">
+                <span class="filter-label">${t('filters.framework')}</span>
+                <select class="framework-select" id="crosswalk-framework">
+                    <option value="all">${t('filters.allFrameworks')}</option>
+                    ${frameworks.map(name => `<option value="${escapeHTML(name)}">${escapeHTML(name)}</option>`).join('')}
+                </select>
+            </label>
+            <label class="tracker-field crosswalk-search">
+                <span class="filter-label">${t('crosswalk.controlId')}</span>
+                <input type="text" class="tracker-input" id="crosswalk-query" placeholder="A.7.2, MEASURE 2.10, DSP-16..." list="crosswalk-refs">
+                <datalist id="crosswalk-refs"></datalist>
+            </label>
+            <button class="export-btn" id="export-crosswalk">
+                <svg width="16" height="16" viewBox="0 0 16 16" fill="none">
+                    <path d="M2 10V13H14V10M8 2V10M8 10L4 6M8 10L12 6" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"/>
+                </svg>
+                ${t('crosswalk.export')}
+            </button>
+        </div>
+        <div id="crosswalk-results"></div>
+    `;
+
+    const frameworkSelect = content.querySelector('#crosswalk-framework');
+    const queryInput = content.querySelector('#crosswalk-query');
+
+    const update = () => {
+        const matches = RequirementsQuery.searchCrosswalk(index, frameworkSelect.value, queryInput.value);
+        content.querySelector('#crosswalk-refs').innerHTML = RequirementsQuery.searchCrosswalk(index, frameworkSelect.value, '')
+            .map(entry => `<option value="${escapeHTML(entry.ref)}">`).join('');
+        content.querySelector('#crosswalk-results').innerHTML = renderCrosswalkResults(matches);
+        bindRequirementLinks(content.querySelector('#crosswalk-results'));
+    };
+
+    frameworkSelect.addEventListener('change', update);
+    queryInput.addEventListener('input', update);
+    content.querySelector('#export-crosswalk').addEventListener('click', () => exportCrosswalkMatrix(index));
+    update();
+}
+
+function renderCrosswalkResults(matches) {
+    if (matches.length === 0) {
+        return `
+            <div class="empty-state">
+                <h3 class="empty-state-title">${t('crosswalk.empty')}</h3>
+                <p class="empty-state-text">${t('crosswalk.emptyHint')}</p>
+            </div>
+        `;
+    }
+
+    return `
+        <p class="panel-summary">${t('crosswalk.count', { count: matches.length })}</p>
+        <table class="panel-table">
+            <thead>
+                <tr>
+                    <th>${t('filters.framework')}</th>
+                    <th>${t('crosswalk.control')}</th>
+                    <th>${t('crosswalk.requirements')}</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${matches.map(entry => `
+                    <tr>
+                        <td><span class="framework-tag">${escapeHTML(getFrameworkAbbrev(entry.framework))}</span></td>
+                        <td><span class="crosswalk-ref">${escapeHTML(entry.ref)}</span></td>
+                        <td>
+                            <div class="crosswalk-reqs">
+                                ${entry.requirements.map(req => `
+                                    <button class="crosswalk-req" data-open-requirement="${escapeHTML(req.id)}" title="${escapeHTML(req.title)}">
+                                        <span class="req-id" data-principle="${escapeHTML(req.principle)}">${escapeHTML(req.id)}</span>
+                                        ${escapeHTML(req.title)}
+                                    </button>
+                                `).join('')}
+                            </div>
+                        </td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+function exportCrosswalkMatrix(index) {
+    const requirementIds = getActiveRequirements().map(r => r.id);
+    const headers = ['Framework', 'Control', 'Requirement Count', ...requirementIds];
+    const rows = index.map(entry => {
+        const mapped = new Set(entry.requirements.map(r => r.id));
+        return [
+            entry.framework,
+            entry.ref,
+            mapped.size,
+            ...requirementIds.map(id => (mapped.has(id) ? 'X' : ''))
+        ];
+    });
+
+    const csvContent = [headers, ...rows].map(toCSVRow).join('\n');
+    downloadBlob(new Blob([csvContent], { type: 'text/csv;charset=utf-8;' }), `aiuc-1-crosswalk-${formatDate(new Date())}.csv`);
+}
+
+// ============================================
+// Framework Coverage
+// ============================================
+
+function loadControlCatalogs() {
+    try {
+        controlCatalogs = JSON.parse(localStorage.getItem(CATALOG_STORAGE_KEY)) || {};
+    } catch (error) {
+        console.error('Error loading control catalogs:', error);
+        controlCatalogs = {};
+    }
+}
+
+function saveControlCatalogs() {
+    try {
+        localStorage.setItem(CATALOG_STORAGE_KEY, JSON.stringify(controlCatalogs));
+    } catch (error) {
+        console.error('Error saving control catalogs:', error);
+    }
+}
+
+/**
+ * Accepts ["DSP-01", ...], [{ "id": "DSP-01" }, ...] or
+ * { "framework": "CSA AICM", "controls": [...] } and returns control IDs.
+ */
+function parseControlCatalog(json) {
+    const list = Array.isArray(json) ? json : (json && json.controls);
+    if (!Array.isArray(list)) {
+        throw new Error(t('coverage.invalidList'));
+    }
+
+    const controls = list
+        .map(item => (typeof item === 'string' ? item : item && (item.id || item.ref)))
+        .filter(id => typeof id === 'string' && id.trim())
+        .map(id => id.trim());
+
+    if (controls.length === 0) throw new Error(t('coverage.emptyList'));
+    return { framework: json.framework || null, controls: [...new Set(controls)] };
+}
+
+function getFrameworkCoverage(index, framework) {
+    const entries = index.filter(e => e.framework === framework);
+    const requirements = new Set(entries.flatMap(e => e.requirements.map(r => r.id)));
+    const catalog = controlCatalogs[framework] || null;
+    const mappedRefs = new Set(entries.map(e => e.ref));
+
+    return {
+        framework,
+        entries,
+        requirementCount: requirements.size,
+        catalog,
+        unmapped: catalog ? catalog.filter(id => !mappedRefs.has(id)) : [],
+        catalogCovered: catalog ? catalog.filter(id => mappedRefs.has(id)).length : 0
+    };
+}
+
+function renderCoveragePanel(content, selected) {
+    const index = buildCrosswalkIndex();
+    const frameworks = getFrameworkNames().filter(name => index.some(e => e.framework === name) || controlCatalogs[name]);
+    const framework = frameworks.includes(selected) ? selected : frameworks[0];
+
+    content.innerHTML = `
+        ${renderPanelHeader(t('coverage.label'), t('panel.coverage'), t('coverage.description'))}
+
+        <div class="modal-section coverage-heatmap-section">
+            <h3 class="modal-section-title">${t('coverage.byPrinciple')}</h3>
+            ${renderCoverageHeatmap(frameworks)}
+        </div>
+
+        <div class="modal-section">
+            <div class="panel-actions">
+                <label class="tracker-field">
+                    <span class="filter-label">${t('filters.framework')}</span>
+                    <select class="framework-select" id="coverage-framework">
+                        ${frameworks.map(name => `<option value="${escapeHTML(name)}" ${name === framework ? 'selected' : ''}>${escapeHTML(name)}</option>`).join('')}
+                    </select>
+                </label>
+                <label class="export-btn coverage-upload">
+                    <input type="file" accept=".json,application/json" id="coverage-catalog-file" hidden>
+                    ${t('coverage.loadList')}
+                </label>
+                ${controlCatalogs[framework] ? `<button class="panel-btn" id="coverage-catalog-remove">${t('coverage.removeList')}</button>` : ''}
+                <span class="evidence-form-error" id="coverage-error"></span>
+            </div>
+            ${framework ? renderFrameworkCoverage(getFrameworkCoverage(index, framework)) : ''}
+        </div>
+    `;
+
+    content.querySelector('#coverage-framework').addEventListener('change', (e) => {
+        renderCoveragePanel(content, e.target.value);
+    });
+
+    content.querySelector('#coverage-catalog-file').addEventListener('change', async (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+
+        try {
+            const catalog = parseControlCatalog(JSON.parse(await file.text()));
+            const target = catalog.framework && frameworks.includes(catalog.framework) ? catalog.framework : framework;
+            controlCatalogs[target] = catalog.controls;
+            saveControlCatalogs();
+            renderCoveragePanel(content, target);
+        } catch (error) {
+            content.querySelector('#coverage-error').textContent = t('coverage.loadFailed', { message: error.message });
+        }
+    });
+
+    const removeBtn = content.querySelector('#coverage-catalog-remove');
+    if (removeBtn) {
+        removeBtn.addEventListener('click', () => {
+            delete controlCatalogs[framework];
+            saveControlCatalogs();
+            renderCoveragePanel(content, framework);
+        });
+    }
+
+    bindRequirementLinks(content);
+}
+
+function renderCoverageHeatmap(frameworks) {
+    const cells = standardsData.principles.map(principle => {
+        const requirements = getActiveRequirements().filter(r => r.principle === principle.id);
+        return {
+            principle,
+            total: requirements.length,
+            counts: frameworks.map(framework => {
+                const mapped = requirements.filter(r => (r.frameworkMappings || {})[framework]);
+                const refs = new Set(mapped.flatMap(r => r.frameworkMappings[framework]));
+                return { mapped: mapped.length, refs: refs.size };
+            })
+        };
+    });
+
+    return `
+        <table class="panel-table heatmap-table">
+            <thead>
+                <tr>
+                    <th>${t('table.principle')}</th>
+                    ${frameworks.map(name => `<th title="${escapeHTML(name)}">${escapeHTML(getFrameworkAbbrev(name))}</th>`).join('')}
+                </tr>
+            </thead>
+            <tbody>
+                ${cells.map(({ principle, total, counts }) => `
+                    <tr>
+                        <td>
+                            <span class="principle-badge" data-principle="${escapeHTML(principle.id)}">
+                                <span class="dot"></span>
+                                ${escapeHTML(principle.id)} · ${escapeHTML(principle.name)}
+                            </span>
+                        </td>
+                        ${counts.map(({ mapped, refs }, i) => `
+                            <td class="heatmap-cell" style="--heat: ${total ? (mapped / total).toFixed(2) : 0}" title="${t('coverage.cellTitle', { count: mapped, total, principle: escapeHTML(principle.name), framework: escapeHTML(frameworks[i]), refs })}">
+                                ${mapped}<span class="heatmap-total">/${total}</span>
+                            </td>
+                        `).join('')}
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+function renderFrameworkCoverage(coverage) {
+    const { entries, requirementCount, catalog, unmapped, catalogCovered } = coverage;
+    const maxCount = Math.max(1, ...entries.map(e => e.requirements.length));
+
+    return `
+        <div class="coverage-stats">
+            <div class="coverage-stat">
+                <span class="coverage-stat-number">${entries.length}</span>
+                <span class="stat-label">${t('coverage.controlsReferenced')}</span>
+            </div>
+            <div class="coverage-stat">
+                <span class="coverage-stat-number">${requirementCount}</span>
+                <span class="stat-label">${t('coverage.requirements')}</span>
+            </div>
+            ${catalog ? `
+                <div class="coverage-stat">
+                    <span class="coverage-stat-number">${Math.round((catalogCovered / catalog.length) * 100)}%</span>
+                    <span class="stat-label">${t('coverage.covered', { done: catalogCovered, total: catalog.length })}</span>
+                </div>
+            ` : ''}
+        </div>
+
+        ${catalog ? `
+            <h3 class="modal-section-title">${t('coverage.unmapped', { count: unmapped.length })}</h3>
+            ${unmapped.length > 0
+                ? `<div class="keywords-list coverage-unmapped">${unmapped.map(id => `<span class="keyword-tag">${escapeHTML(id)}</span>`).join('')}</div>`
+                : `<p class="evidence-empty">${t('coverage.allMapped')}</p>`}
+        ` : `
+            <p class="panel-summary">${t('coverage.listHint')}</p>
+        `}
+
+        <h3 class="modal-section-title coverage-controls-title">${t('coverage.referenced')}</h3>
+        <div class="coverage-bars">
+            ${entries.map(entry => `
+                <div class="coverage-bar-row">
+                    <span class="crosswalk-ref">${escapeHTML(entry.ref)}</span>
+                    <span class="coverage-bar"><span class="coverage-bar-fill" style="width: ${(entry.requirements.length / maxCount) * 100}%"></span></span>
+                    <span class="coverage-bar-reqs">
+                        ${entry.requirements.map(req => `<button class="req-id crosswalk-req" data-principle="${escapeHTML(req.principle)}" data-open-requirement="${escapeHTML(req.id)}" title="${escapeHTML(req.title)}">${escapeHTML(req.id)}</button>`).join('')}
+                    </span>
+                </div>
+            `).join('')}
+        </div>
+    `;
+}
+
+// ============================================
+// Related Requirements
+// ============================================
+
+const RELATED_LIMIT = 6;
+const GRAPH_WIDTH = 800;
+const GRAPH_HEIGHT = 560;
+const GRAPH_NODE_RADIUS = 14;
+// Pointer travel, in screen pixels, before a press on a node counts as a drag
+const GRAPH_DRAG_THRESHOLD = 3;
+
+function getRelationIndex() {
+    if (relationIndex && relationIndex.source === standardsData) return relationIndex;
+
+    relationIndex = { source: standardsData, ...RequirementsQuery.buildRelationIndex(getActiveRequirements()) };
+    return relationIndex;
+}
+
+// "Keywords: Opt-Out · 3 framework references · Same principle"
+function formatRelationReasons(relation) {
+    const reasons = [];
+    if (relation.keywords.length > 0) {
+        reasons.push(t('related.keywords', { count: relation.keywords.length, keywords: relation.keywords.join(', ') }));
+    }
+    if (relation.references.length > 0) {
+        const shown = relation.references.slice(0, 3).map(r => `${getFrameworkAbbrev(r.framework)} ${r.ref}`);
+        const more = relation.references.length - shown.length;
+        reasons.push(more > 0 ? t('related.moreReferences', { references: shown.join(', '), count: more }) : shown.join(', '));
+    }
+    if (relation.samePrinciple) reasons.push(t('related.samePrinciple'));
+    return reasons.join(' · ');
+}
+
+function renderRelatedRequirements(req) {
+    const relations = getRelationIndex().related.get(req.id) || [];
+    if (relations.length === 0) return '';
+
+    return `
+        <div class="modal-section" id="related-requirements">
+            <div class="related-header">
+                <h3 class="modal-section-title">${t('related.title')}</h3>
+                <button type="button" class="crosswalk-req" data-related-graph>${t('related.viewGraph')}</button>
+            </div>
+            <ul class="related-list">
+                ${relations.slice(0, RELATED_LIMIT).map(relation => {
+                    const other = standardsData.requirements.find(r => r.id === relation.id);
+                    return `
+                        <li>
+                            <button type="button" class="related-item" data-open-requirement="${escapeHTML(other.id)}">
+                                <span class="req-id" data-principle="${escapeHTML(other.principle)}">${escapeHTML(other.id)}</span>
+                                <span class="related-body">
+                                    <span class="related-title">${escapeHTML(other.title)}</span>
+                                    <span class="related-reasons">${escapeHTML(formatRelationReasons(relation))}</span>
+                                </span>
+                                <span class="related-score" title="${escapeHTML(t('related.score'))}">${relation.score.toFixed(1)}</span>
+                            </button>
+                        </li>
+                    `;
+                }).join('')}
+            </ul>
+        </div>
+    `;
+}
+
+function renderRelationsPanel(content, state = {}) {
+    const { edges } = getRelationIndex();
+    const requirements = getActiveRequirements();
+    const maxScore = Math.max(...edges.map(e => e.score), 1);
+    const minScore = state.minScore || 1.5;
+    const shown = edges.filter(edge => edge.score >= minScore);
+    const nodes = layoutRelationGraph(requirements, shown, state.positions);
+
+    content.innerHTML = `
+        ${renderPanelHeader(t('relations.label'), t('panel.relations'), t('relations.description'))}
+        <div class="panel-actions">
+            <label class="tracker-field">
+                <span class="filter-label">${t('relations.minimum')} <span id="graph-min-label">${minScore.toFixed(1)}</span></span>
+                <input type="range" id="graph-min-score" min="0.5" max="${Math.ceil(maxScore)}" step="0.5" value="${minScore}">
+            </label>
+            <div class="graph-legend">
+                ${standardsData.principles.map(p => `
+                    <span class="principle-badge" data-principle="${escapeHTML(p.id)}"><span class="dot"></span>${escapeHTML(p.name)}</span>
+                `).join('')}
+            </div>
+        </div>
+        <p class="panel-summary">${t('relations.summary', { requirements: requirements.length, count: shown.length })}</p>
+        <svg class="relation-graph" id="relation-graph" viewBox="0 0 ${GRAPH_WIDTH} ${GRAPH_HEIGHT}" role="group" aria-label="${t('relations.graphLabel')}">
+            <g class="graph-edges">
+                ${shown.map(edge => `
+                    <line data-source="${escapeHTML(edge.source)}" data-target="${escapeHTML(edge.target)}"
+                        stroke-width="${(0.75 + (edge.score / maxScore) * 5).toFixed(2)}">
+                        <title>${escapeHTML(`${edge.source} ↔ ${edge.target} (${edge.score.toFixed(1)}): ${formatRelationReasons(edge)}`)}</title>
+                    </line>
+                `).join('')}
+            </g>
+            <g class="graph-nodes">
+                ${nodes.map(node => `
+                    <g class="graph-node" data-id="${escapeHTML(node.req.id)}" data-principle="${escapeHTML(node.req.principle)}" tabindex="0">
+                        <circle r="${GRAPH_NODE_RADIUS}"></circle>
+                        <text dy="0.35em">${escapeHTML(node.req.id)}</text>
+                        <title>${escapeHTML(`${node.req.id} · ${node.req.title}`)}</title>
+                    </g>
+                `).join('')}
+            </g>
+        </svg>
+        <p class="graph-details" id="graph-details">${t('relations.hint')}</p>
+    `;
+
+    content.querySelector('#graph-min-score').addEventListener('input', (e) => {
+        content.querySelector('#graph-min-label').textContent = Number(e.target.value).toFixed(1);
+    });
+    content.querySelector('#graph-min-score').addEventListener('change', (e) => {
+        renderRelationsPanel(content, { ...state, minScore: Number(e.target.value), positions: getNodePositions(nodes) });
+    });
+
+    bindRelationGraph(content, nodes, shown, state.focus);
+}
+
+function getNodePositions(nodes) {
+    return new Map(nodes.map(node => [node.req.id, { x: node.x, y: node.y }]));
+}
+
+/**
+ * Force-directed layout: every node repels every other, edges pull their
+ * ends together in proportion to their overlap, and a weak pull to the
+ * centre keeps unconnected nodes on screen. Nodes start around a circle
+ * grouped by principle so the layout is the same on every open.
+ */
+function layoutRelationGraph(requirements, edges, positions, { iterations = 300, pinnedId = null } = {}) {
+    const nodes = requirements.map((req, i) => {
+        const start = positions && positions.get(req.id);
+        const angle = (i / requirements.length) * Math.PI * 2;
+        return {
+            req,
+            x: start ? start.x : GRAPH_WIDTH / 2 + Math.cos(angle) * GRAPH_HEIGHT * 0.4,
+            y: start ? start.y : GRAPH_HEIGHT / 2 + Math.sin(angle) * GRAPH_HEIGHT * 0.4,
+            vx: 0,
+            vy: 0
+        };
+    });
+    const byId = new Map(nodes.map(node => [node.req.id, node]));
+    const links = edges.map(edge => ({ a: byId.get(edge.source), b: byId.get(edge.target), strength: Math.min(edge.score, 6) }));
+
+    for (let step = 0; step < iterations; step++) {
+        const cooling = 1 - step / iterations;
+
+        nodes.forEach((a, i) => {
+            nodes.slice(i + 1).forEach(b => {
+                const dx = a.x - b.x || 0.01;
+                const dy = a.y - b.y || 0.01;
+                const distSq = Math.max(dx * dx + dy * dy, 100);
+                const force = 2400 / distSq;
+                const dist = Math.sqrt(distSq);
+                a.vx += (dx / dist) * force;
+                a.vy += (dy / dist) * force;
+                b.vx -= (dx / dist) * force;
+                b.vy -= (dy / dist) * force;
+            });
+        });
+
+        links.forEach(({ a, b, strength }) => {
+            const dx = b.x - a.x;
+            const dy = b.y - a.y;
+            const dist = Math.sqrt(dx * dx + dy * dy) || 1;
+            const force = (dist - 70) * 0.004 * strength;
+            a.vx += (dx / dist) * force;
+            a.vy += (dy / dist) * force;
+            b.vx -= (dx / dist) * force;
+            b.vy -= (dy / dist) * force;
+        });
+
+        nodes.forEach(node => {
+            node.vx += (GRAPH_WIDTH / 2 - node.x) * 0.004;
+            node.vy += (GRAPH_HEIGHT / 2 - node.y) * 0.004;
+            if (node.req.id === pinnedId) {
+                node.vx = 0;
+                node.vy = 0;
+                return;
+            }
+            node.x = clamp(node.x + node.vx * cooling, GRAPH_NODE_RADIUS, GRAPH_WIDTH - GRAPH_NODE_RADIUS);
+            node.y = clamp(node.y + node.vy * cooling, GRAPH_NODE_RADIUS, GRAPH_HEIGHT - GRAPH_NODE_RADIUS);
+            node.vx *= 0.6;
+            node.vy *= 0.6;
+        });
+    }
+
+    return nodes;
+}
+
+function clamp(value, min, max) {
+    return Math.min(Math.max(value, min), max);
+}
+
+function bindRelationGraph(content, nodes, edges, focusId) {
+    const svg = content.querySelector('#relation-graph');
+    const details = content.querySelector('#graph-details');
+    const byId = new Map(nodes.map(node => [node.req.id, node]));
+    const lines = [...svg.querySelectorAll('.graph-edges line')];
+    const groups = [...svg.querySelectorAll('.graph-node')];
+
+    const draw = () => {
+        groups.forEach(group => {
+            const node = byId.get(group.dataset.id);
+            group.setAttribute('transform', `translate(${node.x.toFixed(1)} ${node.y.toFixed(1)})`);
+        });
+        lines.forEach(line => {
+            const a = byId.get(line.dataset.source);
+            const b = byId.get(line.dataset.target);
+            line.setAttribute('x1', a.x.toFixed(1));
+            line.setAttribute('y1', a.y.toFixed(1));
+            line.setAttribute('x2', b.x.toFixed(1));
+            line.setAttribute('y2', b.y.toFixed(1));
+        });
+    };
+
+    const focus = (id) => {
+        svg.classList.toggle('has-focus', Boolean(id));
+        const neighbours = new Set(id ? [id] : []);
+        lines.forEach(line => {
+            const active = line.dataset.source === id || line.dataset.target === id;
+            line.classList.toggle('active', active);
+            if (active) {
+                neighbours.add(line.dataset.source);
+                neighbours.add(line.dataset.target);
+            }
+        });
+        groups.forEach(group => group.classList.toggle('active', neighbours.has(group.dataset.id)));
+
+        if (!id) return;
+        const related = edges
+            .filter(edge => edge.source === id || edge.target === id)
+            .sort((a, b) => b.score - a.score)
+            .map(edge => `${edge.source === id ? edge.target : edge.source} (${edge.score.toFixed(1)})`);
+        details.textContent = `${id} · ${byId.get(id).req.title}: ${related.length ? t('relations.sharesMost', { ids: related.slice(0, 5).join(', ') }) : t('relations.noConnections')}`;
+    };
+
+    // Convert a pointer position to viewBox coordinates
+    const toGraphPoint = (e) => {
+        const rect = svg.getBoundingClientRect();
+        return {
+            x: ((e.clientX - rect.left) / (rect.width || GRAPH_WIDTH)) * GRAPH_WIDTH,
+            y: ((e.clientY - rect.top) / (rect.height || GRAPH_HEIGHT)) * GRAPH_HEIGHT
+        };
+    };
+
+    let dragging = null;
+    let dragStart = null;
+    let moved = false;
+
+    groups.forEach(group => {
+        const id = group.dataset.id;
+        group.addEventListener('mouseenter', () => focus(id));
+        group.addEventListener('mouseleave', () => focus(null));
+        group.addEventListener('focus', () => focus(id));
+        group.addEventListener('blur', () => focus(null));
+        group.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' || e.key === ' ') {
+                e.preventDefault();
+                openModal(byId.get(id).req);
+            }
+        });
+        group.addEventListener('pointerdown', (e) => {
+            dragging = byId.get(id);
+            dragStart = { x: e.clientX, y: e.clientY };
+            moved = false;
+            if (group.setPointerCapture) group.setPointerCapture(e.pointerId);
+        });
+        group.addEventListener('pointermove', (e) => {
+            if (dragging !== byId.get(id)) return;
+            // A shaky click is still a click
+            if (!moved && Math.hypot(e.clientX - dragStart.x, e.clientY - dragStart.y) < GRAPH_DRAG_THRESHOLD) return;
+            const point = toGraphPoint(e);
+            dragging.x = clamp(point.x, GRAPH_NODE_RADIUS, GRAPH_WIDTH - GRAPH_NODE_RADIUS);
+            dragging.y = clamp(point.y, GRAPH_NODE_RADIUS, GRAPH_HEIGHT - GRAPH_NODE_RADIUS);
+            moved = true;
+            draw();
+        });
+        // A touch scroll cancels the pointer; forget the press so it cannot open or pin a node later
+        group.addEventListener('pointercancel', () => {
+            dragging = null;
+        });
+        group.addEventListener('pointerup', () => {
+            const node = dragging;
+            dragging = null;
+            // The press started elsewhere, e.g. on the empty graph
+            if (!node) return;
+            if (!moved) {
+                openModal(node.req);
+                return;
+            }
+            // Let the neighbours settle around the dropped node
+            const settled = layoutRelationGraph(nodes.map(n => n.req), edges, getNodePositions(nodes), {
+                iterations: 40,
+                pinnedId: node.req.id
+            });
+            settled.forEach(n => {
+                const target = byId.get(n.req.id);
+                target.x = n.x;
+                target.y = n.y;
+            });
+            draw();
+        });
+    });
+
+    draw();
+    if (byId.has(focusId)) focus(focusId);
+}
+
+// ============================================
+// Custom Frameworks
+// ============================================
+
+function loadCustomFrameworks() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(FRAMEWORK_STORAGE_KEY)) || {};
+        customFrameworks = {
+            frameworks: Array.isArray(stored.frameworks) ? stored.frameworks : [],
+            mappings: stored.mappings || {}
+        };
+    } catch (error) {
+        console.error('Error loading custom frameworks:', error);
+        customFrameworks = { frameworks: [], mappings: {} };
+    }
+}
+
+function saveCustomFrameworks() {
+    try {
+        localStorage.setItem(FRAMEWORK_STORAGE_KEY, JSON.stringify(customFrameworks));
+    } catch (error) {
+        console.error('Error saving custom frameworks:', error);
+    }
+}
+
+function getCustomFramework(name) {
+    return customFrameworks.frameworks.find(f => f.name === name) || null;
+}
+
+function getCustomRefs(reqId, framework) {
+    return ((customFrameworks.mappings[reqId] || {})[framework]) || [];
+}
+
+// Match a framework by its name or short name, ignoring case
+function findFrameworkName(value) {
+    const key = String(value || '').trim().toLowerCase();
+    return getFrameworkNames().find(name => name.toLowerCase() === key || getFrameworkAbbrev(name).toLowerCase() === key) || null;
+}
+
+/**
+ * User mappings are kept apart from the dataset and folded into each
+ * requirement's frameworkMappings, so the table, search, crosswalk and
+ * exports treat them like the standard's own.
+ */
+function applyCustomMappings(data) {
+    return {
+        ...data,
+        requirements: data.requirements.map(req => {
+            const custom = customFrameworks.mappings[req.id];
+            if (!custom) return req;
+
+            const frameworkMappings = { ...req.frameworkMappings };
+            Object.entries(custom).forEach(([name, refs]) => {
+                frameworkMappings[name] = [...new Set([...[].concat(frameworkMappings[name] || []), ...refs])];
+            });
+            return { ...req, frameworkMappings };
+        })
+    };
+}
+
+function addCustomFramework(name, abbrev) {
+    const trimmed = name.trim();
+    if (!trimmed) throw new Error(t('frameworks.nameRequired'));
+    if (FRAMEWORK_ABBREVIATIONS[trimmed] || getCustomFramework(trimmed)) {
+        throw new Error(t('frameworks.exists', { name: trimmed }));
+    }
+
+    const framework = { name: trimmed, abbrev: abbrev.trim() || trimmed };
+    customFrameworks.frameworks.push(framework);
+    saveCustomFrameworks();
+    return framework;
+}
+
+function updateCustomFramework(name, fields) {
+    const framework = getCustomFramework(name);
+    if (!framework) return;
+
+    Object.assign(framework, fields);
+    saveCustomFrameworks();
+}
+
+// Deleting a framework also drops its references and control list
+function removeCustomFramework(name) {
+    customFrameworks.frameworks = customFrameworks.frameworks.filter(f => f.name !== name);
+    Object.keys(customFrameworks.mappings).forEach(reqId => removeMappings(reqId, name));
+    saveCustomFrameworks();
+
+    if (controlCatalogs[name]) {
+        delete controlCatalogs[name];
+        saveControlCatalogs();
+    }
+}
+
+function removeMappings(reqId, framework, keep = () => false) {
+    const mappings = customFrameworks.mappings[reqId];
+    if (!mappings || !mappings[framework]) return;
+
+    mappings[framework] = mappings[framework].filter(keep);
+    if (mappings[framework].length === 0) delete mappings[framework];
+    if (Object.keys(mappings).length === 0) delete customFrameworks.mappings[reqId];
+}
+
+/**
+ * Returns false when the requirement already carries the reference,
+ * whether from the standard or from an earlier mapping.
+ */
+function addCustomMapping(reqId, framework, ref) {
+    const req = standardsData.requirements.find(r => r.id === reqId);
+    const existing = req ? [].concat((req.frameworkMappings || {})[framework] || []) : [];
+    if (existing.includes(ref) || getCustomRefs(reqId, framework).includes(ref)) return false;
+
+    const mappings = customFrameworks.mappings[reqId] || (customFrameworks.mappings[reqId] = {});
+    mappings[framework] = [...(mappings[framework] || []), ref];
+    return true;
+}
+
+function removeCustomMapping(reqId, framework, ref) {
+    removeMappings(reqId, framework, item => item !== ref);
+    saveCustomFrameworks();
+}
+
+function bindFrameworkMappingControls(container, req) {
+    const form = container.querySelector('#framework-mapping-form');
+
+    form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const framework = form.elements.framework.value;
+        const ref = form.elements.ref.value.trim();
+        if (!ref) return;
+
+        if (!addCustomMapping(req.id, framework, ref)) {
+            container.querySelector('#framework-mapping-error').textContent = t('modal.alreadyMapped', { ref });
+            return;
+        }
+        saveCustomFrameworks();
+        await refreshFrameworkMappingViews(container, req.id);
+    });
+
+    container.querySelectorAll('[data-remove-mapping]').forEach(btn => {
+        btn.addEventListener('click', async () => {
+            removeCustomMapping(req.id, btn.dataset.framework, btn.dataset.removeMapping);
+            await refreshFrameworkMappingViews(container, req.id);
+        });
+    });
+}
+
+async function refreshFrameworkMappingViews(container, reqId) {
+    await refreshDataset();
+    const req = standardsData.requirements.find(r => r.id === reqId);
+    if (!req) return;
+
+    container.querySelector('#framework-mappings').outerHTML = renderFrameworkMappings(req);
+    bindFrameworkMappingControls(container, req);
+}
+
+/**
+ * Rows of aiuc_id,framework,ref; the header row is optional. Frameworks
+ * are matched by name or short name and unknown ones are created.
+ */
+function importMappingCSV(text) {
+    const rows = DatasetValidator.parseCSV(text).map(row => row.map(cell => cell.trim()));
+    if (rows.length > 0 && rows[0][0].toLowerCase() === 'aiuc_id') rows.shift();
+
+    const result = { imported: 0, created: [], skipped: [] };
+    const ids = new Set(standardsData.requirements.map(r => r.id));
+
+    rows.forEach(([reqId, frameworkValue, ref], i) => {
+        if (!reqId || !frameworkValue || !ref) {
+            result.skipped.push(t('frameworks.rowIncomplete', { row: i + 1 }));
+            return;
+        }
+        if (!ids.has(reqId)) {
+            result.skipped.push(t('frameworks.rowUnknown', { row: i + 1, id: reqId }));
+            return;
+        }
+
+        let framework = findFrameworkName(frameworkValue);
+        if (!framework) {
+            framework = addCustomFramework(frameworkValue, '').name;
+            result.created.push(framework);
+        }
+        if (addCustomMapping(reqId, framework, ref)) result.imported++;
+    });
+
+    saveCustomFrameworks();
+    return result;
+}
+
+function exportMappingCSV() {
+    const rows = Object.entries(customFrameworks.mappings).flatMap(([reqId, mappings]) =>
+        Object.entries(mappings).flatMap(([framework, refs]) => refs.map(ref => toCSVRow([reqId, framework, ref])))
+    );
+    const blob = new Blob([[toCSVRow(['aiuc_id', 'framework', 'ref']), ...rows].join('\n')], { type: 'text/csv;charset=utf-8;' });
+    downloadBlob(blob, `aiuc-1-framework-mappings-${formatDate(new Date())}.csv`);
+}
+
+function countCustomMappings(framework) {
+    return Object.values(customFrameworks.mappings).reduce((total, mappings) => total + (mappings[framework] || []).length, 0);
+}
+
+function renderFrameworksPanel(content, notice) {
+    const frameworks = customFrameworks.frameworks;
+    const hasMappings = Object.keys(customFrameworks.mappings).length > 0;
+
+    content.innerHTML = `
+        ${renderPanelHeader(t('frameworks.label'), t('panel.frameworks'), t('frameworks.description'))}
+        <form class="panel-actions" id="framework-form">
+            <input type="text" class="tracker-input" name="name" placeholder="${t('frameworks.namePlaceholder')}" required>
+            <input type="text" class="tracker-input" name="abbrev" placeholder="${t('frameworks.abbrevPlaceholder')}">
+            <button type="submit" class="export-btn">${t('frameworks.add')}</button>
+            <span class="evidence-form-error" id="framework-error"></span>
+        </form>
+        ${frameworks.length === 0 ? `
+            <div class="empty-state">
+                <h3 class="empty-state-title">${t('frameworks.empty')}</h3>
+                <p class="empty-state-text">${t('frameworks.emptyHint')}</p>
+            </div>
+        ` : `
+            <table class="panel-table framework-table">
+                <thead>
+                    <tr>
+                        <th>${t('filters.framework')}</th>
+                        <th>${t('frameworks.abbrev')}</th>
+                        <th>${t('policy.references')}</th>
+                        <th>${t('frameworks.controlList')}</th>
+                        <th></th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${frameworks.map(framework => `
+                        <tr data-framework="${escapeHTML(framework.name)}">
+                            <td>${escapeHTML(framework.name)}</td>
+                            <td><input type="text" class="tracker-input" data-framework-field="abbrev" value="${escapeHTML(framework.abbrev)}" required></td>
+                            <td>${countCustomMappings(framework.name)}</td>
+                            <td>
+                                ${controlCatalogs[framework.name] ? t('frameworks.controls', { count: controlCatalogs[framework.name].length }) : ''}
+                                <label class="modal-link coverage-upload">
+                                    <input type="file" accept=".json,application/json" data-framework-catalog hidden>
+                                    ${controlCatalogs[framework.name] ? t('frameworks.replace') : t('frameworks.load')}
+                                </label>
+                            </td>
+                            <td><button type="button" class="modal-link" data-framework-delete>${t('common.delete')}</button></td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `}
+
+        <div class="modal-section">
+            <h3 class="modal-section-title">${t('frameworks.bulkImport')}</h3>
+            <p class="panel-note">${t('frameworks.bulkImportHint')}</p>
+            <div class="panel-actions">
+                <label class="export-btn coverage-upload">
+                    <input type="file" accept=".csv,text/csv" id="framework-import" hidden>
+                    ${t('frameworks.import')}
+                </label>
+                ${hasMappings ? `<button type="button" class="panel-btn" id="framework-export">${t('frameworks.export')}</button>` : ''}
+            </div>
+            ${notice ? `<p class="panel-note">${escapeHTML(notice)}</p>` : ''}
+        </div>
+    `;
+
+    content.querySelector('#framework-form').addEventListener('submit', async (e) => {
+        e.preventDefault();
+        try {
+            addCustomFramework(e.target.elements.name.value, e.target.elements.abbrev.value);
+            await refreshDataset();
+            renderFrameworksPanel(content);
+        } catch (error) {
+            content.querySelector('#framework-error').textContent = error.message;
+        }
+    });
+
+    content.querySelectorAll('tr[data-framework]').forEach(row => {
+        const name = row.dataset.framework;
+
+        row.querySelector('[data-framework-field="abbrev"]').addEventListener('change', async (e) => {
+            const abbrev = e.target.value.trim();
+            if (!abbrev) return;
+            updateCustomFramework(name, { abbrev });
+            await refreshDataset();
+        });
+
+        row.querySelector('[data-framework-catalog]').addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+
+            try {
+                controlCatalogs[name] = parseControlCatalog(JSON.parse(await file.text())).controls;
+                saveControlCatalogs();
+                renderFrameworksPanel(content);
+            } catch (error) {
+                content.querySelector('#framework-error').textContent = t('coverage.loadFailed', { message: error.message });
+            }
+        });
+
+        row.querySelector('[data-framework-delete]').addEventListener('click', async () => {
+            const count = countCustomMappings(name);
+            if (count > 0 && !window.confirm(t('frameworks.confirmDelete', { name, count }))) return;
+            removeCustomFramework(name);
+            await refreshDataset();
+            renderFrameworksPanel(content);
+        });
+    });
+
+    content.querySelector('#framework-import').addEventListener('change', async (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+
+        const result = importMappingCSV(await file.text());
+        await refreshDataset();
+        renderFrameworksPanel(content, [
+            t('frameworks.imported', { count: result.imported, file: file.name }),
+            result.created.length ? t('frameworks.created', { names: result.created.join(', ') }) : '',
+            result.skipped.length ? t('frameworks.skipped', { count: result.skipped.length, rows: result.skipped.join('; ') }) : ''
+        ].filter(Boolean).join(' '));
+    });
+
+    const exportBtn = content.querySelector('#framework-export');
+    if (exportBtn) exportBtn.addEventListener('click', exportMappingCSV);
+}
+
+// ============================================
+// Version Changelog
+// ============================================
+
+// Labels are catalog keys the table and requirement details already use
+const CHANGELOG_FIELDS = [
+    { key: 'title', labelKey: 'translations.field.title' },
+    { key: 'description', labelKey: 'translations.field.description' },
+    { key: 'status', labelKey: 'table.status' },
+    { key: 'frequency', labelKey: 'table.frequency' },
+    { key: 'type', labelKey: 'table.type' },
+    { key: 'effort', labelKey: 'table.effort' },
+    { key: 'capabilities', labelKey: 'table.capabilities' },
+    { key: 'keywords', labelKey: 'modal.keywords', list: true },
+    { key: 'controlActivities.shouldInclude', labelKey: 'modal.shouldInclude', list: true },
+    { key: 'controlActivities.mayInclude', labelKey: 'modal.mayInclude', list: true }
+];
+
+// In the order the summary counts them
+const CHANGELOG_KINDS = ['added', 'removed', 'retired', 'renamed', 'changed'];
+
+/**
+ * Datasets listed in data/versions.json. The loaded standard is always
+ * present; other versions are fetched the first time they are compared.
+ *
+ * Only list releases AIUC-1 actually published. To add an earlier one, save
+ * its dataset JSON unchanged in data/ (check it with
+ * `node bin/validate-dataset.js data/<file>`) and append an entry:
+ *
+ *   { "version": "<metadata.version of that release>", "lastUpdated": "YYYY-MM-DD",
+ *     "file": "<file>", "note": "optional, e.g. where the copy came from" }
+ */
+async function loadDatasetVersions() {
+    const current = {
+        label: standardsData.metadata.version,
+        lastUpdated: standardsData.metadata.lastUpdated,
+        // Releases are compared in English, the language they are published in
+        data: datasetTranslation ? buildDataset({ translate: false }) : standardsData
+    };
+    datasetVersions = [current];
+
+    try {
+        const response = await fetch('data/versions.json');
+        if (!response.ok) return;
+        const manifest = await response.json();
+
+        (manifest.versions || []).forEach(entry => {
+            if (entry.version === current.label) return;
+            datasetVersions.push({ label: entry.version, lastUpdated: entry.lastUpdated, note: entry.note, file: `data/${entry.file}`, data: null });
+        });
+    } catch (error) {
+        console.error('Error loading dataset versions:', error);
+    }
+}
+
+async function getDatasetVersion(version) {
+    if (!version.data) {
+        const response = await fetch(version.file);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        version.data = await response.json();
+    }
+    return version.data;
+}
+
+function getFieldValue(req, key) {
+    return key.split('.').reduce((value, part) => (value ? value[part] : undefined), req);
+}
+
+function diffLists(before, after) {
+    const beforeSet = new Set(before || []);
+    const afterSet = new Set(after || []);
+    return {
+        added: [...afterSet].filter(item => !beforeSet.has(item)),
+        removed: [...beforeSet].filter(item => !afterSet.has(item))
+    };
+}
+
+/**
+ * Compare two datasets requirement by requirement. Returns one entry per
+ * added, removed, retired, renamed or otherwise changed requirement.
+ */
+function diffDatasets(fromData, toData) {
+    const fromById = new Map(fromData.requirements.map(r => [r.id, r]));
+    const toById = new Map(toData.requirements.map(r => [r.id, r]));
+    const entries = [];
+
+    toData.requirements.forEach(req => {
+        const previous = fromById.get(req.id);
+        if (!previous) {
+            entries.push({ id: req.id, kind: 'added', req, changes: [] });
+            return;
+        }
+
+        const changes = [];
+        CHANGELOG_FIELDS.forEach(({ key, labelKey, list }) => {
+            const label = t(labelKey);
+            const before = getFieldValue(previous, key);
+            const after = getFieldValue(req, key);
+            if (list) {
+                const diff = diffLists(before, after);
+                if (diff.added.length || diff.removed.length) changes.push({ label, ...diff });
+            } else if ((before || '') !== (after || '')) {
+                changes.push({ label, before: before || '', after: after || '' });
+            }
+        });
+
+        const frameworks = new Set([...Object.keys(previous.frameworkMappings || {}), ...Object.keys(req.frameworkMappings || {})]);
+        frameworks.forEach(name => {
+            const diff = diffLists(
+                [].concat((previous.frameworkMappings || {})[name] || []),
+                [].concat((req.frameworkMappings || {})[name] || [])
+            );
+            if (diff.added.length || diff.removed.length) changes.push({ label: t('changelog.mappings', { framework: name }), ...diff });
+        });
+
+        let kind = null;
+        if (req.retired && !previous.retired) {
+            kind = 'retired';
+        } else if (previous.title !== req.title) {
+            kind = 'renamed';
+        } else if (changes.length > 0) {
+            kind = 'changed';
+        }
+        if (kind) entries.push({ id: req.id, kind, req, changes });
+    });
+
+    fromData.requirements.forEach(req => {
+        if (!toById.has(req.id)) entries.push({ id: req.id, kind: 'removed', req, changes: [] });
+    });
+
+    return entries.sort((a, b) => a.id.localeCompare(b.id));
+}
+
+function renderChangelogPanel(content, selection = {}) {
+    const labels = datasetVersions.map(v => v.label);
+    const toLabel = labels.includes(selection.to) ? selection.to : labels[0];
+    const fromLabel = labels.includes(selection.from) ? selection.from : labels.find(l => l !== toLabel);
+
+    content.innerHTML = `
+        ${renderPanelHeader(t('changelog.label'), t('panel.changelog'), t('changelog.description'))}
+        <div class="panel-actions">
+            ${labels.length > 1 ? `
+                <label class="tracker-field">
+                    <span class="filter-label">${t('changelog.from')}</span>
+                    <select class="framework-select" id="changelog-from">
+                        ${labels.map(l => `<option value="${escapeHTML(l)}" ${l === fromLabel ? 'selected' : ''}>${escapeHTML(l)}</option>`).join('')}
+                    </select>
+                </label>
+                <label class="tracker-field">
+                    <span class="filter-label">${t('changelog.to')}</span>
+                    <select class="framework-select" id="changelog-to">
+                        ${labels.map(l => `<option value="${escapeHTML(l)}" ${l === toLabel ? 'selected' : ''}>${escapeHTML(l)}</option>`).join('')}
+                    </select>
+                </label>
+            ` : ''}
+            <label class="export-btn coverage-upload">
+                <input type="file" accept=".json,application/json" id="changelog-file" hidden>
+                ${t('changelog.load')}
+            </label>
+            <span class="evidence-form-error" id="changelog-error"></span>
+        </div>
+        <div id="changelog-results">
+            ${labels.length > 1 ? '' : `
+                <div class="empty-state">
+                    <h3 class="empty-state-title">${t('changelog.oneVersion')}</h3>
+                    <p class="empty-state-text">${t('changelog.oneVersionHint')}</p>
+                </div>
+            `}
+        </div>
+    `;
+
+    const rerender = () => renderChangelogPanel(content, {
+        from: content.querySelector('#changelog-from').value,
+        to: content.querySelector('#changelog-to').value
+    });
+    if (labels.length > 1) {
+        content.querySelector('#changelog-from').addEventListener('change', rerender);
+        content.querySelector('#changelog-to').addEventListener('change', rerender);
+    }
+
+    content.querySelector('#changelog-file').addEventListener('change', async (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+
+        try {
+            const data = JSON.parse(await file.text());
+            if (!data || !Array.isArray(data.requirements) || !data.metadata) {
+                throw new Error(t('changelog.notDataset'));
+            }
+            const label = labels.includes(data.metadata.version)
+                ? `${data.metadata.version} (${file.name})`
+                : data.metadata.version;
+            datasetVersions.push({ label, lastUpdated: data.metadata.lastUpdated, data });
+            renderChangelogPanel(content, { from: label, to: toLabel });
+        } catch (error) {
+            content.querySelector('#changelog-error').textContent = t('dataset.loadFailed', { source: file.name, message: error.message });
+        }
+    });
+
+    if (labels.length > 1 && fromLabel !== toLabel) {
+        renderChangelogResults(content, datasetVersions.find(v => v.label === fromLabel), datasetVersions.find(v => v.label === toLabel));
+    } else if (labels.length > 1) {
+        content.querySelector('#changelog-results').innerHTML = `<p class="panel-summary">${t('changelog.selectTwo')}</p>`;
+    }
+}
+
+async function renderChangelogResults(content, fromVersion, toVersion) {
+    const results = content.querySelector('#changelog-results');
+
+    try {
+        const entries = diffDatasets(await getDatasetVersion(fromVersion), await getDatasetVersion(toVersion));
+        const count = kind => entries.filter(e => e.kind === kind).length;
+
+        results.innerHTML = `
+            <p class="panel-summary">
+                ${escapeHTML(fromVersion.label)} → ${escapeHTML(toVersion.label)}:
+                ${CHANGELOG_KINDS.map(kind => t(`changelog.summary.${kind}`, { count: count(kind) })).join(' · ')}
+            </p>
+            ${[fromVersion, toVersion].filter(v => v.note).map(v => `<p class="panel-note">${escapeHTML(v.label)}: ${escapeHTML(v.note)}</p>`).join('')}
+            ${entries.length === 0 ? `
+                <div class="empty-state">
+                    <h3 class="empty-state-title">${t('changelog.noDifferences')}</h3>
+                    <p class="empty-state-text">${t('changelog.noDifferencesHint')}</p>
+                </div>
+            ` : entries.map(renderChangelogEntry).join('')}
+        `;
+        bindRequirementLinks(results);
+    } catch (error) {
+        console.error('Error comparing dataset versions:', error);
+        results.innerHTML = `<p class="evidence-form-error">${t('changelog.loadFailed', { message: escapeHTML(error.message) })}</p>`;
+    }
+}
+
+function renderChangelogEntry(entry) {
+    const { req, kind, changes } = entry;
+    const inCurrent = standardsData.requirements.some(r => r.id === req.id);
+
+    return `
+        <div class="changelog-entry">
+            <div class="changelog-entry-header" ${inCurrent ? `data-open-requirement="${escapeHTML(req.id)}"` : ''}>
+                <span class="changelog-kind ${kind}">${t(`changelog.kind.${kind}`)}</span>
+                <span class="req-id" data-principle="${escapeHTML(req.principle)}">${escapeHTML(req.id)}</span>
+                <span class="changelog-title">${escapeHTML(req.title)}</span>
+            </div>
+            ${changes.length > 0 ? `
+                <dl class="changelog-changes">
+                    ${changes.map(change => `
+                        <dt>${escapeHTML(change.label)}</dt>
+                        <dd>
+                            ${'before' in change ? `
+                                <del>${escapeHTML(change.before) || `<em>${t('changelog.empty')}</em>`}</del>
+                                <ins>${escapeHTML(change.after) || `<em>${t('changelog.empty')}</em>`}</ins>
+                            ` : `
+                                ${change.removed.map(item => `<del>${escapeHTML(item)}</del>`).join('')}
+                                ${change.added.map(item => `<ins>${escapeHTML(item)}</ins>`).join('')}
+                            `}
+                        </dd>
+                    `).join('')}
+                </dl>
+            ` : ''}
+        </div>
+    `;
+}
+
+// ============================================
+// Utilities
+// ============================================
+
+function generateId(prefix) {
+    return `${prefix}-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+function parseDate(value) {
+    const [year, month, day] = value.split('-').map(Number);
+    return new Date(year, month - 1, day);
+}
+
+function formatDate(date) {
+    const pad = n => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function addMonths(date, months) {
+    const result = new Date(date.getFullYear(), date.getMonth() + months, 1);
+    // Clamp to the last day of the target month (Jan 31 + 1 month = Feb 28/29)
+    const lastDay = new Date(result.getFullYear(), result.getMonth() + 1, 0).getDate();
+    result.setDate(Math.min(date.getDate(), lastDay));
+    return result;
+}
+
+function toCSVRow(values) {
+    return values.map(value => {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }).join(',');
+}
+
+function downloadBlob(blob, filename) {
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+}
+
+// ============================================
+// Export
+// ============================================
+
+const EXPORT_FORMATS = {
+    csv: exportCSV,
+    json: exportJSON,
+    markdown: exportMarkdown,
+    xlsx: exportSpreadsheet,
+    report: exportPrintReport,
+    'oscal-catalog': exportOSCALCatalog,
+    'oscal-component': exportOSCALComponentDefinition
+};
 
-    overlay.classList.add('active');
-    document.body.style.overflow = 'hidden';
+function initializeExport() {
+    const toggle = document.getElementById('export-toggle');
+    const menu = document.getElementById('export-menu');
+
+    toggle.addEventListener('click', (e) => {
+        e.stopPropagation();
+        menu.hidden = !menu.hidden;
+        toggle.setAttribute('aria-expanded', String(!menu.hidden));
+    });
+
+    menu.querySelectorAll('[data-export]').forEach(btn => {
+        btn.addEventListener('click', () => {
+            menu.hidden = true;
+            toggle.setAttribute('aria-expanded', 'false');
+            EXPORT_FORMATS[btn.dataset.export]();
+        });
+    });
+
+    document.addEventListener('click', (e) => {
+        if (!menu.hidden && !menu.contains(e.target)) {
+            menu.hidden = true;
+            toggle.setAttribute('aria-expanded', 'false');
+        }
+    });
 }
 
-function closeModal() {
-    const overlay = document.getElementById('modal-overlay');
-    overlay.classList.remove('active');
-    document.body.style.overflow = '';
+function getExportFilename(extension) {
+    return `aiuc-1-requirements-${formatDate(new Date())}.${extension}`;
 }
 
-function renderControlActivities(activities) {
-    let html = '';
+/**
+ * Flat column layout shared by the CSV and spreadsheet exports, with one
+ * column per framework so mappings stay filterable.
+ */
+function getExportColumns() {
+    const list = values => (values || []).join('; ');
 
-    if (activities.shouldInclude && activities.shouldInclude.length > 0) {
-        html += `
-            <div class="modal-section">
-                <h3 class="modal-section-title">Control Activities - Should Include</h3>
-                <ul class="control-list should">
-                    ${activities.shouldInclude.map(item => `<li>${item}</li>`).join('')}
-                </ul>
-            </div>
-        `;
-    }
+    return [
+        { header: 'ID', value: req => req.id },
+        { header: 'Principle', value: req => req.principle },
+        { header: 'Principle Name', value: req => req.principleName },
+        { header: 'Title', value: req => req.title },
+        { header: 'Description', value: req => req.description },
+        { header: 'Status', value: req => req.status },
+        { header: 'Frequency', value: req => req.frequency },
+        { header: 'Type', value: req => req.type },
+        { header: 'Effort', value: req => req.effort || '' },
+        { header: 'Capabilities', value: req => req.capabilities || '' },
+        { header: 'Keywords', value: req => list(req.keywords) },
+        { header: 'Should Include', value: req => list((req.controlActivities || {}).shouldInclude) },
+        { header: 'May Include', value: req => list((req.controlActivities || {}).mayInclude) },
+        ...getFrameworkNames().map(name => ({
+            header: name,
+            value: req => [].concat((req.frameworkMappings || {})[name] || []).join(', ')
+        })),
+        { header: 'URL', value: req => getRequirementURL(req) }
+    ];
+}
 
-    if (activities.mayInclude && activities.mayInclude.length > 0) {
-        html += `
-            <div class="modal-section">
-                <h3 class="modal-section-title">Control Activities - May Include</h3>
-                <ul class="control-list may">
-                    ${activities.mayInclude.map(item => `<li>${item}</li>`).join('')}
-                </ul>
-            </div>
-        `;
-    }
+function exportCSV() {
+    if (!filteredRequirements.length) return;
 
-    return html;
+    const columns = getExportColumns();
+    const csvContent = [
+        toCSVRow(columns.map(c => c.header)),
+        ...filteredRequirements.map(req => toCSVRow(columns.map(c => c.value(req))))
+    ].join('\n');
+
+    const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
+    downloadBlob(blob, getExportFilename('csv'));
 }
 
-function renderFrameworkMappings(mappings) {
-    const frameworks = Object.entries(mappings);
-    if (frameworks.length === 0) return '';
+function exportJSON() {
+    if (!filteredRequirements.length) return;
 
-    return `
-        <div class="modal-section">
-            <h3 class="modal-section-title">Framework Mappings</h3>
-            <div class="framework-grid">
-                ${frameworks.map(([name, refs]) => `
-                    <div class="framework-card">
-                        <div class="framework-card-title">${name}</div>
-                        <div class="framework-card-refs">${Array.isArray(refs) ? refs.join(', ') : refs}</div>
-                    </div>
-                `).join('')}
-            </div>
-        </div>
-    `;
+    const principleIds = new Set(filteredRequirements.map(r => r.principle));
+    const data = {
+        metadata: {
+            ...standardsData.metadata,
+            exportedAt: new Date().toISOString(),
+            exportedCount: filteredRequirements.length,
+            filters: { ...currentFilters }
+        },
+        principles: standardsData.principles.filter(p => principleIds.has(p.id)),
+        requirements: filteredRequirements
+    };
+
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    downloadBlob(blob, getExportFilename('json'));
 }
 
-function renderGettingStarted(gettingStarted) {
-    if (!gettingStarted) return '';
+function exportMarkdown() {
+    if (!filteredRequirements.length) return;
 
-    const { overview, steps, tools, template, tip } = gettingStarted;
+    const blob = new Blob([buildMarkdownExport(filteredRequirements)], { type: 'text/markdown;charset=utf-8' });
+    downloadBlob(blob, getExportFilename('md'));
+}
 
-    let html = `
-        <div class="modal-section">
-            <div class="getting-started">
-                <h3 class="getting-started-title">
-                    <svg viewBox="0 0 16 16" fill="none" stroke="currentColor" stroke-width="1.5">
-                        <path d="M8 1v14M1 8h14" stroke-linecap="round"/>
-                        <circle cx="8" cy="8" r="6"/>
-                    </svg>
-                    Getting Started
-                </h3>
-    `;
+function buildMarkdownExport(requirements) {
+    const cell = value => String(value).replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+    const { metadata } = standardsData;
 
-    // Overview
-    if (overview) {
-        html += `<p class="getting-started-overview">${overview}</p>`;
-    }
+    const sections = requirements.map(req => {
+        const activities = req.controlActivities || {};
+        const mappings = Object.entries(req.frameworkMappings || {});
+        const lines = [
+            `## ${req.id} · ${req.title}`,
+            '',
+            `- **Principle:** ${req.principle} · ${req.principleName}`,
+            `- **Status:** ${req.status}`,
+            `- **Frequency:** ${req.frequency}`,
+            `- **Type:** ${req.type}`,
+            req.effort ? `- **Effort:** ${getEffortLabel(req.effort)}` : null,
+            req.capabilities ? `- **Capabilities:** ${req.capabilities}` : null,
+            req.keywords && req.keywords.length ? `- **Keywords:** ${req.keywords.join(', ')}` : null,
+            `- **Source:** ${getRequirementURL(req)}`,
+            '',
+            req.description,
+            ''
+        ];
 
-    // Steps
-    if (steps && steps.length > 0) {
-        html += `
-            <div class="getting-started-steps">
-                ${steps.map((step, i) => `
-                    <div class="getting-started-step">
-                        <span class="step-number">${i + 1}</span>
-                        <span class="step-text">${step}</span>
-                    </div>
-                `).join('')}
-            </div>
-        `;
+        if (activities.shouldInclude && activities.shouldInclude.length) {
+            lines.push('### Control Activities - Should Include', '', ...activities.shouldInclude.map(item => `- ${item}`), '');
+        }
+        if (activities.mayInclude && activities.mayInclude.length) {
+            lines.push('### Control Activities - May Include', '', ...activities.mayInclude.map(item => `- ${item}`), '');
+        }
+        if (mappings.length) {
+            lines.push(
+                '### Framework Mappings',
+                '',
+                '| Framework | References |',
+                '| --- | --- |',
+                ...mappings.map(([name, refs]) => `| ${cell(name)} | ${cell([].concat(refs).join(', '))} |`),
+                ''
+            );
+        }
+
+        return lines.filter(line => line !== null).join('\n');
+    });
+
+    return [
+        `# ${metadata.standard} Requirements`,
+        '',
+        `${metadata.description} · Version ${metadata.version} · Exported ${formatDate(new Date())} · ${requirements.length} requirements`,
+        '',
+        ...sections
+    ].join('\n');
+}
+
+function exportSpreadsheet() {
+    if (!filteredRequirements.length) return;
+
+    const columns = getExportColumns();
+    const rows = [
+        columns.map(c => c.header),
+        ...filteredRequirements.map(req => columns.map(c => c.value(req)))
+    ];
+
+    const blob = new Blob([buildXLSX(rows, 'Requirements')], {
+        type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+    });
+    downloadBlob(blob, getExportFilename('xlsx'));
+}
+
+/**
+ * Minimal single-sheet Office Open XML workbook. Cells use inline strings so
+ * no shared-string table is needed; the header row is bold and frozen.
+ */
+function buildXLSX(rows, sheetName) {
+    const xml = value => escapeHTML(value).replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+    const columnName = index => {
+        let name = '';
+        for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+            name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+        }
+        return name;
+    };
+
+    const sheetRows = rows.map((row, r) => `<row r="${r + 1}">${row.map((value, c) =>
+        `<c r="${columnName(c)}${r + 1}" t="inlineStr"${r === 0 ? ' s="1"' : ''}><is><t xml:space="preserve">${xml(value)}</t></is></c>`
+    ).join('')}</row>`).join('');
+
+    const files = {
+        '[Content_Types].xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?><Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/><Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/><Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/></Types>',
+        '_rels/.rels': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?><Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/></Relationships>',
+        'xl/workbook.xml': `<?xml version="1.0" encoding="UTF-8" standalone="yes"?><workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets><sheet name="${xml(sheetName)}" sheetId="1" r:id="rId1"/></sheets></workbook>`,
+        'xl/_rels/workbook.xml.rels': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?><Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/><Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/></Relationships>',
+        'xl/styles.xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?><styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts><fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills><borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders><cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs><cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs></styleSheet>',
+        'xl/worksheets/sheet1.xml': `<?xml version="1.0" encoding="UTF-8" standalone="yes"?><worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews><sheetData>${sheetRows}</sheetData></worksheet>`
+    };
+
+    return buildZip(files);
+}
+
+// Uncompressed ("stored") ZIP archive, which every XLSX reader accepts
+function buildZip(files) {
+    const encoder = new TextEncoder();
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    Object.entries(files).forEach(([name, content]) => {
+        const nameBytes = encoder.encode(name);
+        const data = encoder.encode(content);
+        const crc = crc32(data);
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034b50, true);
+        local.setUint16(4, 20, true);
+        local.setUint16(8, 0, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, data.length, true);
+        local.setUint32(22, data.length, true);
+        local.setUint16(26, nameBytes.length, true);
+        localParts.push(new Uint8Array(local.buffer), nameBytes, data);
+
+        const central = new DataView(new ArrayBuffer(46));
+        central.setUint32(0, 0x02014b50, true);
+        central.setUint16(4, 20, true);
+        central.setUint16(6, 20, true);
+        central.setUint32(16, crc, true);
+        central.setUint32(20, data.length, true);
+        central.setUint32(24, data.length, true);
+        central.setUint16(28, nameBytes.length, true);
+        central.setUint32(42, offset, true);
+        centralParts.push(new Uint8Array(central.buffer), nameBytes);
+
+        offset += 30 + nameBytes.length + data.length;
+    });
+
+    const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, Object.keys(files).length, true);
+    end.setUint16(10, Object.keys(files).length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob([...localParts, ...centralParts, new Uint8Array(end.buffer)]);
+}
+
+function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc ^= bytes[i];
+        for (let k = 0; k < 8; k++) {
+            crc = (crc >>> 1) ^ (0xEDB88320 & -(crc & 1));
+        }
     }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
 
-    // Tools
-    if (tools && tools.length > 0) {
-        html += `
-            <div class="getting-started-tools">
-                <div class="tools-label">Potential Tools</div>
-                <div class="tools-grid">
-                    ${tools.map(tool => `
-                        <a href="${tool.url}" target="_blank" class="tool-badge">
-                            ${tool.name}
-                            <span class="tool-type ${tool.type}">${tool.type}</span>
-                        </a>
-                    `).join('')}
-                </div>
-            </div>
-        `;
+function exportPrintReport() {
+    if (!filteredRequirements.length) return;
+
+    openPrintWindow(buildPrintReport(filteredRequirements), getExportFilename('html'));
+}
+
+function openPrintWindow(html, filename) {
+    const reportWindow = window.open('', '_blank');
+
+    // Popup blocked: hand over the report as a file instead
+    if (!reportWindow) {
+        downloadBlob(new Blob([html], { type: 'text/html;charset=utf-8' }), filename);
+        return;
     }
 
-    // Template
-    if (template && template.columns && template.columns.length > 0) {
-        html += `
-            <div class="getting-started-template">
-                <div class="template-label">Example Template</div>
-                ${template.description ? `<p class="template-description">${template.description}</p>` : ''}
-                <div class="template-table-wrapper">
-                    <table class="template-table">
-                        <thead>
-                            <tr>
-                                ${template.columns.map(col => `<th>${col}</th>`).join('')}
-                            </tr>
-                        </thead>
-                        <tbody>
-                            ${(template.rows || []).map(row => `
-                                <tr>
-                                    ${row.map(cell => `<td>${cell}</td>`).join('')}
-                                </tr>
-                            `).join('')}
-                        </tbody>
-                    </table>
-                </div>
-            </div>
+    reportWindow.document.open();
+    reportWindow.document.write(html);
+    reportWindow.document.close();
+}
+
+function buildPrintReport(requirements) {
+    const { metadata } = standardsData;
+    const count = (list, predicate) => list.filter(predicate).length;
+    const readiness = calculateReadiness(requirements);
+    const listFilter = (labelKey, key) => currentFilters[key].length
+        ? `${t(labelKey)}: ${currentFilters[key].map(value => getFilterValueLabel(key, value)).join(', ')}`
+        : null;
+    const filterSummary = [
+        currentFilters.principle !== 'all' ? `${t('table.principle')} ${currentFilters.principle}` : null,
+        currentFilters.status !== 'all' ? formatValue('status', currentFilters.status) : null,
+        currentFilters.framework !== 'all' ? currentFilters.framework : null,
+        listFilter('table.capabilities', 'capabilities'),
+        listFilter('filters.effort', 'effort'),
+        listFilter('filters.type', 'type'),
+        currentFilters.search ? t('report.search', { search: currentFilters.search }) : null
+    ].filter(Boolean);
+
+    const principleRows = standardsData.principles.map(p => {
+        const inPrinciple = requirements.filter(r => r.principle === p.id);
+        if (inPrinciple.length === 0) return '';
+        return `
+            <tr>
+                <td>${escapeHTML(p.id)} · ${escapeHTML(p.name)}</td>
+                <td>${inPrinciple.length}</td>
+                <td>${count(inPrinciple, r => r.status === 'Mandatory')}</td>
+                <td>${calculateReadiness(inPrinciple).percent}%</td>
+            </tr>
         `;
-    }
+    }).join('');
 
-    // Tip
-    if (tip) {
-        html += `
-            <div class="getting-started-tip">
-                <span class="tip-icon">💡</span>
-                <span class="tip-text">${tip}</span>
-            </div>
+    const sections = requirements.map(req => {
+        const activities = req.controlActivities || {};
+        const list = items => `<ul>${items.map(item => `<li>${escapeHTML(item)}</li>`).join('')}</ul>`;
+
+        return `
+            <section class="requirement">
+                <div class="req-id">${escapeHTML(req.id)} · ${escapeHTML(req.principleName)}</div>
+                <h2>${escapeHTML(req.title)}</h2>
+                <p class="meta">${escapeHTML(formatValue('status', req.status))} · ${escapeHTML(formatFrequency(req.frequency))} · ${escapeHTML(formatValue('type', req.type))}${req.effort ? ` · ${escapeHTML(getEffortLabel(req.effort))}` : ''} · ${escapeHTML(t(`tracker.status.${getTrackerEntry(req.id).status}`))}</p>
+                <p>${escapeHTML(req.description)}</p>
+                ${activities.shouldInclude && activities.shouldInclude.length ? `<h3>${t('modal.shouldInclude')}</h3>${list(activities.shouldInclude)}` : ''}
+                ${activities.mayInclude && activities.mayInclude.length ? `<h3>${t('modal.mayInclude')}</h3>${list(activities.mayInclude)}` : ''}
+                ${Object.keys(req.frameworkMappings || {}).length ? `
+                    <h3>${t('modal.frameworkMappings')}</h3>
+                    <table>
+                        ${Object.entries(req.frameworkMappings).map(([name, refs]) => `
+                            <tr><th>${escapeHTML(name)}</th><td>${escapeHTML([].concat(refs).join(', '))}</td></tr>
+                        `).join('')}
+                    </table>
+                ` : ''}
+            </section>
         `;
-    }
+    }).join('');
 
-    html += `
-            </div>
+    return `<!DOCTYPE html>
+<html lang="${translator.locale}">
+<head>
+    <meta charset="UTF-8">
+    <title>${escapeHTML(t('report.documentTitle', { standard: metadata.standard, date: formatDate(new Date()) }))}</title>
+    <style>
+        body { font-family: 'Space Grotesk', system-ui, sans-serif; color: #09090b; line-height: 1.5; margin: 2rem auto; max-width: 800px; padding: 0 1.5rem; }
+        h1 { font-family: 'Instrument Serif', Georgia, serif; font-weight: 400; font-size: 2.5rem; margin: 0 0 0.5rem; }
+        h2 { font-family: 'Instrument Serif', Georgia, serif; font-weight: 400; font-size: 1.5rem; margin: 0.25rem 0 0.5rem; }
+        h3 { font-size: 0.75rem; text-transform: uppercase; letter-spacing: 0.1em; color: #71717a; margin: 1rem 0 0.25rem; }
+        table { border-collapse: collapse; width: 100%; font-size: 0.875rem; }
+        th, td { text-align: left; padding: 0.35rem 0.5rem; border-bottom: 1px solid #e4e4e7; vertical-align: top; }
+        .cover { page-break-after: always; }
+        .cover .subtitle { color: #3f3f46; font-size: 1.125rem; }
+        .cover .stats { display: flex; gap: 2rem; margin: 2rem 0; }
+        .cover .stat strong { display: block; font-size: 2rem; font-family: 'DM Mono', monospace; }
+        .requirement { page-break-inside: avoid; border-top: 1px solid #d4d4d8; padding-top: 1rem; margin-top: 1.5rem; }
+        .req-id { font-family: 'DM Mono', monospace; font-size: 0.8125rem; color: #71717a; }
+        .meta { color: #71717a; font-size: 0.875rem; margin: 0; }
+        ul { margin: 0; padding-left: 1.25rem; }
+        @media print { body { margin: 0; max-width: none; } }
+    </style>
+</head>
+<body>
+    <section class="cover">
+        <div class="req-id">${escapeHTML(metadata.standard)} · ${escapeHTML(t('report.version', { version: metadata.version }))}</div>
+        <h1>${t('report.title')}</h1>
+        <p class="subtitle">${escapeHTML(metadata.description)}</p>
+        <p class="meta">${t('report.generated', { date: formatDate(new Date()) })} · ${filterSummary.length ? t('report.filteredBy', { filters: escapeHTML(filterSummary.join(' · ')) }) : t('report.allRequirements')}</p>
+        <div class="stats">
+            <div class="stat"><strong>${requirements.length}</strong>${t('report.requirements')}</div>
+            <div class="stat"><strong>${count(requirements, r => r.status === 'Mandatory')}</strong>${t('stats.mandatory')}</div>
+            <div class="stat"><strong>${count(requirements, r => r.status === 'Optional')}</strong>${t('stats.optional')}</div>
+            <div class="stat"><strong>${readiness.percent}%</strong>${t('stats.ready')}</div>
         </div>
-    `;
-
-    return html;
+        <table>
+            <thead><tr><th>${t('table.principle')}</th><th>${t('report.requirements')}</th><th>${t('stats.mandatory')}</th><th>${t('stats.ready')}</th></tr></thead>
+            <tbody>${principleRows}</tbody>
+        </table>
+    </section>
+    ${sections}
+    <script>window.addEventListener('load', () => window.print());<\/script>
+</body>
+</html>`;
 }
 
 // ============================================
-// Export
+// OSCAL Export
 // ============================================
 
-function initializeExport() {
-    document.getElementById('export-csv').addEventListener('click', exportCSV);
+function buildOSCALCatalog() {
+    return OSCAL.buildCatalog(standardsData, { frameworks: getFrameworkNames() });
 }
 
-function exportCSV() {
-    if (!filteredRequirements.length) return;
+// The active workspace, limited to the requirements in its scope
+function buildOSCALComponentDefinition() {
+    const workspace = getActiveWorkspace();
+    const implementations = getActiveRequirements()
+        .filter(req => isRequirementInScope(req))
+        .map(req => ({ req, entry: getTrackerEntry(req.id) }));
 
-    const headers = ['ID', 'Principle', 'Title', 'Description', 'Status', 'Frequency', 'Type', 'Keywords', 'URL'];
-    const rows = filteredRequirements.map(req => [
-        req.id,
-        req.principleName,
-        `"${req.title.replace(/"/g, '""')}"`,
-        `"${req.description.replace(/"/g, '""')}"`,
-        req.status,
-        req.frequency,
-        req.type,
-        `"${(req.keywords || []).join(', ')}"`,
-        `https://www.aiuc-1.com${req.url}`
-    ]);
+    return OSCAL.buildComponentDefinition(standardsData,
+        { name: workspace.name, profile: workspace.profile, implementations },
+        { version: formatDate(new Date()), statusLabels: IMPLEMENTATION_STATUSES });
+}
 
-    const csvContent = [
-        headers.join(','),
-        ...rows.map(row => row.join(','))
-    ].join('\n');
+function exportOSCALCatalog() {
+    const blob = new Blob([JSON.stringify(buildOSCALCatalog(), null, 2)], { type: 'application/json' });
+    downloadBlob(blob, OSCAL.CATALOG_FILENAME);
+}
 
-    const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
-    const link = document.createElement('a');
-    link.href = URL.createObjectURL(blob);
-    link.download = `aiuc-1-requirements-${new Date().toISOString().split('T')[0]}.csv`;
-    link.click();
+function exportOSCALComponentDefinition() {
+    const blob = new Blob([JSON.stringify(buildOSCALComponentDefinition(), null, 2)], { type: 'application/json' });
+    downloadBlob(blob, `aiuc-1-oscal-component-${formatDate(new Date())}.json`);
 }
 
 // ============================================
@@ -598,18 +5847,351 @@ function exportCSV() {
 
 function initializeKeyboardShortcuts() {
     document.addEventListener('keydown', (e) => {
-        // Focus search with /
-        if (e.key === '/' && document.activeElement.tagName !== 'INPUT') {
+        const typing = ['INPUT', 'TEXTAREA', 'SELECT'].includes(document.activeElement.tagName)
+            || document.activeElement.isContentEditable;
+
+        // Command palette with Ctrl+K / Cmd+K, even while typing
+        if ((e.ctrlKey || e.metaKey) && !e.altKey && e.key.toLowerCase() === 'k') {
             e.preventDefault();
-            document.getElementById('search-input').focus();
+            if (isCommandPaletteOpen()) {
+                closeCommandPalette();
+            } else {
+                openCommandPalette();
+            }
+            return;
         }
 
+        // The palette handles its own keys
+        if (isCommandPaletteOpen()) return;
+
         // Close modal with Escape
         if (e.key === 'Escape') {
             closeModal();
             document.getElementById('search-input').blur();
+            return;
+        }
+
+        if (isModalOpen()) {
+            if (e.key === 'Tab') {
+                trapModalFocus(e);
+            } else if (!typing && !e.altKey && !e.ctrlKey && !e.metaKey && openRequirementId && (e.key === 'n' || e.key === 'p')) {
+                // Next / previous requirement
+                e.preventDefault();
+                stepModalRequirement(e.key === 'n' ? 1 : -1);
+            }
+            return;
+        }
+
+        if (typing || e.altKey || e.ctrlKey || e.metaKey) return;
+
+        // Focus search with /
+        if (e.key === '/') {
+            e.preventDefault();
+            document.getElementById('search-input').focus();
+        }
+
+        // Move between table rows with j/k (arrow keys work once a row has focus)
+        if (e.key === 'j' || e.key === 'k') {
+            e.preventDefault();
+            moveRowFocus(e.key === 'j' ? 1 : -1);
+        }
+    });
+}
+
+// ============================================
+// Command Palette
+// ============================================
+
+const PALETTE_RESULT_LIMIT = 50;
+const PALETTE_SORT_COLUMNS = ['id', 'title', 'effort', 'type', 'capabilities'];
+
+let paletteResults = [];
+let paletteActiveIndex = 0;
+let paletteReturnFocus = null;
+
+function initializeCommandPalette() {
+    const overlay = document.getElementById('command-palette');
+    const input = document.getElementById('palette-input');
+    const results = document.getElementById('palette-results');
+
+    document.getElementById('palette-open').addEventListener('click', openCommandPalette);
+
+    overlay.addEventListener('click', (e) => {
+        if (e.target === overlay) closeCommandPalette();
+    });
+
+    input.addEventListener('input', () => renderPaletteResults(input.value));
+
+    input.addEventListener('keydown', (e) => {
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            setPaletteActive(paletteActiveIndex + (e.key === 'ArrowDown' ? 1 : -1));
+        } else if (e.key === 'Home' && e.ctrlKey) {
+            e.preventDefault();
+            setPaletteActive(0);
+        } else if (e.key === 'End' && e.ctrlKey) {
+            e.preventDefault();
+            setPaletteActive(paletteResults.length - 1);
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            runPaletteCommand(paletteResults[paletteActiveIndex]);
+        } else if (e.key === 'Escape') {
+            // Only the palette closes; an open modal underneath stays
+            e.preventDefault();
+            e.stopPropagation();
+            closeCommandPalette();
+        } else if (e.key === 'Tab') {
+            // The input is the only stop inside the palette
+            e.preventDefault();
+        }
+    });
+
+    results.addEventListener('mousedown', (e) => e.preventDefault());
+    results.addEventListener('click', (e) => {
+        const option = e.target.closest('[data-index]');
+        if (option) runPaletteCommand(paletteResults[Number(option.dataset.index)]);
+    });
+}
+
+function isCommandPaletteOpen() {
+    return !document.getElementById('command-palette').hidden;
+}
+
+function openCommandPalette() {
+    if (!standardsData || isCommandPaletteOpen()) return;
+
+    const input = document.getElementById('palette-input');
+    paletteReturnFocus = document.activeElement;
+    document.getElementById('command-palette').hidden = false;
+    input.value = '';
+    renderPaletteResults('');
+    input.focus();
+}
+
+function closeCommandPalette() {
+    if (!isCommandPaletteOpen()) return;
+
+    document.getElementById('command-palette').hidden = true;
+    if (paletteReturnFocus && paletteReturnFocus.isConnected) {
+        paletteReturnFocus.focus();
+    }
+    paletteReturnFocus = null;
+}
+
+/**
+ * Everything the palette can do right now, as { kind, label, detail, keywords, id, run }.
+ * Built on each open so counts, toggles and custom frameworks are current.
+ */
+function getPaletteCommands() {
+    const commands = [];
+    const kinds = {
+        requirement: t('palette.kind.requirement'),
+        filter: t('palette.kind.filter'),
+        sort: t('palette.kind.sort'),
+        view: t('palette.kind.view')
+    };
+
+    standardsData.requirements.forEach(req => {
+        commands.push({
+            kind: kinds.requirement,
+            id: req.id,
+            label: `${req.id} ${req.title}`,
+            detail: req.retired ? `${req.principleName} · ${t('status.retired')}` : req.principleName,
+            keywords: (req.keywords || []).join(' '),
+            run: () => openModal(req)
+        });
+    });
+
+    [{ id: 'all', name: t('principles.all') }, ...standardsData.principles].forEach(p => {
+        commands.push({
+            kind: kinds.filter,
+            label: t('palette.principle', { name: p.name }),
+            detail: p.id === 'all' ? '' : p.id,
+            keywords: 'principle',
+            run: () => applyPaletteFilter({ principle: p.id }, t('palette.principleApplied', { name: p.name }))
+        });
+    });
+
+    ['all', 'Mandatory', 'Optional'].forEach(status => {
+        const name = status === 'all' ? t('filters.all') : formatValue('status', status);
+        commands.push({
+            kind: kinds.filter,
+            label: `${t('filters.status')}: ${name}`,
+            detail: '',
+            keywords: 'status',
+            run: () => applyPaletteFilter({ status }, `${t('filters.status')}: ${name}`)
+        });
+    });
+
+    // Effort, type and capabilities toggle like their buttons
+    document.querySelectorAll('[data-multi-filter]').forEach(group => {
+        const key = group.dataset.multiFilter;
+        const groupLabel = t(`filters.${key}`);
+
+        group.querySelectorAll('.toggle-btn').forEach(btn => {
+            const value = btn.dataset.value;
+            const name = getFilterValueLabel(key, value);
+            const selected = currentFilters[key].includes(value);
+            commands.push({
+                kind: kinds.filter,
+                label: `${groupLabel}: ${name}`,
+                detail: t(selected ? 'palette.removeFilter' : 'palette.addFilter'),
+                keywords: `${key} ${value}`,
+                run: () => {
+                    toggleMultiFilter(key, value);
+                    applyPaletteFilter({}, t(selected ? 'palette.filterRemoved' : 'palette.filterAdded', { filter: `${groupLabel}: ${name}` }));
+                }
+            });
+        });
+    });
+
+    ['all', ...getFrameworkNames()].forEach(name => {
+        const label = name === 'all' ? t('filters.allFrameworks') : name;
+        commands.push({
+            kind: kinds.filter,
+            label: `${t('filters.framework')}: ${label}`,
+            detail: name === 'all' ? '' : getFrameworkAbbrev(name),
+            keywords: 'framework',
+            run: () => applyPaletteFilter({ framework: name }, `${t('filters.framework')}: ${label}`)
+        });
+    });
+
+    commands.push({
+        kind: kinds.filter,
+        label: t(currentFilters.showRetired ? 'palette.hideRetired' : 'palette.showRetired'),
+        detail: '',
+        keywords: 'retired',
+        run: () => applyPaletteFilter({ showRetired: !currentFilters.showRetired },
+            t(currentFilters.showRetired ? 'palette.retiredHidden' : 'palette.retiredShown'))
+    });
+
+    commands.push({
+        kind: kinds.filter,
+        label: t('palette.clearFilters'),
+        detail: '',
+        keywords: 'reset',
+        run: () => {
+            document.getElementById('search-input').value = '';
+            if (currentSort.column === 'relevance') currentSort = { column: 'id', direction: 'asc' };
+            applyPaletteFilter({ ...RequirementsQuery.DEFAULT_FILTERS, capabilities: [], effort: [], type: [] }, t('palette.filtersCleared'));
         }
     });
+
+    PALETTE_SORT_COLUMNS.forEach(column => {
+        const name = t(`table.${column === 'title' ? 'requirement' : column}`);
+        ['asc', 'desc'].forEach(direction => {
+            const directionLabel = t(direction === 'asc' ? 'palette.ascending' : 'palette.descending');
+            commands.push({
+                kind: kinds.sort,
+                label: t('palette.sortBy', { column: name }),
+                detail: directionLabel,
+                keywords: 'order',
+                run: () => {
+                    currentSort = { column, direction };
+                    applyPaletteFilter({}, t('palette.sorted', { column: name, direction: directionLabel }));
+                }
+            });
+        });
+    });
+
+    document.querySelectorAll('[data-panel]').forEach(btn => {
+        if (btn.hidden) return;
+        const name = btn.getAttribute('aria-label') || btn.textContent.trim();
+        commands.push({
+            kind: kinds.view,
+            label: name,
+            detail: '',
+            keywords: `open panel ${btn.dataset.panel}`,
+            run: () => openPanel(btn.dataset.panel)
+        });
+    });
+
+    return commands;
+}
+
+/**
+ * Every word has to match. An exact requirement ID ranks first, then ID
+ * prefixes, labels starting with the query and words starting with a term.
+ */
+function searchPaletteCommands(commands, query) {
+    const normalized = query.toLowerCase().trim();
+    if (!normalized) return commands.slice(0, PALETTE_RESULT_LIMIT);
+
+    const terms = normalized.split(/\s+/);
+
+    return commands
+        .map((command, order) => {
+            const label = command.label.toLowerCase();
+            const haystack = `${label} ${command.detail} ${command.keywords}`.toLowerCase();
+            if (!terms.every(term => haystack.includes(term))) return null;
+
+            const words = label.split(/[^a-z0-9]+/);
+            const id = (command.id || '').toLowerCase();
+            let score = 0;
+            if (id && id === normalized) score += 100;
+            else if (id && id.startsWith(normalized)) score += 50;
+            if (label.startsWith(normalized)) score += 20;
+            terms.forEach(term => {
+                if (words.some(word => word.startsWith(term))) score += 5;
+                else if (label.includes(term)) score += 1;
+            });
+            return { command, score, order };
+        })
+        .filter(Boolean)
+        .sort((a, b) => b.score - a.score || a.order - b.order)
+        .slice(0, PALETTE_RESULT_LIMIT)
+        .map(result => result.command);
+}
+
+function renderPaletteResults(query) {
+    const list = document.getElementById('palette-results');
+    paletteResults = searchPaletteCommands(getPaletteCommands(), query);
+    paletteActiveIndex = 0;
+
+    if (paletteResults.length === 0) {
+        list.innerHTML = `<li class="palette-empty" role="option" aria-disabled="true" aria-selected="false">${t('palette.empty')}</li>`;
+        document.getElementById('palette-input').removeAttribute('aria-activedescendant');
+        return;
+    }
+
+    list.innerHTML = paletteResults.map((command, index) => `
+        <li class="palette-option" id="palette-option-${index}" role="option" aria-selected="false" data-index="${index}">
+            <span class="palette-kind">${escapeHTML(command.kind)}</span>
+            <span class="palette-label">${escapeHTML(command.label)}</span>
+            ${command.detail ? `<span class="palette-detail">${escapeHTML(command.detail)}</span>` : ''}
+        </li>
+    `).join('');
+
+    setPaletteActive(0);
+}
+
+function setPaletteActive(index) {
+    if (paletteResults.length === 0) return;
+
+    paletteActiveIndex = clamp(index, 0, paletteResults.length - 1);
+    document.querySelectorAll('#palette-results .palette-option').forEach(option => {
+        option.setAttribute('aria-selected', String(Number(option.dataset.index) === paletteActiveIndex));
+    });
+
+    const active = document.getElementById(`palette-option-${paletteActiveIndex}`);
+    document.getElementById('palette-input').setAttribute('aria-activedescendant', active.id);
+    if (active.scrollIntoView) active.scrollIntoView({ block: 'nearest' });
+}
+
+function runPaletteCommand(command) {
+    if (!command) return;
+    closeCommandPalette();
+    command.run();
+}
+
+function applyPaletteFilter(changes, message) {
+    closeModal();
+    Object.assign(currentFilters, changes);
+    syncFilterControls();
+    applyFilters();
+    syncURLState();
+    // The new totals follow through the stats announcement
+    announce(message);
 }
 
 // ============================================
@@ -620,13 +6202,13 @@ function showError(message) {
     const tbody = document.getElementById('requirements-body');
     tbody.innerHTML = `
         <tr>
-            <td colspan="6">
+            <td colspan="10">
                 <div class="empty-state">
                     <svg class="empty-state-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5">
                         <circle cx="12" cy="12" r="10"/>
                         <path d="M12 8v4M12 16h.01"/>
                     </svg>
-                    <h3 class="empty-state-title">Error Loading Data</h3>
+                    <h3 class="empty-state-title">${t('errors.title')}</h3>
                     <p class="empty-state-text">${message}</p>
                 </div>
             </td>
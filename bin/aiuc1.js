@@ -0,0 +1,419 @@
+#!/usr/bin/env node
+/**
+ * Query the AIUC-1 dataset from the command line with the same filter,
+ * sort and search logic as the navigator.
+ *
+ * Usage:
+ *   node bin/aiuc1.js list [--principle B] [--status Mandatory] [--framework OWASP]
+ *   node bin/aiuc1.js show B005
+ *   node bin/aiuc1.js crosswalk "ISO 42001" A.7.2
+ *   node bin/aiuc1.js search "prompt injection" --json
+ *
+ * Exits 0 when something matched, 1 when nothing did, 2 on bad usage or an
+ * unreadable dataset.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+    FRAMEWORK_ABBREVIATIONS,
+    SORTABLE_COLUMNS,
+    getRequirementCapabilities,
+    queryRequirements,
+    buildCrosswalkIndex,
+    searchCrosswalk
+} = require('../lib/requirements-query');
+
+const ROOT = path.join(__dirname, '..');
+
+const EXIT_OK = 0;
+const EXIT_NO_MATCH = 1;
+const EXIT_USAGE = 2;
+
+const USAGE = `Usage: aiuc1 <command> [arguments] [options]
+
+Commands:
+  list                        List requirements matching the filters
+  show <ID>                   Show one requirement in full
+  crosswalk <framework> [ref] Requirements mapped to a framework's controls
+  search <query>              Ranked search, e.g. "prompt injection" or fw:nist -voice
+  help                        Show this message
+
+Filters (list and search):
+  --principle <A-F>           --status <Mandatory|Optional>
+  --framework <name>          --type <Preventative|Detective>
+  --capability <name,...>     --effort <low,medium,high>
+  --retired                   Include retired requirements
+
+Output:
+  --sort <${SORTABLE_COLUMNS.join('|')}>  --desc
+  --format <table|json|markdown>  (or --json, --markdown)
+  --data <file.json>          Query a custom dataset instead of the bundled one
+
+Exit codes: 0 matches found, 1 nothing matched, 2 bad usage or dataset`;
+
+class UsageError extends Error {}
+
+const VALUE_OPTIONS = ['principle', 'status', 'framework', 'capability', 'effort', 'type', 'sort', 'format', 'data'];
+const FLAG_OPTIONS = ['retired', 'desc', 'json', 'markdown', 'help'];
+
+function parseArgs(argv) {
+    const args = { command: null, positional: [], options: {} };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '-h') {
+            args.options.help = true;
+        } else if (arg.startsWith('--')) {
+            const [name, inline] = arg.slice(2).split(/=(.*)/s);
+            if (FLAG_OPTIONS.includes(name)) {
+                args.options[name] = true;
+            } else if (VALUE_OPTIONS.includes(name)) {
+                const value = inline !== undefined ? inline : argv[++i];
+                if (value === undefined) throw new UsageError(`--${name} needs a value`);
+                args.options[name] = value;
+            } else {
+                throw new UsageError(`Unknown option --${name}`);
+            }
+        } else if (!args.command) {
+            args.command = arg;
+        } else {
+            args.positional.push(arg);
+        }
+    }
+
+    if (args.options.json) args.options.format = 'json';
+    if (args.options.markdown) args.options.format = 'markdown';
+    args.options.format = args.options.format || 'table';
+    if (!['table', 'json', 'markdown'].includes(args.options.format)) {
+        throw new UsageError(`Unknown format "${args.options.format}"; use table, json or markdown`);
+    }
+
+    return args;
+}
+
+function loadDataset(file) {
+    let data;
+    try {
+        data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new UsageError(`Could not read ${path.relative(process.cwd(), file)}: ${error.message}`);
+    }
+    if (!data || !Array.isArray(data.requirements)) {
+        throw new UsageError(`${path.relative(process.cwd(), file)} has no requirements array`);
+    }
+    return data;
+}
+
+// ============================================
+// Filters
+// ============================================
+
+/**
+ * Match a value the user typed to the one the dataset uses, ignoring case,
+ * so "--status mandatory" and "--capability voice-generation" work.
+ */
+function resolveValue(option, value, known) {
+    const match = known.find(item => item.toLowerCase() === value.trim().toLowerCase());
+    if (!match) throw new UsageError(`Unknown ${option} "${value}"; expected one of: ${known.join(', ')}`);
+    return match;
+}
+
+function resolveList(option, value, known) {
+    return value.split(',').filter(item => item.trim()).map(item => resolveValue(option, item, known));
+}
+
+function distinct(requirements, getValues) {
+    return [...new Set(requirements.flatMap(getValues))].filter(Boolean).sort();
+}
+
+function buildFilters(options, data, search) {
+    const { requirements } = data;
+    const filters = { showRetired: Boolean(options.retired), search: search || '' };
+
+    if (options.principle) {
+        const principles = (data.principles || []).map(p => p.id);
+        filters.principle = resolveValue('principle', options.principle, principles.length ? principles : distinct(requirements, r => [r.principle]));
+    }
+    if (options.status) filters.status = resolveValue('status', options.status, distinct(requirements, r => [r.status]));
+    if (options.type) filters.type = resolveList('type', options.type, distinct(requirements, r => [r.type]));
+    if (options.effort) filters.effort = resolveList('effort', options.effort, distinct(requirements, r => [r.effort]));
+    if (options.capability) {
+        filters.capabilities = resolveList('capability', options.capability, distinct(requirements, getRequirementCapabilities));
+    }
+    // Like the navigator, a framework filter matches any name containing it
+    if (options.framework) filters.framework = options.framework;
+
+    return filters;
+}
+
+function buildSort(options, defaultColumn) {
+    const column = options.sort || defaultColumn;
+    if (!SORTABLE_COLUMNS.includes(column)) {
+        throw new UsageError(`Unknown sort "${column}"; use one of: ${SORTABLE_COLUMNS.join(', ')}`);
+    }
+    return { column, direction: options.desc ? 'desc' : 'asc' };
+}
+
+function getFrameworkNames(requirements) {
+    const names = new Set(Object.keys(FRAMEWORK_ABBREVIATIONS));
+    requirements.forEach(req => Object.keys(req.frameworkMappings || {}).forEach(name => names.add(name)));
+    return [...names];
+}
+
+// "ISO", "iso 42001" and "ISO 42001" all name the same framework
+function resolveFramework(value, names) {
+    const needle = value.trim().toLowerCase();
+    if (needle === 'all') return 'all';
+
+    const exact = names.find(name =>
+        name.toLowerCase() === needle || (FRAMEWORK_ABBREVIATIONS[name] || '').toLowerCase() === needle
+    );
+    if (exact) return exact;
+
+    const partial = names.filter(name => name.toLowerCase().includes(needle));
+    if (partial.length === 1) return partial[0];
+    throw new UsageError(`${partial.length ? 'Ambiguous' : 'Unknown'} framework "${value}"; expected one of: ${names.join(', ')}`);
+}
+
+// ============================================
+// Formatting
+// ============================================
+
+function getRequirementURL(req) {
+    const urlPath = typeof req.url === 'string' && /^\/(?!\/)/.test(req.url) ? req.url : '/';
+    return `https://www.aiuc-1.com${urlPath}`;
+}
+
+function getEffortLabel(effort) {
+    return { low: 'Light effort', medium: 'Moderate effort', high: 'Significant effort' }[effort] || '';
+}
+
+function formatTable(headers, rows) {
+    const widths = headers.map((header, i) => Math.max(header.length, ...rows.map(row => String(row[i]).length)));
+    const line = row => row.map((cell, i) => (i === row.length - 1 ? String(cell) : String(cell).padEnd(widths[i]))).join('  ');
+    return [line(headers), line(widths.map(width => '-'.repeat(width))), ...rows.map(line)].join('\n');
+}
+
+function formatMarkdownTable(headers, rows) {
+    const cell = value => String(value).replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+    return [
+        `| ${headers.join(' | ')} |`,
+        `| ${headers.map(() => '---').join(' | ')} |`,
+        ...rows.map(row => `| ${row.map(cell).join(' | ')} |`)
+    ].join('\n');
+}
+
+function formatRequirementList(requirements, format, searchResults) {
+    if (format === 'json') {
+        return JSON.stringify(requirements.map(req =>
+            searchResults ? { ...req, score: Math.round(searchResults.scores.get(req.id) * 100) / 100 } : req
+        ), null, 2);
+    }
+
+    const headers = ['ID', 'Status', 'Type', 'Effort', 'Title'];
+    const rows = requirements.map(req => [
+        req.id,
+        req.status,
+        req.type,
+        req.effort || '',
+        req.retired ? `${req.title} (retired)` : req.title
+    ]);
+    if (searchResults) {
+        headers.splice(1, 0, 'Score');
+        rows.forEach((row, i) => row.splice(1, 0, searchResults.scores.get(requirements[i].id).toFixed(1)));
+    }
+    return format === 'markdown' ? formatMarkdownTable(headers, rows) : formatTable(headers, rows);
+}
+
+// Same layout as the navigator's Markdown export
+function formatRequirementMarkdown(req) {
+    const activities = req.controlActivities || {};
+    const mappings = Object.entries(req.frameworkMappings || {});
+    const lines = [
+        `## ${req.id} · ${req.title}`,
+        '',
+        `- **Principle:** ${req.principle} · ${req.principleName}`,
+        `- **Status:** ${req.status}`,
+        `- **Frequency:** ${req.frequency}`,
+        `- **Type:** ${req.type}`,
+        req.effort ? `- **Effort:** ${getEffortLabel(req.effort)}` : null,
+        req.capabilities ? `- **Capabilities:** ${req.capabilities}` : null,
+        req.keywords && req.keywords.length ? `- **Keywords:** ${req.keywords.join(', ')}` : null,
+        `- **Source:** ${getRequirementURL(req)}`,
+        '',
+        req.description,
+        ''
+    ];
+
+    if (activities.shouldInclude && activities.shouldInclude.length) {
+        lines.push('### Control Activities - Should Include', '', ...activities.shouldInclude.map(item => `- ${item}`), '');
+    }
+    if (activities.mayInclude && activities.mayInclude.length) {
+        lines.push('### Control Activities - May Include', '', ...activities.mayInclude.map(item => `- ${item}`), '');
+    }
+    if (mappings.length) {
+        lines.push(
+            '### Framework Mappings',
+            '',
+            formatMarkdownTable(['Framework', 'References'], mappings.map(([name, refs]) => [name, [].concat(refs).join(', ')])),
+            ''
+        );
+    }
+
+    return lines.filter(line => line !== null).join('\n').trimEnd();
+}
+
+function formatRequirementText(req) {
+    const activities = req.controlActivities || {};
+    const mappings = Object.entries(req.frameworkMappings || {});
+    const details = [
+        ['Principle', `${req.principle} · ${req.principleName}`],
+        ['Status', req.retired ? `${req.status} (retired)` : req.status],
+        ['Frequency', req.frequency],
+        ['Type', req.type],
+        ['Effort', getEffortLabel(req.effort)],
+        ['Capabilities', req.capabilities],
+        ['Keywords', (req.keywords || []).join(', ')],
+        ['Source', getRequirementURL(req)]
+    ].filter(([, value]) => value);
+
+    const lines = [
+        `${req.id} · ${req.title}`,
+        '',
+        ...details.map(([label, value]) => `${`${label}:`.padEnd(14)}${value}`),
+        '',
+        req.description
+    ];
+
+    [['Should include', activities.shouldInclude], ['May include', activities.mayInclude]].forEach(([label, items]) => {
+        if (items && items.length) lines.push('', `${label}:`, ...items.map(item => `  - ${item}`));
+    });
+    if (mappings.length) {
+        lines.push('', 'Framework mappings:', ...mappings.map(([name, refs]) => `  ${name}: ${[].concat(refs).join(', ')}`));
+    }
+
+    return lines.join('\n');
+}
+
+function formatCrosswalk(entries, format) {
+    if (format === 'json') {
+        return JSON.stringify(entries.map(entry => ({
+            framework: entry.framework,
+            ref: entry.ref,
+            requirements: entry.requirements.map(req => ({ id: req.id, title: req.title, status: req.status }))
+        })), null, 2);
+    }
+
+    const headers = ['Framework', 'Reference', 'Requirements'];
+    const rows = entries.map(entry => [
+        entry.framework,
+        entry.ref,
+        entry.requirements.map(req => (format === 'markdown' ? `${req.id} ${req.title}` : req.id)).join(format === 'markdown' ? '<br>' : ', ')
+    ]);
+    return format === 'markdown' ? formatMarkdownTable(headers, rows) : formatTable(headers, rows);
+}
+
+// ============================================
+// Commands
+// ============================================
+
+function listCommand(data, args) {
+    const { requirements } = queryRequirements(data.requirements, buildFilters(args.options, data), buildSort(args.options, 'id'));
+    return { output: formatRequirementList(requirements, args.options.format), count: requirements.length, empty: 'No requirements match these filters.' };
+}
+
+function searchCommand(data, args) {
+    const query = args.positional.join(' ').trim();
+    if (!query) throw new UsageError('search needs a query, e.g. aiuc1 search "prompt injection"');
+
+    const { requirements, searchResults } = queryRequirements(
+        data.requirements,
+        buildFilters(args.options, data, query),
+        buildSort(args.options, 'relevance')
+    );
+    return {
+        output: formatRequirementList(requirements, args.options.format, searchResults),
+        count: requirements.length,
+        empty: `No requirements match "${query}".`
+    };
+}
+
+function showCommand(data, args) {
+    if (args.positional.length !== 1) throw new UsageError('show needs one requirement ID, e.g. aiuc1 show B005');
+
+    const id = args.positional[0].trim().toUpperCase();
+    const req = data.requirements.find(r => r.id.toUpperCase() === id);
+    if (!req) return { output: args.options.format === 'json' ? 'null' : '', count: 0, empty: `No requirement ${id}.` };
+
+    const format = args.options.format;
+    const output = format === 'json' ? JSON.stringify(req, null, 2)
+        : format === 'markdown' ? formatRequirementMarkdown(req)
+            : formatRequirementText(req);
+    return { output, count: 1 };
+}
+
+function crosswalkCommand(data, args) {
+    const [frameworkArg, ...refParts] = args.positional;
+    if (!frameworkArg) throw new UsageError('crosswalk needs a framework, e.g. aiuc1 crosswalk "ISO 42001" A.7.2');
+
+    const requirements = data.requirements.filter(req => args.options.retired || !req.retired);
+    const names = getFrameworkNames(requirements);
+    const framework = resolveFramework(frameworkArg, names);
+    const query = refParts.join(' ');
+
+    const entries = searchCrosswalk(buildCrosswalkIndex(requirements, names), framework, query);
+    return {
+        output: formatCrosswalk(entries, args.options.format),
+        count: entries.length,
+        empty: `No ${framework === 'all' ? '' : `${framework} `}references${query ? ` match "${query}"` : ''}.`
+    };
+}
+
+const COMMANDS = {
+    list: listCommand,
+    search: searchCommand,
+    show: showCommand,
+    crosswalk: crosswalkCommand
+};
+
+function main() {
+    let args;
+    try {
+        args = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(`✗ ${error.message}\n\n${USAGE}`);
+        return EXIT_USAGE;
+    }
+
+    if (args.command === 'help' || args.options.help) {
+        console.log(USAGE);
+        return EXIT_OK;
+    }
+    if (!args.command) {
+        console.error(USAGE);
+        return EXIT_USAGE;
+    }
+
+    const command = COMMANDS[args.command];
+    if (!command) {
+        console.error(`✗ Unknown command "${args.command}"\n\n${USAGE}`);
+        return EXIT_USAGE;
+    }
+
+    try {
+        const data = loadDataset(path.resolve(args.options.data || path.join(ROOT, 'data', 'aiuc-1-standards.json')));
+        const result = command(data, args);
+
+        // Scripts reading JSON always get a parseable document, even when empty
+        if (result.count > 0 || args.options.format === 'json') console.log(result.output);
+        if (result.count === 0) console.error(result.empty);
+        return result.count > 0 ? EXIT_OK : EXIT_NO_MATCH;
+    } catch (error) {
+        if (!(error instanceof UsageError)) throw error;
+        console.error(`✗ ${error.message}`);
+        return EXIT_USAGE;
+    }
+}
+
+process.exitCode = main();
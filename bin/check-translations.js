@@ -0,0 +1,130 @@
+#!/usr/bin/env node
+/**
+ * Check the interface message catalogs in locales/ against English and the
+ * requirement translations in data/translations/ against the dataset.
+ * Exits non-zero when a translation is unusable (wrong list length, unknown
+ * placeholder, IDs the dataset lacks, a field the overlay translates for no
+ * requirement at all) and, with --strict, when anything is still
+ * untranslated.
+ *
+ * Usage: node bin/check-translations.js [locale...] [--strict] [--template dir]
+ *
+ *   --template dir   write <locale>.todo.json (interface strings) and
+ *                    aiuc-1-standards.<locale>.todo.json (requirement text)
+ *                    holding what is still missing, for translators
+ */
+
+const fs = require('fs');
+const path = require('path');
+const I18n = require('../lib/i18n');
+
+const ROOT = path.join(__dirname, '..');
+const LOCALES_DIR = path.join(ROOT, 'locales');
+const TRANSLATIONS_DIR = path.join(ROOT, 'data', 'translations');
+
+function parseArgs(argv) {
+    const args = { locales: [], strict: false, template: null };
+
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--strict') args.strict = true;
+        else if (argv[i] === '--template') args.template = argv[++i];
+        else args.locales.push(argv[i]);
+    }
+
+    if (args.locales.length === 0) {
+        args.locales = fs.readdirSync(LOCALES_DIR)
+            .filter(file => file.endsWith('.json'))
+            .map(file => path.basename(file, '.json'))
+            .filter(locale => locale !== I18n.DEFAULT_LOCALE)
+            .sort();
+    }
+
+    return args;
+}
+
+function readJSON(file, { optional = false } = {}) {
+    if (optional && !fs.existsSync(file)) return null;
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        console.error(`✗ Could not read ${path.relative(process.cwd(), file)}: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+function writeJSON(file, value) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, `${JSON.stringify(value, null, 2)}\n`);
+    console.log(`  wrote ${path.relative(process.cwd(), file)}`);
+}
+
+function formatEntry({ scope, id, field }) {
+    return scope === 'principle' ? `principle ${id} ${field}` : `${id} ${field}`;
+}
+
+function checkLocale(locale, base, data, args) {
+    const errors = [];
+    const catalog = readJSON(path.join(LOCALES_DIR, `${locale}.json`), { optional: true });
+    const messages = catalog ? catalog.messages || {} : {};
+    const messageReport = I18n.compareCatalogs(base, messages);
+
+    const overlay = readJSON(path.join(TRANSLATIONS_DIR, `aiuc-1-standards.${locale}.json`), { optional: true });
+    const { data: translated, report } = I18n.translateDataset(data, overlay, locale);
+    const coverage = I18n.summarizeCoverage(report);
+
+    if (!catalog) errors.push(`locales/${locale}.json does not exist`);
+    messageReport.placeholders.forEach(({ key, unknown }) => {
+        errors.push(`message ${key} uses ${unknown.map(name => `{${name}}`).join(', ')}, which English never fills in`);
+    });
+    report.invalid.forEach(issue => errors.push(`${formatEntry(issue)}: ${issue.message}`));
+    report.unknown.forEach(id => errors.push(`${id} is translated but not in the dataset`));
+
+    const total = Object.keys(base).length;
+    console.log(`${locale}: ${total - messageReport.missing.length}/${total} interface strings, ` +
+        `${coverage.translated}/${coverage.total} requirement fields`);
+
+    if (!overlay) {
+        console.log(`  no data/translations/aiuc-1-standards.${locale}.json, requirement text stays English`);
+    } else if (report.outdated) {
+        console.warn(`  ! written for ${report.version}, dataset is ${data.metadata.version}`);
+    }
+    Object.entries(report.fields).forEach(([field, counts]) => {
+        if (counts.translated < counts.total) console.log(`  ${field}: ${counts.translated}/${counts.total}`);
+        // A partial overlay is fine; one that skips a field everywhere is not
+        if (overlay && counts.total > 0 && counts.translated === 0) errors.push(`${field} is not translated for any requirement`);
+    });
+    messageReport.unused.forEach(key => console.warn(`  ! message ${key} is not in the English catalog`));
+
+    if (args.strict) {
+        messageReport.missing.forEach(key => errors.push(`message ${key} is not translated`));
+        report.missing.forEach(entry => errors.push(`${formatEntry(entry)} is not translated`));
+    }
+
+    if (args.template) {
+        writeJSON(path.join(args.template, `${locale}.todo.json`), {
+            locale,
+            messages: Object.fromEntries(messageReport.missing.map(key => [key, base[key]]))
+        });
+        writeJSON(path.join(args.template, `aiuc-1-standards.${locale}.todo.json`),
+            I18n.buildOverlayTemplate(translated, report));
+    }
+
+    errors.forEach(error => console.error(`  ✗ ${error}`));
+    return errors.length;
+}
+
+function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const base = readJSON(path.join(LOCALES_DIR, `${I18n.DEFAULT_LOCALE}.json`)).messages;
+    const data = readJSON(path.join(ROOT, 'data', 'aiuc-1-standards.json'));
+
+    const errors = args.locales.reduce((sum, locale) => sum + checkLocale(locale, base, data, args), 0);
+
+    if (errors > 0) {
+        console.error(`\n${errors} error(s) in ${args.locales.join(', ')}`);
+        process.exit(1);
+    }
+    console.log(`\n✓ ${args.locales.join(', ')}: translations usable`);
+}
+
+main();
@@ -0,0 +1,73 @@
+#!/usr/bin/env node
+/**
+ * Validate the AIUC-1 dataset against its JSON Schema and cross-check the
+ * CSV copy. Exits non-zero on any error.
+ *
+ * Usage: node bin/validate-dataset.js [dataset.json] [--csv file.csv] [--schema file]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { validateDataset, formatIssue, crossCheckCSV } = require('../lib/dataset-validator');
+
+const ROOT = path.join(__dirname, '..');
+
+function parseArgs(argv) {
+    const args = {
+        dataset: path.join(ROOT, 'data', 'aiuc-1-standards.json'),
+        schema: path.join(ROOT, 'data', 'aiuc-1-standards.schema.json'),
+        csv: null
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--csv') args.csv = argv[++i];
+        else if (argv[i] === '--schema') args.schema = argv[++i];
+        else args.dataset = argv[i];
+    }
+
+    // The CSV sits alongside the dataset
+    if (!args.csv) {
+        const sibling = args.dataset.replace(/\.json$/, '.csv');
+        if (fs.existsSync(sibling)) args.csv = sibling;
+    }
+
+    return args;
+}
+
+function readJSON(file) {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        console.error(`✗ Could not read ${path.relative(process.cwd(), file)}: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const data = readJSON(args.dataset);
+    const schema = readJSON(args.schema);
+    const errors = [];
+
+    const report = validateDataset(data, schema);
+    report.warnings.forEach(issue => console.warn(`! ${formatIssue(issue)}`));
+    errors.push(...report.errors.map(formatIssue));
+
+    if (args.csv && Array.isArray(data.requirements)) {
+        errors.push(...crossCheckCSV(data, fs.readFileSync(args.csv, 'utf8')).map(problem => `CSV: ${problem}`));
+    }
+
+    errors.forEach(error => console.error(`✗ ${error}`));
+
+    const checked = [path.relative(process.cwd(), args.dataset), args.csv]
+        .filter(Boolean)
+        .map(file => path.relative(process.cwd(), path.resolve(file)));
+    if (errors.length > 0) {
+        console.error(`\n${errors.length} error(s), ${report.warnings.length} warning(s) in ${checked.join(', ')}`);
+        process.exit(1);
+    }
+
+    console.log(`✓ ${checked.join(', ')}: ${data.requirements.length} requirements valid, ${report.warnings.length} warning(s)`);
+}
+
+main();
@@ -0,0 +1,180 @@
+#!/usr/bin/env node
+/**
+ * Build the OSCAL catalog and a component definition the same way the
+ * navigator's export menu does, then validate both against the NIST OSCAL
+ * JSON schemas for the OSCAL version the export declares. The component
+ * definition comes from a fixture system that uses every tracker status and
+ * field. Exits non-zero when either document fails its schema.
+ *
+ * Usage: node bin/validate-oscal.js [dataset.json] [--schemas dir] [--out dir]
+ *        node bin/validate-oscal.js --update-schemas
+ *
+ *   --schemas dir       read oscal_catalog_schema.json and oscal_component_schema.json
+ *                       from dir instead of bin/fixtures/oscal/v<OSCAL version>
+ *   --out dir           also write the generated documents there for inspection
+ *   --update-schemas    download the NIST release's schemas into the fixtures
+ *                       directory; commit them so the check runs offline
+ *
+ * Needs ajv and ajv-formats, the only devDependencies: npm install, then
+ * npm run validate:oscal
+ */
+
+const fs = require('fs');
+const path = require('path');
+const OSCAL = require('../lib/oscal');
+
+const ROOT = path.join(__dirname, '..');
+const SCHEMA_RELEASE = `https://github.com/usnistgov/OSCAL/releases/download/v${OSCAL.OSCAL_VERSION}`;
+// Versioned so raising OSCAL_VERSION fails until the matching schemas are committed
+const SCHEMA_DIR = path.join(__dirname, 'fixtures', 'oscal', `v${OSCAL.OSCAL_VERSION}`);
+const SCHEMAS = {
+    catalog: 'oscal_catalog_schema.json',
+    'component-definition': 'oscal_component_schema.json'
+};
+const FIXTURE_STATUSES = Object.keys(OSCAL.IMPLEMENTATION_STATUSES);
+
+function parseArgs(argv) {
+    const args = {
+        dataset: path.join(ROOT, 'data', 'aiuc-1-standards.json'),
+        schemas: SCHEMA_DIR,
+        out: null,
+        updateSchemas: false
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--schemas') args.schemas = argv[++i];
+        else if (argv[i] === '--out') args.out = argv[++i];
+        else if (argv[i] === '--update-schemas') args.updateSchemas = true;
+        else args.dataset = argv[i];
+    }
+
+    return args;
+}
+
+function readJSON(file) {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        console.error(`✗ Could not read ${path.relative(process.cwd(), file)}: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+// One Ajv instance per schema, as both NIST schemas define the same shared assemblies
+function loadCompiler() {
+    try {
+        const Ajv = require('ajv');
+        const addFormats = require('ajv-formats');
+        return schema => {
+            // The NIST schemas use annotations Ajv's strict mode rejects
+            const ajv = new (Ajv.default || Ajv)({ strict: false, allErrors: true });
+            (addFormats.default || addFormats)(ajv);
+            return ajv.compile(schema);
+        };
+    } catch (error) {
+        console.error('✗ ajv and ajv-formats are needed to validate OSCAL: npm install');
+        process.exit(1);
+    }
+}
+
+function loadSchema(file, dir) {
+    if (!fs.existsSync(path.join(dir, file))) {
+        console.error(`✗ ${path.relative(process.cwd(), path.join(dir, file))} is missing`);
+        console.error('  Run node bin/validate-oscal.js --update-schemas and commit the result');
+        process.exit(1);
+    }
+    return readJSON(path.join(dir, file));
+}
+
+// The only step that needs the network; the check itself reads the committed copies
+async function updateSchemas(dir) {
+    fs.mkdirSync(dir, { recursive: true });
+
+    for (const file of Object.values(SCHEMAS)) {
+        const url = `${SCHEMA_RELEASE}/${file}`;
+        try {
+            const response = await fetch(url);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            const text = await response.text();
+            JSON.parse(text);
+            fs.writeFileSync(path.join(dir, file), text);
+        } catch (error) {
+            console.error(`✗ Could not download ${url}: ${error.message}`);
+            process.exit(1);
+        }
+        console.log(`✓ ${path.relative(process.cwd(), path.join(dir, file))}`);
+    }
+}
+
+/**
+ * Every requirement in scope, cycling through the tracker statuses so each
+ * one is exported, with owners, dates, notes and half the activities ticked.
+ */
+function buildFixtureSystem(data) {
+    const implementations = data.requirements.map((req, i) => {
+        const activities = req.controlActivities || {};
+        const tick = items => (items || []).map((_, j) => (i + j) % 2 === 0);
+        return {
+            req,
+            entry: {
+                status: FIXTURE_STATUSES[i % FIXTURE_STATUSES.length],
+                owner: i % 3 === 0 ? '' : `Owner ${i % 4}`,
+                dueDate: i % 2 === 0 ? '2026-12-31' : '',
+                lastReviewed: i % 5 === 0 ? '2026-03-01' : '',
+                notes: i % 4 === 0 ? `Fixture notes for ${req.id}\nacross two lines.` : '',
+                checks: { shouldInclude: tick(activities.shouldInclude), mayInclude: tick(activities.mayInclude) }
+            }
+        };
+    });
+
+    return {
+        name: 'Fixture System',
+        profile: {
+            owner: 'Fixture Owner',
+            deployment: 'Customer-facing assistant used to validate the OSCAL export.',
+            capabilities: ['Text-generation', 'Automation']
+        },
+        implementations
+    };
+}
+
+function formatError(error) {
+    return `${error.instancePath || '/'} ${error.message}${error.params && error.params.additionalProperty ? ` (${error.params.additionalProperty})` : ''}`;
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    if (args.updateSchemas) return updateSchemas(args.schemas);
+
+    const data = readJSON(args.dataset);
+    const compile = loadCompiler();
+
+    const documents = {
+        catalog: OSCAL.buildCatalog(data),
+        'component-definition': OSCAL.buildComponentDefinition(data, buildFixtureSystem(data))
+    };
+
+    let failures = 0;
+    for (const [model, document] of Object.entries(documents)) {
+        const schema = loadSchema(SCHEMAS[model], args.schemas);
+        const validate = compile(schema);
+
+        if (args.out) {
+            fs.mkdirSync(args.out, { recursive: true });
+            fs.writeFileSync(path.join(args.out, `${model}.json`), `${JSON.stringify(document, null, 2)}\n`);
+        }
+
+        if (validate(document)) {
+            console.log(`✓ ${model}: valid OSCAL ${OSCAL.OSCAL_VERSION}`);
+            continue;
+        }
+        failures++;
+        console.error(`✗ ${model}: ${validate.errors.length} schema error(s)`);
+        validate.errors.slice(0, 50).forEach(error => console.error(`  ${formatError(error)}`));
+        if (validate.errors.length > 50) console.error(`  … and ${validate.errors.length - 50} more`);
+    }
+
+    if (failures > 0) process.exit(1);
+}
+
+main();
@@ -0,0 +1,307 @@
+/**
+ * AIUC-1 Embeddable Elements
+ * <aiuc1-requirement id="C003"> and <aiuc1-list principle="B" status="Mandatory">
+ * render requirement cards in any page, inside a shadow DOM styled by the
+ * navigator's stylesheet. Include this script from a navigator install:
+ *
+ *   <script src="https://navigator.example.com/lib/aiuc1-elements.js"></script>
+ *
+ * The dataset is fetched once per page. Set theme="dark" (or "auto" to
+ * follow the reader's system setting) on an element to switch palettes, and
+ * lang="de" to render in one of the navigator's languages.
+ */
+
+(function () {
+    'use strict';
+
+    const script = document.currentScript;
+    // Inlined copies have no src; resolve against the page instead
+    const BASE_URL = new URL(script && script.src ? '../' : './', script && script.src ? script.src : window.location.href);
+    const DATASET_URL = new URL((script && script.dataset.dataset) || 'data/aiuc-1-standards.json', BASE_URL);
+    // URL serialisation percent-encodes quotes, so this is safe inside href="…"
+    const STYLESHEET_URL = new URL('styles.css', BASE_URL).href;
+
+    let datasetPromise = null;
+    // Set by the navigator's embed mode to render in its own language
+    let pageLocalization = null;
+    const scriptPromises = {};
+    const localePromises = {};
+
+    // ============================================
+    // Data
+    // ============================================
+
+    function loadDataset() {
+        if (!datasetPromise) {
+            datasetPromise = fetch(DATASET_URL).then(response => {
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                return response.json();
+            });
+            // Let a later element retry if the network was down
+            datasetPromise.catch(() => {
+                datasetPromise = null;
+            });
+        }
+        return datasetPromise;
+    }
+
+    /**
+     * Use an already loaded dataset instead of fetching the bundled one. The
+     * navigator's embed mode passes its own, custom datasets and mappings
+     * included, with `t` and `has` from its translator so the elements
+     * render in the language the navigator shows.
+     */
+    function setDataset(data, localization = null) {
+        datasetPromise = Promise.resolve(data);
+        pageLocalization = localization;
+        document.querySelectorAll('aiuc1-requirement, aiuc1-list').forEach(el => el.render());
+    }
+
+    // Filtering, localisation and card markup are shared with the navigator
+    function loadScript(file, globalName) {
+        if (window[globalName]) return Promise.resolve(window[globalName]);
+
+        if (!scriptPromises[file]) {
+            scriptPromises[file] = new Promise((resolve, reject) => {
+                const tag = document.createElement('script');
+                tag.src = new URL(file, BASE_URL).href;
+                tag.onload = () => resolve(window[globalName]);
+                tag.onerror = () => {
+                    delete scriptPromises[file];
+                    reject(new Error(`Could not load ${file}`));
+                };
+                document.head.appendChild(tag);
+            });
+        }
+        return scriptPromises[file];
+    }
+
+    async function fetchJSON(file, { optional = false } = {}) {
+        const response = await fetch(new URL(file, BASE_URL));
+        if (!response.ok) {
+            if (optional) return null;
+            throw new Error(`HTTP ${response.status}`);
+        }
+        return response.json();
+    }
+
+    /**
+     * The message catalogs and requirement translations for a locale, with
+     * English underneath. A locale the navigator does not ship falls back to
+     * English.
+     */
+    function loadLocale(locale) {
+        if (!localePromises[locale]) {
+            localePromises[locale] = (async () => {
+                const I18n = await loadScript('lib/i18n.js', 'I18n');
+                const catalogs = { [I18n.DEFAULT_LOCALE]: (await fetchJSON(`locales/${I18n.DEFAULT_LOCALE}.json`)).messages };
+                if (locale === I18n.DEFAULT_LOCALE) return { I18n, catalogs, overlay: null };
+
+                const [catalog, overlay] = await Promise.all([
+                    fetchJSON(`locales/${locale}.json`, { optional: true }),
+                    fetchJSON(`data/translations/aiuc-1-standards.${locale}.json`, { optional: true })
+                ]);
+                if (catalog) catalogs[locale] = catalog.messages;
+                return { I18n, catalogs, overlay };
+            })();
+            // Let a later element retry if the network was down
+            localePromises[locale].catch(() => {
+                delete localePromises[locale];
+            });
+        }
+        return localePromises[locale];
+    }
+
+    /**
+     * The dataset and a card renderer in the element's language: the
+     * navigator's when it handed them over, otherwise the lang attribute's.
+     */
+    async function loadLocalizedCard(lang) {
+        const [data, RequirementCard] = await Promise.all([
+            loadDataset(),
+            loadScript('lib/requirement-card.js', 'RequirementCard')
+        ]);
+        if (pageLocalization) {
+            return { data, card: RequirementCard.createCardRenderer(pageLocalization), t: pageLocalization.t };
+        }
+
+        const locale = (lang || 'en').toLowerCase();
+        const { I18n, catalogs, overlay } = await loadLocale(locale);
+        const translator = I18n.createTranslator(catalogs, catalogs[locale] ? locale : I18n.DEFAULT_LOCALE);
+        return {
+            data: overlay ? I18n.translateDataset(data, overlay, locale).data : data,
+            card: RequirementCard.createCardRenderer(translator),
+            t: translator.t
+        };
+    }
+
+    // ============================================
+    // Rendering
+    // ============================================
+
+    // Only called while rendering, which waits for the card module to load
+    function escapeHTML(value) {
+        return window.RequirementCard.escapeHTML(value);
+    }
+
+    function getNavigatorURL(req) {
+        return new URL(`index.html#${encodeURIComponent(req.id)}`, BASE_URL).href;
+    }
+
+    // The read-only parts of the navigator's requirement modal
+    function renderRequirementBody(req, { card, t }) {
+        return `
+            ${card.renderControlActivities(req.controlActivities)}
+            ${card.renderGettingStarted(req.gettingStarted)}
+            ${card.renderFrameworkMappings(req)}
+            ${card.renderKeywords(req)}
+            <div class="modal-actions">
+                <a href="${escapeHTML(window.RequirementCard.getRequirementURL(req))}" target="_blank" rel="noopener" class="modal-link">${escapeHTML(t('modal.viewOnSite'))}</a>
+                <a href="${escapeHTML(getNavigatorURL(req))}" target="_blank" rel="noopener" class="modal-link">${escapeHTML(t('embed.openInNavigator'))}</a>
+            </div>
+        `;
+    }
+
+    function renderRequirementCard(req, localized) {
+        return `
+            <article class="embed-card">
+                ${localized.card.renderHeader(req)}
+                ${renderRequirementBody(req, localized)}
+            </article>
+        `;
+    }
+
+    // Each row expands to the full card, so a list stays scannable
+    function renderRequirementList(requirements, localized) {
+        if (requirements.length === 0) {
+            return `<p class="embed-message">${escapeHTML(localized.t('embed.noMatches'))}</p>`;
+        }
+
+        return `
+            <div class="embed-list">
+                ${requirements.map(req => `
+                    <details class="embed-list-item">
+                        <summary>
+                            <span class="req-id" data-principle="${escapeHTML(req.principle)}">${escapeHTML(req.id)}</span>
+                            <span class="embed-list-title">${escapeHTML(req.title)}</span>
+                            ${localized.card.renderStatusBadges(req)}
+                        </summary>
+                        <div class="embed-list-body">
+                            <p class="modal-description">${escapeHTML(req.description)}</p>
+                            ${renderRequirementBody(req, localized)}
+                        </div>
+                    </details>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    // ============================================
+    // Elements
+    // ============================================
+
+    class AIUC1Element extends HTMLElement {
+        static get observedAttributes() {
+            return ['theme', 'lang'];
+        }
+
+        constructor() {
+            super();
+            this.attachShadow({ mode: 'open' });
+            this.renderToken = 0;
+        }
+
+        connectedCallback() {
+            this.render();
+        }
+
+        attributeChangedCallback() {
+            if (this.isConnected) this.render();
+        }
+
+        getTheme() {
+            const theme = (this.getAttribute('theme') || 'light').toLowerCase();
+            if (theme === 'auto') {
+                return window.matchMedia && window.matchMedia('(prefers-color-scheme: dark)').matches ? 'dark' : 'light';
+            }
+            return theme === 'dark' ? 'dark' : 'light';
+        }
+
+        async render() {
+            // Attribute changes can overlap a slow first load; keep the latest
+            const token = ++this.renderToken;
+            let html;
+            try {
+                html = await this.renderContent(await loadLocalizedCard(this.getAttribute('lang')));
+            } catch (error) {
+                // Nothing may have loaded to translate this with
+                html = '<p class="embed-message">Could not load the AIUC-1 dataset.</p>';
+            }
+            if (token !== this.renderToken) return;
+
+            this.shadowRoot.innerHTML = `
+                <link rel="stylesheet" href="${STYLESHEET_URL}">
+                <div class="embed-root" data-theme="${this.getTheme()}">${html}</div>
+            `;
+        }
+    }
+
+    class RequirementElement extends AIUC1Element {
+        static get observedAttributes() {
+            return ['id', 'theme', 'lang'];
+        }
+
+        renderContent(localized) {
+            const id = (this.getAttribute('id') || '').trim().toUpperCase();
+            const req = localized.data.requirements.find(r => r.id.toUpperCase() === id);
+            return req
+                ? renderRequirementCard(req, localized)
+                : `<p class="embed-message">${escapeHTML(localized.t('embed.notFound', { id }))}</p>`;
+        }
+    }
+
+    const LIST_ATTRIBUTES = ['principle', 'status', 'framework', 'capability', 'effort', 'type', 'search', 'retired', 'sort', 'desc'];
+
+    // Match typed values case-insensitively to those the dataset uses
+    function readListAttribute(value, known) {
+        if (!value) return [];
+        return value.split(',').map(item => item.trim()).filter(Boolean)
+            .map(item => known.find(k => k.toLowerCase() === item.toLowerCase()) || item);
+    }
+
+    class ListElement extends AIUC1Element {
+        static get observedAttributes() {
+            return [...LIST_ATTRIBUTES, 'theme', 'lang'];
+        }
+
+        async renderContent(localized) {
+            const { data } = localized;
+            const query = await loadScript('lib/requirements-query.js', 'RequirementsQuery');
+            const distinct = getValues => [...new Set(data.requirements.flatMap(getValues))].filter(Boolean);
+            const attr = name => (this.getAttribute(name) || '').trim();
+
+            const filters = {
+                principle: attr('principle') ? attr('principle').toUpperCase() : 'all',
+                status: readListAttribute(attr('status'), distinct(r => [r.status]))[0] || 'all',
+                framework: attr('framework') || 'all',
+                capabilities: readListAttribute(attr('capability'), distinct(query.getRequirementCapabilities)),
+                effort: readListAttribute(attr('effort'), distinct(r => [r.effort])),
+                type: readListAttribute(attr('type'), distinct(r => [r.type])),
+                showRetired: this.hasAttribute('retired'),
+                search: attr('search')
+            };
+            const column = query.SORTABLE_COLUMNS.includes(attr('sort')) ? attr('sort') : (filters.search ? 'relevance' : 'id');
+
+            const { requirements } = query.queryRequirements(data.requirements, filters, {
+                column,
+                direction: this.hasAttribute('desc') ? 'desc' : 'asc'
+            });
+            return renderRequirementList(requirements, localized);
+        }
+    }
+
+    if (!customElements.get('aiuc1-requirement')) customElements.define('aiuc1-requirement', RequirementElement);
+    if (!customElements.get('aiuc1-list')) customElements.define('aiuc1-list', ListElement);
+
+    window.AIUC1Elements = { loadDataset, setDataset, BASE_URL: BASE_URL.href };
+})();
@@ -0,0 +1,361 @@
+/**
+ * AIUC-1 Dataset Validator
+ * Structural and consistency checks for the standards dataset, shared by the
+ * navigator (loaded as a script) and bin/validate-dataset.js (required from Node)
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.DatasetValidator = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const FRAMEWORK_COLUMNS = ['EU AI Act', 'ISO 42001', 'NIST AI RMF', 'OWASP Top 10', 'MITRE ATLAS', 'CSA AICM'];
+
+    // ============================================
+    // JSON Schema
+    // ============================================
+
+    function getType(value) {
+        if (value === null) return 'null';
+        if (Array.isArray(value)) return 'array';
+        if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+        return typeof value;
+    }
+
+    function resolveRef(ref, rootSchema) {
+        return ref.replace(/^#\//, '').split('/').reduce((node, key) => node[key], rootSchema);
+    }
+
+    /**
+     * Validate a value against the subset of JSON Schema the dataset schema
+     * uses: type, required, properties, additionalProperties, items, enum,
+     * pattern, minLength, minItems, minimum and local $ref.
+     */
+    function validateSchema(schema, value, path = '', rootSchema = schema) {
+        if (schema.$ref) return validateSchema(resolveRef(schema.$ref, rootSchema), value, path, rootSchema);
+
+        const errors = [];
+        const type = getType(value);
+        const fail = message => errors.push({ path: path || '/', message });
+
+        if (schema.type) {
+            const matches = schema.type === type || (schema.type === 'number' && type === 'integer');
+            if (!matches) {
+                fail(`must be ${schema.type === 'array' || schema.type === 'object' || schema.type === 'integer' ? 'an' : 'a'} ${schema.type}`);
+                return errors;
+            }
+        }
+        if (schema.enum && !schema.enum.includes(value)) {
+            fail(`must be one of ${schema.enum.join(', ')}`);
+        }
+        if (type === 'string') {
+            if (schema.minLength !== undefined && value.length < schema.minLength) fail('must not be empty');
+            if (schema.pattern && !new RegExp(schema.pattern).test(value)) fail(`"${value}" does not match ${schema.pattern}`);
+        }
+        if ((type === 'integer' || type === 'number') && schema.minimum !== undefined && value < schema.minimum) {
+            fail(`must be at least ${schema.minimum}`);
+        }
+        if (type === 'array') {
+            if (schema.minItems !== undefined && value.length < schema.minItems) fail(`must have at least ${schema.minItems} item(s)`);
+            if (schema.items) {
+                value.forEach((item, i) => errors.push(...validateSchema(schema.items, item, `${path}/${i}`, rootSchema)));
+            }
+        }
+        if (type === 'object') {
+            (schema.required || []).forEach(key => {
+                if (value[key] === undefined) fail(`is missing "${key}"`);
+            });
+            Object.keys(value).forEach(key => {
+                const propertySchema = (schema.properties || {})[key];
+                if (propertySchema) {
+                    errors.push(...validateSchema(propertySchema, value[key], `${path}/${key}`, rootSchema));
+                } else if (schema.additionalProperties === false) {
+                    fail(`has unexpected property "${key}"`);
+                } else if (schema.additionalProperties) {
+                    errors.push(...validateSchema(schema.additionalProperties, value[key], `${path}/${key}`, rootSchema));
+                }
+            });
+        }
+
+        return errors;
+    }
+
+    // ============================================
+    // Dataset
+    // ============================================
+
+    /**
+     * Run the schema plus the checks a schema cannot express: unique IDs,
+     * ID prefixes that match the principle, known principles and the
+     * metadata total. Issues on a single requirement carry its index so
+     * callers can drop just that record.
+     */
+    function validateDataset(data, schema) {
+        const issues = [];
+        const requirements = data && Array.isArray(data.requirements) ? data.requirements : [];
+        const principles = data && Array.isArray(data.principles) ? data.principles : [];
+        const add = (severity, path, message) => {
+            const match = /^\/requirements\/(\d+)/.exec(path);
+            const index = match ? Number(match[1]) : null;
+            const req = index !== null ? requirements[index] : null;
+            issues.push({
+                severity,
+                path,
+                index,
+                id: req && typeof req.id === 'string' ? req.id : null,
+                message
+            });
+        };
+
+        if (schema) {
+            validateSchema(schema, data).forEach(({ path, message }) => add('error', path, message));
+        }
+
+        const principleNames = new Map(principles.map(p => [p && p.id, p && p.name]));
+        const seen = new Map();
+
+        requirements.forEach((req, i) => {
+            if (!req || typeof req !== 'object') return;
+            const path = `/requirements/${i}`;
+
+            if (typeof req.id === 'string') {
+                if (seen.has(req.id)) {
+                    add('error', `${path}/id`, `duplicates the ID of /requirements/${seen.get(req.id)}`);
+                } else {
+                    seen.set(req.id, i);
+                }
+                if (typeof req.principle === 'string' && req.id.charAt(0) !== req.principle) {
+                    add('error', `${path}/id`, `prefix does not match principle "${req.principle}"`);
+                }
+            }
+            if (typeof req.principle === 'string') {
+                if (!principleNames.has(req.principle)) {
+                    add('error', `${path}/principle`, `"${req.principle}" is not a listed principle`);
+                } else if (req.principleName !== undefined && req.principleName !== principleNames.get(req.principle)) {
+                    add('warning', `${path}/principleName`, `"${req.principleName}" differs from principle name "${principleNames.get(req.principle)}"`);
+                }
+            }
+            if (typeof req.title === 'string' && /^\[retired\]/i.test(req.title) && !req.retired) {
+                add('warning', `${path}/retired`, 'title is marked [Retired] but "retired" is not set');
+            }
+        });
+
+        if (data && data.metadata && Number.isInteger(data.metadata.totalRequirements) &&
+            data.metadata.totalRequirements !== requirements.length) {
+            add('error', '/metadata/totalRequirements', `is ${data.metadata.totalRequirements} but the dataset has ${requirements.length} requirements`);
+        }
+
+        return {
+            issues,
+            errors: issues.filter(issue => issue.severity === 'error'),
+            warnings: issues.filter(issue => issue.severity === 'warning'),
+            invalidRequirements: new Set(issues
+                .filter(issue => issue.severity === 'error' && issue.index !== null)
+                .map(issue => issue.index))
+        };
+    }
+
+    function formatIssue(issue) {
+        return `${issue.id ? `${issue.id} ` : ''}${issue.path} ${issue.message}`;
+    }
+
+    // ============================================
+    // CSV Cross-Check
+    // ============================================
+
+    function parseCSV(text) {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let quoted = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+        if (field || row.length) {
+            row.push(field);
+            rows.push(row);
+        }
+
+        return rows.filter(r => r.some(cell => cell.trim()));
+    }
+
+    function splitList(value) {
+        return String(value || '').split(',').map(item => item.trim()).filter(Boolean);
+    }
+
+    /**
+     * "DSP-11 to DSP-23" becomes DSP-11, DSP-12, ... DSP-23, keeping the
+     * zero padding of the first reference. The end may repeat only the tail
+     * of the prefix ("MANAGE 1.2 to 1.4"). Anything else is returned as is.
+     */
+    function expandReferenceRange(ref) {
+        const match = /^(.*?)(\d+)\s*(?:to|–)\s*(.*?)(\d+)$/.exec(ref.trim());
+        if (!match || !match[1].endsWith(match[3])) return [ref.trim()];
+
+        const [, prefix, from, , to] = match;
+        const start = Number(from);
+        const end = Number(to);
+        if (end < start || end - start > 500) return [ref.trim()];
+
+        return Array.from({ length: end - start + 1 }, (_, i) => `${prefix}${String(start + i).padStart(from.length, '0')}`);
+    }
+
+    /**
+     * "IAM, DSP, LOG controls" lists IAM controls, DSP controls and LOG
+     * controls: bare codes take the wording that follows the last one.
+     */
+    function distributeSharedSuffix(items) {
+        const last = /^([A-Z]{2,})\s+([A-Za-z][A-Za-z ]*)$/.exec(items[items.length - 1] || '');
+        const bare = items.slice(0, -1);
+        if (!last || bare.length === 0 || !bare.every(item => /^[A-Z]{2,}$/.test(item))) return items;
+
+        return [...bare.map(item => `${item} ${last[2]}`), items[items.length - 1]];
+    }
+
+    /**
+     * Reduce references to comparable IDs: "Article 11: Technical Documentation"
+     * and "Article 11" match, "Articles 9, 10" lists Article 9 and Article 10,
+     * and "IAM, DSP controls" lists IAM controls and DSP controls.
+     */
+    function normalizeReferences(refs) {
+        const normalized = [];
+        let listPrefix = null;
+
+        [].concat(refs || []).flatMap(ref => distributeSharedSuffix(splitList(ref))).forEach(item => {
+            let ref = item.split(':')[0].trim();
+            const plural = /^([A-Za-z]+)s\s+(\d.*)$/.exec(ref);
+            if (plural) {
+                listPrefix = `${plural[1]} `;
+                ref = `${listPrefix}${plural[2]}`;
+            } else if (/^\d+$/.test(ref) && listPrefix) {
+                ref = `${listPrefix}${ref}`;
+            } else {
+                listPrefix = null;
+            }
+            normalized.push(...expandReferenceRange(ref));
+        });
+
+        return [...new Set(normalized)].sort();
+    }
+
+    function sameList(a, b) {
+        return a.length === b.length && a.every((item, i) => item === b[i]);
+    }
+
+    /**
+     * Compare the CSV export of the dataset against the JSON, field by field.
+     * Returns a list of mismatch messages; an empty list means they agree.
+     */
+    function crossCheckCSV(data, csvText) {
+        const [header, ...rows] = parseCSV(csvText);
+        const problems = [];
+        if (!header) return ['CSV is empty'];
+
+        const column = name => header.indexOf(name);
+        const missingColumns = ['ID', 'Principle', 'Title', 'Status'].filter(name => column(name) === -1);
+        if (missingColumns.length) return [`CSV is missing column(s): ${missingColumns.join(', ')}`];
+
+        const jsonById = new Map((data.requirements || []).map(req => [req.id, req]));
+        const csvIds = new Set();
+        const cell = (row, name) => (column(name) === -1 ? undefined : (row[column(name)] || '').trim());
+
+        if (rows.length !== jsonById.size) {
+            problems.push(`CSV has ${rows.length} requirements, JSON has ${jsonById.size}`);
+        }
+
+        rows.forEach(row => {
+            const id = cell(row, 'ID');
+            if (csvIds.has(id)) problems.push(`${id}: listed more than once in the CSV`);
+            csvIds.add(id);
+
+            const req = jsonById.get(id);
+            if (!req) {
+                problems.push(`${id}: in the CSV but not in the JSON`);
+                return;
+            }
+
+            const fields = [
+                ['Principle', req.principle],
+                ['Principle Name', req.principleName],
+                ['Title', req.title],
+                ['Description', req.description],
+                ['Status', req.status],
+                ['Frequency', req.frequency],
+                ['Type', req.type],
+                ['URL', req.url],
+                ['Capabilities', req.capabilities]
+            ];
+            fields.forEach(([name, expected]) => {
+                const actual = cell(row, name);
+                if (actual !== undefined && actual !== String(expected === undefined ? '' : expected).trim()) {
+                    problems.push(`${id}: ${name} is "${actual}" in the CSV but "${expected}" in the JSON`);
+                }
+            });
+
+            const keywords = cell(row, 'Keywords');
+            if (keywords !== undefined && !sameList(splitList(keywords).sort(), [...(req.keywords || [])].sort())) {
+                problems.push(`${id}: Keywords differ between CSV and JSON`);
+            }
+
+            FRAMEWORK_COLUMNS.forEach(name => {
+                const actual = cell(row, name);
+                if (actual === undefined) return;
+                const csvRefs = normalizeReferences(actual);
+                const jsonRefs = normalizeReferences((req.frameworkMappings || {})[name]);
+                if (!sameList(csvRefs, jsonRefs)) {
+                    const missing = jsonRefs.filter(ref => !csvRefs.includes(ref));
+                    const extra = csvRefs.filter(ref => !jsonRefs.includes(ref));
+                    problems.push(`${id}: ${name} mappings differ (${[
+                        missing.length ? `missing from CSV: ${missing.join(', ')}` : null,
+                        extra.length ? `only in CSV: ${extra.join(', ')}` : null
+                    ].filter(Boolean).join('; ')})`);
+                }
+            });
+        });
+
+        jsonById.forEach((_, id) => {
+            if (!csvIds.has(id)) problems.push(`${id}: in the JSON but not in the CSV`);
+        });
+
+        return problems;
+    }
+
+    return {
+        FRAMEWORK_COLUMNS,
+        validateSchema,
+        validateDataset,
+        formatIssue,
+        parseCSV,
+        expandReferenceRange,
+        normalizeReferences,
+        crossCheckCSV
+    };
+});
@@ -0,0 +1,311 @@
+/**
+ * AIUC-1 Localisation
+ * Message catalogs with English fallback and per-locale dataset overlays that
+ * translate requirement text field by field, shared by the navigator (loaded
+ * as a script) and bin/check-translations.js (required from Node).
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.I18n = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const DEFAULT_LOCALE = 'en';
+
+    // Requirement text an overlay may translate. Arrays must keep the English
+    // length, because tracker checkboxes and evidence are stored by position.
+    const TRANSLATABLE_FIELDS = [
+        'title',
+        'description',
+        'controlActivities.shouldInclude',
+        'controlActivities.mayInclude',
+        'gettingStarted.overview',
+        'gettingStarted.steps',
+        'gettingStarted.tip',
+        'gettingStarted.template.description'
+    ];
+    const PRINCIPLE_FIELDS = ['name', 'description'];
+
+    // ============================================
+    // Message Catalogs
+    // ============================================
+
+    function interpolate(message, params) {
+        return message.replace(/\{(\w+)\}/g, (match, name) =>
+            params[name] === undefined || params[name] === null ? match : String(params[name])
+        );
+    }
+
+    /**
+     * Catalogs are flat maps of key -> message, e.g. { 'filters.status': 'Status' }.
+     * Messages interpolate {name} placeholders; a plural message is an object
+     * keyed by Intl.PluralRules category ({ one, other }) and picked by
+     * params.count. Keys the locale lacks fall back to English and are recorded
+     * in `missing`; keys English lacks come back as the key itself.
+     */
+    function createTranslator(catalogs, locale = DEFAULT_LOCALE) {
+        const missing = new Set();
+        const plurals = new Intl.PluralRules(locale);
+        const localeMessages = catalogs[locale] || {};
+        const fallbackMessages = catalogs[DEFAULT_LOCALE] || {};
+
+        function lookup(key) {
+            if (Object.prototype.hasOwnProperty.call(localeMessages, key)) return localeMessages[key];
+            if (locale !== DEFAULT_LOCALE) missing.add(key);
+            return Object.prototype.hasOwnProperty.call(fallbackMessages, key) ? fallbackMessages[key] : undefined;
+        }
+
+        function t(key, params = {}) {
+            let message = lookup(key);
+            if (message === undefined) return key;
+
+            if (message && typeof message === 'object') {
+                message = message[plurals.select(Number(params.count))] || message.other || '';
+            }
+            return interpolate(String(message), params);
+        }
+
+        function has(key) {
+            return Object.prototype.hasOwnProperty.call(localeMessages, key) ||
+                Object.prototype.hasOwnProperty.call(fallbackMessages, key);
+        }
+
+        return { locale, t, has, missing };
+    }
+
+    function getPlaceholders(message) {
+        const forms = message && typeof message === 'object' ? Object.values(message) : [message];
+        const names = new Set();
+        forms.forEach(form => {
+            String(form).replace(/\{(\w+)\}/g, (match, name) => names.add(name));
+        });
+        return names;
+    }
+
+    /**
+     * What a locale catalog lacks compared with English, what it has that
+     * English does not, and placeholders English never fills in.
+     */
+    function compareCatalogs(base, catalog) {
+        const missing = Object.keys(base).filter(key => !Object.prototype.hasOwnProperty.call(catalog, key));
+        const unused = Object.keys(catalog).filter(key => !Object.prototype.hasOwnProperty.call(base, key));
+        const placeholders = [];
+
+        Object.keys(catalog).forEach(key => {
+            if (!Object.prototype.hasOwnProperty.call(base, key)) return;
+            const expected = getPlaceholders(base[key]);
+            const unknown = [...getPlaceholders(catalog[key])].filter(name => !expected.has(name));
+            if (unknown.length > 0) placeholders.push({ key, unknown });
+        });
+
+        return { missing, unused, placeholders };
+    }
+
+    /**
+     * Pick the best supported locale for preferences such as
+     * navigator.languages: the exact tag first, then its language alone.
+     */
+    function negotiateLocale(preferences, supported, fallback = DEFAULT_LOCALE) {
+        for (const preference of preferences || []) {
+            const tag = String(preference).toLowerCase();
+            const exact = supported.find(locale => locale.toLowerCase() === tag);
+            if (exact) return exact;
+            const language = supported.find(locale => locale.toLowerCase() === tag.split('-')[0]);
+            if (language) return language;
+        }
+        return fallback;
+    }
+
+    // ============================================
+    // Dataset Overlays
+    // ============================================
+
+    function getPath(obj, path) {
+        return path.split('.').reduce((value, part) => (value ? value[part] : undefined), obj);
+    }
+
+    // Copies each object along the path so the English dataset is left alone
+    function setPath(obj, path, value) {
+        const parts = path.split('.');
+        let target = obj;
+        parts.slice(0, -1).forEach(part => {
+            target[part] = { ...target[part] };
+            target = target[part];
+        });
+        target[parts[parts.length - 1]] = value;
+    }
+
+    function isText(value) {
+        return typeof value === 'string' && value.trim() !== '';
+    }
+
+    function hasEnglish(value) {
+        return Array.isArray(value) ? value.length > 0 : isText(value);
+    }
+
+    /**
+     * Translate one field. Returns the value to use and what was wrong with
+     * the translation, if anything; untranslated array items keep English.
+     */
+    function translateField(english, translation) {
+        if (translation === undefined || translation === null) {
+            return { value: english, missing: true };
+        }
+
+        if (Array.isArray(english)) {
+            if (!Array.isArray(translation)) {
+                return { value: english, invalid: 'expected a list' };
+            }
+            if (translation.length !== english.length) {
+                return { value: english, invalid: `expected ${english.length} items, found ${translation.length}` };
+            }
+            const untranslated = [];
+            const value = english.map((item, i) => {
+                if (isText(translation[i])) return translation[i];
+                untranslated.push(i);
+                return item;
+            });
+            return { value, missingItems: untranslated };
+        }
+
+        if (typeof translation !== 'string') {
+            return { value: english, invalid: 'expected text' };
+        }
+        return isText(translation) ? { value: translation } : { value: english, missing: true };
+    }
+
+    /**
+     * Apply a translation overlay to a dataset. Every field falls back to
+     * English on its own, so a partial overlay is still usable. The overlay
+     * looks like:
+     *
+     *   { "locale": "de", "version": "April, 2026",
+     *     "principles": { "A": { "name": "...", "description": "..." } },
+     *     "requirements": { "A001": { "title": "...", "controlActivities": { "shouldInclude": [...] } } } }
+     *
+     * Pass null to report everything as missing. Returns the translated copy
+     * and a report: per-field coverage, missing and invalid entries, overlay
+     * IDs the dataset does not have and whether the overlay targets another
+     * version of the standard.
+     */
+    function translateDataset(data, overlay, locale = overlay && overlay.locale) {
+        const source = overlay || {};
+        const principleOverlay = source.principles || {};
+        const requirementOverlay = source.requirements || {};
+        const fields = {};
+        const missing = [];
+        const invalid = [];
+
+        function record(scope, id, field, english, translation) {
+            const key = scope === 'principle' ? `principle.${field}` : field;
+            if (!hasEnglish(english)) return english;
+
+            const result = translateField(english, translation);
+            const coverage = fields[key] || (fields[key] = { translated: 0, total: 0 });
+            coverage.total++;
+
+            if (result.invalid) {
+                invalid.push({ scope, id, field, message: result.invalid });
+            } else if (result.missing) {
+                missing.push({ scope, id, field });
+            } else if (result.missingItems && result.missingItems.length > 0) {
+                result.missingItems.forEach(i => missing.push({ scope, id, field: `${field}[${i}]` }));
+            } else {
+                coverage.translated++;
+            }
+            return result.value;
+        }
+
+        const principles = (data.principles || []).map(principle => {
+            const translation = principleOverlay[principle.id] || {};
+            const translated = { ...principle };
+            PRINCIPLE_FIELDS.forEach(field => {
+                translated[field] = record('principle', principle.id, field, principle[field], translation[field]);
+            });
+            return translated;
+        });
+        const principleNames = new Map(principles.map(p => [p.id, p.name]));
+
+        const requirements = (data.requirements || []).map(req => {
+            if (!req || typeof req !== 'object') return req;
+            const translation = requirementOverlay[req.id] || {};
+            const translated = { ...req };
+            TRANSLATABLE_FIELDS.forEach(field => {
+                const english = getPath(req, field);
+                const value = record('requirement', req.id, field, english, getPath(translation, field));
+                if (value !== english) setPath(translated, field, value);
+            });
+            if (principleNames.has(req.principle)) translated.principleName = principleNames.get(req.principle);
+            return translated;
+        });
+
+        const knownIds = new Set(requirements.map(req => req && req.id));
+        const knownPrinciples = new Set(principles.map(p => p.id));
+        const unknown = [
+            ...Object.keys(requirementOverlay).filter(id => !knownIds.has(id)),
+            ...Object.keys(principleOverlay).filter(id => !knownPrinciples.has(id))
+        ];
+
+        const version = data.metadata ? data.metadata.version : undefined;
+
+        return {
+            data: { ...data, principles, requirements },
+            report: {
+                locale,
+                version: source.version || null,
+                outdated: Boolean(overlay && source.version && version && source.version !== version),
+                fields,
+                missing,
+                invalid,
+                unknown
+            }
+        };
+    }
+
+    /**
+     * An overlay holding only what still needs work, pre-filled with the text
+     * in use now (English, or the partial translation for lists), for a
+     * translator to fill in and merge back.
+     */
+    function buildOverlayTemplate(translated, report) {
+        const template = { locale: report.locale, version: translated.metadata ? translated.metadata.version : undefined, principles: {}, requirements: {} };
+        const entries = [...report.missing, ...report.invalid];
+
+        entries.forEach(({ scope, id, field }) => {
+            const path = field.replace(/\[\d+\]$/, '');
+            const source = scope === 'principle'
+                ? translated.principles.find(p => p.id === id)
+                : translated.requirements.find(req => req && req.id === id);
+            if (!source) return;
+
+            const group = scope === 'principle' ? template.principles : template.requirements;
+            group[id] = group[id] || {};
+            setPath(group[id], path, getPath(source, path));
+        });
+
+        return template;
+    }
+
+    function summarizeCoverage(report) {
+        return Object.values(report.fields).reduce((sum, field) => ({
+            translated: sum.translated + field.translated,
+            total: sum.total + field.total
+        }), { translated: 0, total: 0 });
+    }
+
+    return {
+        DEFAULT_LOCALE,
+        TRANSLATABLE_FIELDS,
+        PRINCIPLE_FIELDS,
+        createTranslator,
+        compareCatalogs,
+        negotiateLocale,
+        translateDataset,
+        buildOverlayTemplate,
+        summarizeCoverage
+    };
+});
@@ -0,0 +1,254 @@
+/**
+ * AIUC-1 OSCAL Export
+ * Builds NIST OSCAL catalog and component-definition documents from the
+ * standards dataset, shared by the navigator (loaded as a script) and
+ * bin/validate-oscal.js (required from Node). Nothing here touches the DOM.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./requirements-query'));
+    } else {
+        root.OSCAL = factory(root.RequirementsQuery);
+    }
+})(typeof self !== 'undefined' ? self : this, function (RequirementsQuery) {
+    'use strict';
+
+    const OSCAL_VERSION = '1.1.2';
+    const OSCAL_NAMESPACE = 'https://www.aiuc-1.com/ns/oscal';
+    const CATALOG_FILENAME = 'aiuc-1-oscal-catalog.json';
+
+    // Tracker statuses expressed as OSCAL implementation-status values
+    const IMPLEMENTATION_STATUSES = {
+        'not-started': 'planned',
+        'in-progress': 'partial',
+        'implemented': 'implemented',
+        'not-applicable': 'not-applicable'
+    };
+
+    // RFC 4122 version 4, as OSCAL requires for every uuid field
+    function generateUUID() {
+        if (typeof crypto !== 'undefined' && crypto.randomUUID) return crypto.randomUUID();
+
+        const bytes = crypto.getRandomValues(new Uint8Array(16));
+        bytes[6] = (bytes[6] & 0x0f) | 0x40;
+        bytes[8] = (bytes[8] & 0x3f) | 0x80;
+        const hex = [...bytes].map(b => b.toString(16).padStart(2, '0')).join('');
+        return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+    }
+
+    function getOSCALId(id) {
+        return String(id).toLowerCase();
+    }
+
+    /**
+     * OSCAL rejects empty values and leading or trailing whitespace, so blank
+     * properties are dropped rather than exported.
+     */
+    function oscalProp(name, value, options = {}) {
+        const text = value === null || value === undefined ? '' : String(value).trim();
+        return text ? { name, ...(options.ns === false ? {} : { ns: OSCAL_NAMESPACE }), value: text, ...(options.class ? { class: options.class } : {}) } : null;
+    }
+
+    // A custom dataset may have no release date; OSCAL only wants one if it is real
+    function buildMetadata(data, title, version) {
+        return {
+            title,
+            ...(data.metadata.lastUpdated ? { published: `${data.metadata.lastUpdated}T00:00:00Z` } : {}),
+            'last-modified': new Date().toISOString(),
+            version,
+            'oscal-version': OSCAL_VERSION
+        };
+    }
+
+    function getFrameworkNames(data) {
+        const names = new Set();
+        data.requirements.forEach(req => {
+            Object.keys(req.frameworkMappings || {}).forEach(name => names.add(name));
+        });
+        return [...names];
+    }
+
+    /**
+     * Principles become groups, requirements become controls and control
+     * activities become statement items. Framework mappings are links to one
+     * back-matter resource per framework; pass `frameworks` to list ones no
+     * requirement maps to yet.
+     */
+    function buildCatalog(data, { frameworks = getFrameworkNames(data) } = {}) {
+        const { metadata, principles, requirements } = data;
+        const frameworkResources = new Map(frameworks.map(name => [name, generateUUID()]));
+
+        const buildControl = req => {
+            const id = getOSCALId(req.id);
+            const activities = req.controlActivities || {};
+            const itemParts = (items, prefix) => items.map((item, i) => ({
+                id: `${id}_${prefix}.${String.fromCharCode(97 + i)}`,
+                name: 'item',
+                props: [oscalProp('label', `${String.fromCharCode(97 + i)}.`, { ns: false })],
+                prose: item
+            }));
+            const parts = [{
+                id: `${id}_smt`,
+                name: 'statement',
+                prose: req.description,
+                ...(activities.shouldInclude && activities.shouldInclude.length
+                    ? { parts: itemParts(activities.shouldInclude, 'smt') }
+                    : {})
+            }];
+            if (activities.mayInclude && activities.mayInclude.length) {
+                parts.push({
+                    id: `${id}_gdn`,
+                    name: 'guidance',
+                    prose: 'Implementations may also include the following control activities.',
+                    parts: itemParts(activities.mayInclude, 'gdn')
+                });
+            }
+
+            const mappingLinks = Object.entries(req.frameworkMappings || {}).flatMap(([name, refs]) => {
+                if (!frameworkResources.has(name)) frameworkResources.set(name, generateUUID());
+                return [].concat(refs).map(ref => ({
+                    href: `#${frameworkResources.get(name)}`,
+                    rel: 'related',
+                    text: `${name}: ${ref}`
+                }));
+            });
+
+            return {
+                id,
+                class: 'requirement',
+                title: req.title,
+                props: [
+                    oscalProp('label', req.id, { ns: false }),
+                    req.retired ? oscalProp('status', 'withdrawn', { ns: false }) : null,
+                    oscalProp('requirement-status', req.status),
+                    oscalProp('frequency', req.frequency),
+                    oscalProp('control-type', req.type),
+                    oscalProp('effort', req.effort),
+                    ...RequirementsQuery.getRequirementCapabilities(req).map(c => oscalProp('capability', c)),
+                    ...(req.keywords || []).map(k => oscalProp('keyword', k))
+                ].filter(Boolean),
+                links: [
+                    { href: `${metadata.source}${req.url}`, rel: 'reference' },
+                    ...mappingLinks
+                ],
+                parts
+            };
+        };
+
+        const groups = principles.map(p => ({
+            id: getOSCALId(p.id),
+            class: 'principle',
+            title: p.name,
+            ...(p.description ? { parts: [{ id: `${getOSCALId(p.id)}_ovw`, name: 'overview', prose: p.description }] } : {}),
+            controls: requirements.filter(r => r.principle === p.id).map(buildControl)
+        }));
+
+        return {
+            catalog: {
+                uuid: generateUUID(),
+                metadata: {
+                    ...buildMetadata(data, `${metadata.standard}: ${metadata.description}`, metadata.version),
+                    links: [{ href: metadata.source, rel: 'homepage' }]
+                },
+                groups,
+                'back-matter': {
+                    resources: [...frameworkResources].map(([name, uuid]) => ({
+                        uuid,
+                        title: name,
+                        props: [oscalProp('type', 'standard', { ns: false })]
+                    }))
+                }
+            }
+        };
+    }
+
+    /**
+     * An assessed system as an OSCAL component definition: one implemented
+     * requirement per entry in `implementations` ({ req, entry } with the
+     * tracker entry), carrying status, owner, dates, notes and which control
+     * activities are done. `statusLabels` words the status in each description.
+     */
+    function buildComponentDefinition(data, system, { version = new Date().toISOString().slice(0, 10), statusLabels = {} } = {}) {
+        const profile = system.profile || {};
+        const capabilities = profile.capabilities || [];
+        const parties = new Map();
+        const partyFor = name => {
+            if (!parties.has(name)) parties.set(name, { uuid: generateUUID(), type: 'person', name });
+            return parties.get(name).uuid;
+        };
+
+        const implementedRequirements = system.implementations.map(({ req, entry }) => {
+            const id = getOSCALId(req.id);
+            const checks = entry.checks || {};
+            const statements = ['shouldInclude', 'mayInclude'].flatMap(group =>
+                ((req.controlActivities || {})[group] || []).map((item, i) => {
+                    const done = Boolean((checks[group] || [])[i]);
+                    return {
+                        'statement-id': `${id}_${group === 'shouldInclude' ? 'smt' : 'gdn'}.${String.fromCharCode(97 + i)}`,
+                        uuid: generateUUID(),
+                        description: `${done ? 'In place' : 'Not yet in place'}: ${item}`,
+                        props: [oscalProp('activity-complete', done ? 'true' : 'false')]
+                    };
+                })
+            );
+
+            return {
+                uuid: generateUUID(),
+                'control-id': id,
+                description: `${req.title}: ${statusLabels[entry.status] || entry.status}.`,
+                props: [
+                    oscalProp('implementation-status', IMPLEMENTATION_STATUSES[entry.status], { ns: false }),
+                    oscalProp('due-date', entry.dueDate),
+                    oscalProp('last-reviewed', entry.lastReviewed)
+                ].filter(Boolean),
+                ...(entry.owner ? { 'responsible-roles': [{ 'role-id': 'control-owner', 'party-uuids': [partyFor(entry.owner)] }] } : {}),
+                ...(statements.length ? { statements } : {}),
+                ...(entry.notes && entry.notes.trim() ? { remarks: entry.notes } : {})
+            };
+        });
+
+        const systemOwner = profile.owner ? partyFor(profile.owner) : null;
+        const { metadata } = data;
+
+        return {
+            'component-definition': {
+                uuid: generateUUID(),
+                metadata: {
+                    ...buildMetadata(data, `${system.name}: ${metadata.standard} Implementation`, version),
+                    roles: [
+                        { id: 'control-owner', title: 'Control Owner' },
+                        { id: 'system-owner', title: 'System Owner' }
+                    ],
+                    ...(parties.size ? { parties: [...parties.values()] } : {})
+                },
+                components: [{
+                    uuid: generateUUID(),
+                    type: 'software',
+                    title: system.name,
+                    description: profile.deployment || `AI system assessed against ${metadata.standard}.`,
+                    ...(capabilities.length
+                        ? { props: capabilities.map(c => oscalProp('capability', c)) }
+                        : {}),
+                    ...(systemOwner ? { 'responsible-roles': [{ 'role-id': 'system-owner', 'party-uuids': [systemOwner] }] } : {}),
+                    'control-implementations': [{
+                        uuid: generateUUID(),
+                        source: CATALOG_FILENAME,
+                        description: `Implementation of ${metadata.standard} ${metadata.version} requirements in scope for ${system.name}.`,
+                        'implemented-requirements': implementedRequirements
+                    }]
+                }]
+            }
+        };
+    }
+
+    return {
+        OSCAL_VERSION,
+        OSCAL_NAMESPACE,
+        CATALOG_FILENAME,
+        IMPLEMENTATION_STATUSES,
+        generateUUID,
+        buildCatalog,
+        buildComponentDefinition
+    };
+});
@@ -0,0 +1,259 @@
+/**
+ * AIUC-1 Requirement Card
+ * The read-only parts of a requirement as HTML: header, control activities,
+ * getting started guide, framework mappings and keywords. Shared by the
+ * navigator's requirement modal and the embeddable elements so both render
+ * the same markup, translated through whichever catalog the page loaded.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.RequirementCard = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const EFFORT_ICONS = { low: '🪶', medium: '🧱', high: '⚓' };
+
+    function escapeHTML(value) {
+        return String(value === null || value === undefined ? '' : value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    /**
+     * Absolute http(s) URLs only, so a loaded dataset cannot smuggle in
+     * javascript: or data: links. Returns null for anything else.
+     */
+    function getSafeURL(value) {
+        try {
+            const url = new URL(String(value));
+            return url.protocol === 'http:' || url.protocol === 'https:' ? url.href : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Dataset URLs are paths on aiuc-1.com; anything else falls back to the home page
+    function getRequirementURL(req) {
+        const path = typeof req.url === 'string' && /^\/(?!\/)/.test(req.url) ? req.url : '/';
+        return `https://www.aiuc-1.com${path}`;
+    }
+
+    /**
+     * `t` and `has` come from an I18n translator. They are called on every
+     * render, so a page that switches language can pass functions that read
+     * its current translator. `highlight` escapes text and may mark search
+     * matches in it.
+     */
+    function createCardRenderer({ t, has, highlight = escapeHTML }) {
+        // Dataset values such as "Mandatory" show translated when the catalog knows
+        // them; values only a custom dataset uses show as they are
+        function formatValue(group, value) {
+            const key = `${group}.${value}`;
+            return has(key) ? t(key) : value;
+        }
+
+        function formatFrequency(frequency) {
+            const match = /^Every (\d+) months?$/i.exec(frequency || '');
+            return match ? t('frequency.everyMonths', { count: Number(match[1]) }) : frequency || '';
+        }
+
+        function getEffortDisplay(effort) {
+            return EFFORT_ICONS[effort] ? `${EFFORT_ICONS[effort]} ${escapeHTML(t(`effort.${effort}`))}` : escapeHTML(effort || '');
+        }
+
+        function getEffortLabel(effort) {
+            return EFFORT_ICONS[effort] ? t(`effortLabel.${effort}`) : '';
+        }
+
+        function renderStatusBadges(req, className = '') {
+            return `
+                <span class="${className} status-badge ${escapeHTML(String(req.status).toLowerCase())}">${escapeHTML(formatValue('status', req.status))}</span>
+                ${req.retired ? `<span class="${className} status-badge retired">${escapeHTML(t('status.retired'))}</span>` : ''}
+            `;
+        }
+
+        function renderHeader(req) {
+            return `
+                <div class="modal-header">
+                    <div class="modal-id" data-principle="${escapeHTML(req.principle)}">${escapeHTML(req.id)} · ${escapeHTML(req.principleName)}</div>
+                    <h2 class="modal-title">${highlight(req.title)}</h2>
+                    <div class="modal-meta">
+                        ${renderStatusBadges(req, 'modal-badge')}
+                        <span class="modal-badge">
+                            <svg viewBox="0 0 16 16" fill="none" stroke="currentColor">
+                                <circle cx="8" cy="8" r="6"/>
+                                <path d="M8 4v4l2.5 2.5"/>
+                            </svg>
+                            ${escapeHTML(formatFrequency(req.frequency))}
+                        </span>
+                        <span class="modal-badge">
+                            <svg viewBox="0 0 16 16" fill="none" stroke="currentColor">
+                                <path d="M8 2v12M2 8h12"/>
+                            </svg>
+                            ${escapeHTML(formatValue('type', req.type))}
+                        </span>
+                        ${req.effort ? `<span class="modal-badge effort-badge effort-${escapeHTML(req.effort)}">${getEffortDisplay(req.effort)}</span>` : ''}
+                    </div>
+                    <p class="modal-description">${highlight(req.description)}</p>
+                </div>
+            `;
+        }
+
+        function renderActivityList(titleKey, items, className) {
+            if (!items || items.length === 0) return '';
+
+            return `
+                <div class="modal-section">
+                    <h3 class="modal-section-title">${escapeHTML(t(titleKey))}</h3>
+                    <ul class="control-list ${className}">
+                        ${items.map(item => `<li>${highlight(item)}</li>`).join('')}
+                    </ul>
+                </div>
+            `;
+        }
+
+        function renderControlActivities(activities) {
+            return `
+                ${renderActivityList('modal.shouldInclude', (activities || {}).shouldInclude, 'should')}
+                ${renderActivityList('modal.mayInclude', (activities || {}).mayInclude, 'may')}
+            `;
+        }
+
+        // `templateActions` is markup placed beside the example template's label
+        function renderGettingStarted(gettingStarted, { templateActions = '' } = {}) {
+            if (!gettingStarted) return '';
+
+            const { overview, steps, tools, template, tip } = gettingStarted;
+
+            return `
+                <div class="modal-section">
+                    <div class="getting-started">
+                        <h3 class="getting-started-title">
+                            <svg viewBox="0 0 16 16" fill="none" stroke="currentColor" stroke-width="1.5">
+                                <path d="M8 1v14M1 8h14" stroke-linecap="round"/>
+                                <circle cx="8" cy="8" r="6"/>
+                            </svg>
+                            ${escapeHTML(t('modal.gettingStarted'))}
+                        </h3>
+                        ${overview ? `<p class="getting-started-overview">${highlight(overview)}</p>` : ''}
+                        ${steps && steps.length > 0 ? `
+                            <div class="getting-started-steps">
+                                ${steps.map((step, i) => `
+                                    <div class="getting-started-step">
+                                        <span class="step-number">${i + 1}</span>
+                                        <span class="step-text">${highlight(step)}</span>
+                                    </div>
+                                `).join('')}
+                            </div>
+                        ` : ''}
+                        ${tools && tools.length > 0 ? `
+                            <div class="getting-started-tools">
+                                <div class="tools-label">${escapeHTML(t('modal.potentialTools'))}</div>
+                                <div class="tools-grid">
+                                    ${tools.map(tool => {
+                                        const url = getSafeURL(tool.url);
+                                        const badge = `
+                                            ${escapeHTML(tool.name)}
+                                            <span class="tool-type ${escapeHTML(tool.type)}">${escapeHTML(tool.type)}</span>
+                                        `;
+                                        return url
+                                            ? `<a href="${escapeHTML(url)}" target="_blank" rel="noopener noreferrer" class="tool-badge">${badge}</a>`
+                                            : `<span class="tool-badge">${badge}</span>`;
+                                    }).join('')}
+                                </div>
+                            </div>
+                        ` : ''}
+                        ${template && template.columns && template.columns.length > 0 ? `
+                            <div class="getting-started-template">
+                                <div class="template-header">
+                                    <div class="template-label">${escapeHTML(t('modal.exampleTemplate'))}</div>
+                                    ${templateActions ? `<div class="template-actions">${templateActions}</div>` : ''}
+                                </div>
+                                ${template.description ? `<p class="template-description">${escapeHTML(template.description)}</p>` : ''}
+                                <div class="template-table-wrapper">
+                                    <table class="template-table">
+                                        <thead>
+                                            <tr>${template.columns.map(col => `<th>${escapeHTML(col)}</th>`).join('')}</tr>
+                                        </thead>
+                                        <tbody>
+                                            ${(template.rows || []).map(row => `
+                                                <tr>${row.map(cell => `<td>${escapeHTML(cell)}</td>`).join('')}</tr>
+                                            `).join('')}
+                                        </tbody>
+                                    </table>
+                                </div>
+                            </div>
+                        ` : ''}
+                        ${tip ? `
+                            <div class="getting-started-tip">
+                                <span class="tip-icon">💡</span>
+                                <span class="tip-text">${highlight(tip)}</span>
+                            </div>
+                        ` : ''}
+                    </div>
+                </div>
+            `;
+        }
+
+        // One card per framework, with whatever mappings the dataset carries (custom ones included)
+        function renderFrameworkMappings(req) {
+            const mappings = Object.entries(req.frameworkMappings || {});
+            if (mappings.length === 0) return '';
+
+            return `
+                <div class="modal-section">
+                    <h3 class="modal-section-title">${escapeHTML(t('modal.frameworkMappings'))}</h3>
+                    <div class="framework-grid">
+                        ${mappings.map(([name, refs]) => `
+                            <div class="framework-card">
+                                <div class="framework-card-title">${escapeHTML(name)}</div>
+                                <div class="framework-card-refs">${highlight([].concat(refs).join(', '))}</div>
+                            </div>
+                        `).join('')}
+                    </div>
+                </div>
+            `;
+        }
+
+        function renderKeywords(req) {
+            if (!req.keywords || req.keywords.length === 0) return '';
+
+            return `
+                <div class="modal-section">
+                    <h3 class="modal-section-title">${escapeHTML(t('modal.keywords'))}</h3>
+                    <div class="keywords-list">
+                        ${req.keywords.map(kw => `<span class="keyword-tag">${highlight(kw)}</span>`).join('')}
+                    </div>
+                </div>
+            `;
+        }
+
+        return {
+            formatValue,
+            formatFrequency,
+            getEffortDisplay,
+            getEffortLabel,
+            renderStatusBadges,
+            renderHeader,
+            renderControlActivities,
+            renderGettingStarted,
+            renderFrameworkMappings,
+            renderKeywords
+        };
+    }
+
+    return {
+        EFFORT_ICONS,
+        escapeHTML,
+        getSafeURL,
+        getRequirementURL,
+        createCardRenderer
+    };
+});
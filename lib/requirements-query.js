@@ -0,0 +1,533 @@
+/**
+ * AIUC-1 Requirements Query
+ * Filtering, sorting, search, crosswalk and related-requirement lookups
+ * over the standards dataset, shared by the navigator (loaded as a script)
+ * and bin/aiuc1.js (required from Node). Nothing here touches the DOM.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.RequirementsQuery = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const FRAMEWORK_ABBREVIATIONS = {
+        'EU AI Act': 'EU',
+        'ISO 42001': 'ISO',
+        'NIST AI RMF': 'NIST',
+        'OWASP Top 10': 'OWASP',
+        'MITRE ATLAS': 'MITRE',
+        'CSA AICM': 'CSA'
+    };
+
+    const EFFORT_ORDER = { low: 1, medium: 2, high: 3 };
+
+    const DEFAULT_FILTERS = {
+        principle: 'all',
+        status: 'all',
+        framework: 'all',
+        capabilities: [],
+        effort: [],
+        type: [],
+        showRetired: false,
+        search: ''
+    };
+
+    const SORTABLE_COLUMNS = ['relevance', 'id', 'title', 'effort', 'type', 'capabilities'];
+
+    function getRequirementCapabilities(req) {
+        return String(req.capabilities || 'Universal').split(',').map(c => c.trim()).filter(Boolean);
+    }
+
+    // ============================================
+    // Filtering & Sorting
+    // ============================================
+
+    function matchesFilters(req, filters, searchResults) {
+        // Retired requirements stay hidden unless asked for
+        if (req.retired && !filters.showRetired) {
+            return false;
+        }
+
+        // Principle filter
+        if (filters.principle !== 'all' && req.principle !== filters.principle) {
+            return false;
+        }
+
+        // Status filter
+        if (filters.status !== 'all' && req.status !== filters.status) {
+            return false;
+        }
+
+        // Capability filter: Universal requirements apply to every system
+        if (filters.capabilities.length > 0) {
+            const capabilities = getRequirementCapabilities(req);
+            const applies = capabilities.includes('Universal') ||
+                capabilities.some(c => filters.capabilities.includes(c));
+            if (!applies) return false;
+        }
+
+        // Effort filter
+        if (filters.effort.length > 0 && !filters.effort.includes(req.effort)) {
+            return false;
+        }
+
+        // Type filter
+        if (filters.type.length > 0 && !filters.type.includes(req.type)) {
+            return false;
+        }
+
+        // Framework filter: "OWASP" matches "OWASP Top 10"
+        if (filters.framework !== 'all') {
+            const hasFramework = req.frameworkMappings &&
+                Object.keys(req.frameworkMappings).some(fw =>
+                    fw.toLowerCase().includes(filters.framework.toLowerCase())
+                );
+            if (!hasFramework) return false;
+        }
+
+        // Search filter
+        if (searchResults && !searchResults.scores.has(req.id)) {
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Sort in place. Relevance only means something while searching, so
+     * without search results it falls back to ID order.
+     */
+    function sortRequirements(requirements, sort, searchResults) {
+        const column = sort.column === 'relevance' && !searchResults ? 'id' : sort.column;
+
+        return requirements.sort((a, b) => {
+            let aVal, bVal;
+
+            switch (column) {
+                case 'relevance':
+                    // Best match first regardless of direction; ties keep ID order
+                    return searchResults.scores.get(b.id) - searchResults.scores.get(a.id);
+                case 'id':
+                    aVal = a.id;
+                    bVal = b.id;
+                    break;
+                case 'title':
+                    aVal = a.title.toLowerCase();
+                    bVal = b.title.toLowerCase();
+                    break;
+                case 'effort':
+                    aVal = EFFORT_ORDER[a.effort] || 0;
+                    bVal = EFFORT_ORDER[b.effort] || 0;
+                    break;
+                case 'type':
+                    aVal = a.type;
+                    bVal = b.type;
+                    break;
+                case 'capabilities':
+                    // Universal first, then by the specific capabilities listed
+                    aVal = `${a.capabilities === 'Universal' ? 0 : 1}${getRequirementCapabilities(a).sort().join(',')}`;
+                    bVal = `${b.capabilities === 'Universal' ? 0 : 1}${getRequirementCapabilities(b).sort().join(',')}`;
+                    break;
+                default:
+                    aVal = a.id;
+                    bVal = b.id;
+            }
+
+            if (sort.direction === 'asc') {
+                return aVal < bVal ? -1 : aVal > bVal ? 1 : 0;
+            } else {
+                return aVal > bVal ? -1 : aVal < bVal ? 1 : 0;
+            }
+        });
+    }
+
+    /**
+     * Filter, search and sort in one go, as the requirements table does.
+     * Pass a prebuilt search index to avoid rebuilding it for every query.
+     */
+    function queryRequirements(requirements, filters = {}, sort = {}, { index, getFrameworkAbbrev } = {}) {
+        const activeFilters = { ...DEFAULT_FILTERS, ...filters };
+        const searchResults = activeFilters.search
+            ? searchRequirements(index || buildSearchIndex(requirements, { getFrameworkAbbrev }), activeFilters.search)
+            : null;
+
+        const results = requirements.filter(req => matchesFilters(req, activeFilters, searchResults));
+        sortRequirements(results, { column: 'id', direction: 'asc', ...sort }, searchResults);
+        return { requirements: results, searchResults };
+    }
+
+    // ============================================
+    // Search
+    // ============================================
+
+    const SEARCH_FIELD_WEIGHTS = {
+        id: 10,
+        title: 5,
+        keywords: 4,
+        frameworks: 3,
+        description: 2,
+        principle: 2,
+        activities: 1.5,
+        gettingStarted: 1
+    };
+
+    const SEARCH_FIELD_ALIASES = {
+        id: 'id',
+        title: 'title',
+        kw: 'keywords',
+        keyword: 'keywords',
+        fw: 'frameworks',
+        framework: 'frameworks',
+        desc: 'description',
+        description: 'description',
+        p: 'principle',
+        principle: 'principle',
+        ca: 'activities',
+        control: 'activities',
+        gs: 'gettingStarted'
+    };
+
+    function tokenize(text) {
+        return String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+    }
+
+    function getDefaultFrameworkAbbrev(framework) {
+        return FRAMEWORK_ABBREVIATIONS[framework] || framework;
+    }
+
+    /**
+     * Tokenize every searchable field once. getFrameworkAbbrev lets callers
+     * with custom frameworks make their short names searchable too.
+     */
+    function buildSearchIndex(requirements, { getFrameworkAbbrev = getDefaultFrameworkAbbrev } = {}) {
+        const vocabulary = new Set();
+        const docs = requirements.map(req => {
+            const activities = req.controlActivities || {};
+            const gettingStarted = req.gettingStarted || {};
+            const template = gettingStarted.template || {};
+            const fields = {
+                id: tokenize(req.id),
+                title: tokenize(req.title),
+                keywords: tokenize((req.keywords || []).join(' ')),
+                frameworks: tokenize(Object.entries(req.frameworkMappings || {})
+                    .map(([name, refs]) => `${name} ${getFrameworkAbbrev(name)} ${[].concat(refs).join(' ')}`).join(' ')),
+                description: tokenize(req.description),
+                principle: tokenize(`${req.principle} ${req.principleName}`),
+                activities: tokenize([...(activities.shouldInclude || []), ...(activities.mayInclude || [])].join(' ')),
+                gettingStarted: tokenize([
+                    gettingStarted.overview,
+                    ...(gettingStarted.steps || []),
+                    ...(gettingStarted.tools || []).map(tool => tool.name),
+                    template.description,
+                    ...(template.columns || []),
+                    ...(template.rows || []).flat(),
+                    gettingStarted.tip
+                ].filter(Boolean).join(' '))
+            };
+            Object.values(fields).forEach(tokens => tokens.forEach(token => vocabulary.add(token)));
+            return { req, fields };
+        });
+
+        return { docs, vocabulary: [...vocabulary] };
+    }
+
+    /**
+     * Parse a query into clauses. Supports "quoted phrases", field prefixes
+     * (fw:nist, kw:opt-out, id:B0) and negation (-voice).
+     */
+    function parseSearchQuery(query) {
+        const clauses = [];
+        const pattern = /(-)?(?:([a-z]+):)?(?:"([^"]*)"?|(\S+))/gi;
+        let match;
+
+        while ((match = pattern.exec(query)) !== null) {
+            if (match[0] === '') {
+                pattern.lastIndex++;
+                continue;
+            }
+            const [, negate, prefix, quoted, bare] = match;
+            const field = prefix ? SEARCH_FIELD_ALIASES[prefix.toLowerCase()] : null;
+            // An unknown prefix is part of the term (e.g. "LLM01:25")
+            const text = prefix && !field ? `${prefix}:${quoted !== undefined ? quoted : bare}` : (quoted !== undefined ? quoted : bare);
+            const tokens = tokenize(text);
+            if (tokens.length === 0) continue;
+
+            clauses.push({ tokens, field, negate: Boolean(negate), phrase: quoted !== undefined || tokens.length > 1 });
+        }
+
+        return clauses;
+    }
+
+    /**
+     * How well each vocabulary token matches a query term: 1 exact, 0.7 word
+     * prefix, 0.5 within edit distance 1 (2 for terms of 8+ characters).
+     */
+    function expandSearchTerm(term, vocabulary, allowFuzzy) {
+        const matches = new Map();
+        const maxDistance = term.length >= 8 ? 2 : 1;
+
+        vocabulary.forEach(token => {
+            if (token === term) {
+                matches.set(token, 1);
+            } else if (token.startsWith(term)) {
+                matches.set(token, 0.7);
+            } else if (allowFuzzy && term.length >= 4 && Math.abs(token.length - term.length) <= maxDistance &&
+                levenshtein(term, token, maxDistance) <= maxDistance) {
+                matches.set(token, 0.5);
+            }
+        });
+
+        return matches;
+    }
+
+    function levenshtein(a, b, limit) {
+        let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            let rowMin = i;
+            for (let j = 1; j <= b.length; j++) {
+                current[j] = Math.min(
+                    previous[j] + 1,
+                    current[j - 1] + 1,
+                    previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+                );
+                rowMin = Math.min(rowMin, current[j]);
+            }
+            // Stop early once every path is over the limit
+            if (rowMin > limit) return limit + 1;
+            previous = current;
+        }
+
+        return previous[b.length];
+    }
+
+    function scoreClause(clause, doc, expansions, matchedTokens) {
+        const fields = clause.field ? [clause.field] : Object.keys(SEARCH_FIELD_WEIGHTS);
+        let score = 0;
+
+        fields.forEach(field => {
+            const tokens = doc.fields[field] || [];
+            let quality = 0;
+            const hits = [];
+
+            if (clause.phrase) {
+                // Consecutive tokens; only the last may be a prefix
+                for (let start = 0; start + clause.tokens.length <= tokens.length; start++) {
+                    const qualities = clause.tokens.map((term, i) => {
+                        const token = tokens[start + i];
+                        if (token === term) return 1;
+                        return i === clause.tokens.length - 1 && token.startsWith(term) ? 0.7 : 0;
+                    });
+                    if (qualities.every(q => q > 0)) {
+                        quality = Math.max(quality, Math.min(...qualities));
+                        hits.push(...tokens.slice(start, start + clause.tokens.length));
+                    }
+                }
+            } else {
+                const expansion = expansions.get(clause.tokens[0]);
+                tokens.forEach(token => {
+                    const q = expansion.get(token);
+                    if (q) {
+                        quality = Math.max(quality, q);
+                        hits.push(token);
+                    }
+                });
+            }
+
+            if (quality > 0) {
+                score += SEARCH_FIELD_WEIGHTS[field] * quality;
+                hits.forEach(token => matchedTokens.add(token));
+            }
+        });
+
+        return score;
+    }
+
+    /**
+     * Score every requirement against the query. Returns the scores of the
+     * requirements that match by ID, plus the tokens that matched so
+     * callers can highlight them.
+     */
+    function searchRequirements(index, query) {
+        const clauses = parseSearchQuery(query);
+        const expansions = new Map();
+
+        clauses.filter(c => !c.phrase).forEach(clause => {
+            const term = clause.tokens[0];
+            // IDs are matched literally: id:B0 should not fuzzily match C001
+            if (!expansions.has(term)) {
+                expansions.set(term, expandSearchTerm(term, index.vocabulary, clause.field !== 'id'));
+            }
+        });
+
+        const scores = new Map();
+        const matchedTokens = new Set();
+
+        index.docs.forEach(doc => {
+            const docTokens = new Set();
+            let total = 0;
+
+            const matches = clauses.every(clause => {
+                const score = scoreClause(clause, doc, expansions, clause.negate ? new Set() : docTokens);
+                total += score;
+                return clause.negate ? score === 0 : score > 0;
+            });
+
+            if (matches) {
+                scores.set(doc.req.id, total);
+                docTokens.forEach(token => matchedTokens.add(token));
+            }
+        });
+
+        return { scores, matchedTokens };
+    }
+
+    function buildHighlightPattern(tokens) {
+        if (tokens.size === 0) return null;
+
+        const alternatives = [...tokens]
+            .sort((a, b) => b.length - a.length)
+            .map(token => token.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+        return new RegExp(`(?<![\\p{L}\\p{N}])(${alternatives.join('|')})(?![\\p{L}\\p{N}])`, 'giu');
+    }
+
+    // ============================================
+    // Crosswalk
+    // ============================================
+
+    /**
+     * One entry per external control, listing every requirement mapped to
+     * it, ordered by framework and then naturally by reference.
+     */
+    function buildCrosswalkIndex(requirements, frameworkOrder = Object.keys(FRAMEWORK_ABBREVIATIONS)) {
+        const index = new Map();
+
+        requirements.forEach(req => {
+            Object.entries(req.frameworkMappings || {}).forEach(([framework, refs]) => {
+                (Array.isArray(refs) ? refs : [refs]).forEach(ref => {
+                    const key = `${framework}\u0000${ref}`;
+                    if (!index.has(key)) index.set(key, { framework, ref, requirements: [] });
+                    index.get(key).requirements.push(req);
+                });
+            });
+        });
+
+        // Frameworks missing from the order go last rather than first
+        const position = framework => {
+            const i = frameworkOrder.indexOf(framework);
+            return i === -1 ? frameworkOrder.length : i;
+        };
+        return [...index.values()].sort((a, b) =>
+            position(a.framework) - position(b.framework) ||
+            a.framework.localeCompare(b.framework) ||
+            a.ref.localeCompare(b.ref, undefined, { numeric: true })
+        );
+    }
+
+    function searchCrosswalk(index, framework, query) {
+        const needle = query.toLowerCase().trim();
+
+        return index.filter(entry => {
+            if (framework !== 'all' && entry.framework !== framework) return false;
+            return !needle || entry.ref.toLowerCase().includes(needle);
+        });
+    }
+
+    // ============================================
+    // Related Requirements
+    // ============================================
+
+    const RELATION_WEIGHTS = { keyword: 2, reference: 1, principle: 0.5 };
+
+    /**
+     * Score how much each pair of requirements overlaps: shared keywords,
+     * shared framework references and a shared principle. An item many
+     * requirements cite says little about any one pair, so each shared item
+     * counts 1 / log2(n), where n is how many requirements cite it.
+     * Returns each requirement's relations, best first, and the pairs as
+     * edges for the graph.
+     */
+    function buildRelationIndex(requirements) {
+        const owners = new Map();
+        const addOwner = (key, label, req) => {
+            if (!owners.has(key)) owners.set(key, { label, ids: new Set() });
+            owners.get(key).ids.add(req.id);
+        };
+
+        requirements.forEach(req => {
+            (req.keywords || []).forEach(keyword => {
+                addOwner(`keyword\u0000${String(keyword).toLowerCase()}`, { keyword }, req);
+            });
+            Object.entries(req.frameworkMappings || {}).forEach(([framework, refs]) => {
+                [].concat(refs).forEach(ref => addOwner(`reference\u0000${framework}\u0000${ref}`, { framework, ref }, req));
+            });
+        });
+
+        const order = new Map(requirements.map((req, i) => [req.id, i]));
+        const pairs = new Map();
+        const getPair = (a, b) => {
+            const [source, target] = order.get(a) < order.get(b) ? [a, b] : [b, a];
+            const key = `${source}\u0000${target}`;
+            if (!pairs.has(key)) {
+                pairs.set(key, { source, target, score: 0, keywords: [], references: [], samePrinciple: false });
+            }
+            return pairs.get(key);
+        };
+
+        owners.forEach(({ label, ids }, key) => {
+            if (ids.size < 2) return;
+            const kind = key.slice(0, key.indexOf('\u0000'));
+            const weight = RELATION_WEIGHTS[kind] / Math.log2(ids.size);
+            const list = [...ids];
+
+            list.forEach((a, i) => list.slice(i + 1).forEach(b => {
+                const pair = getPair(a, b);
+                pair.score += weight;
+                if (kind === 'keyword') pair.keywords.push(label.keyword);
+                else pair.references.push(label);
+            }));
+        });
+
+        requirements.forEach((a, i) => requirements.slice(i + 1).forEach(b => {
+            if (a.principle !== b.principle) return;
+            const pair = getPair(a.id, b.id);
+            pair.score += RELATION_WEIGHTS.principle;
+            pair.samePrinciple = true;
+        }));
+
+        const edges = [...pairs.values()].map(pair => ({ ...pair, score: Math.round(pair.score * 100) / 100 }));
+        const related = new Map(requirements.map(req => [req.id, []]));
+        edges.forEach(edge => {
+            const { source, target, ...overlap } = edge;
+            related.get(source).push({ id: target, ...overlap });
+            related.get(target).push({ id: source, ...overlap });
+        });
+        related.forEach(list => list.sort((a, b) => b.score - a.score || order.get(a.id) - order.get(b.id)));
+
+        return { related, edges };
+    }
+
+    return {
+        FRAMEWORK_ABBREVIATIONS,
+        EFFORT_ORDER,
+        DEFAULT_FILTERS,
+        SORTABLE_COLUMNS,
+        getRequirementCapabilities,
+        matchesFilters,
+        sortRequirements,
+        queryRequirements,
+        tokenize,
+        buildSearchIndex,
+        parseSearchQuery,
+        searchRequirements,
+        buildHighlightPattern,
+        buildCrosswalkIndex,
+        searchCrosswalk,
+        buildRelationIndex
+    };
+});
@@ -0,0 +1,294 @@
+/**
+ * File storage for the sync server: every workspace lives in one JSON
+ * document that is replaced atomically on each change, and every change is
+ * appended to a JSON Lines audit log.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// The per-requirement fields the navigator's tracker keeps
+const TRACKER_FIELDS = ['status', 'owner', 'dueDate', 'lastReviewed', 'notes', 'checks'];
+// The navigator's IMPLEMENTATION_STATUSES
+const TRACKER_STATUSES = ['not-started', 'in-progress', 'implemented', 'not-applicable'];
+const WORKSPACE_FIELDS = ['name', 'profile', 'roadmap'];
+const ID_PATTERN = /^[A-Za-z0-9_.-]{1,64}$/;
+// IDs become keys of plain objects, and these would reach Object.prototype
+const RESERVED_IDS = ['__proto__', 'constructor', 'prototype'];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_COMMENT_LENGTH = 5000;
+const MAX_TEXT_LENGTH = 20000;
+
+const isText = value => typeof value === 'string' && value.length <= MAX_TEXT_LENGTH;
+const isDate = value => value === '' || (typeof value === 'string' && DATE_PATTERN.test(value));
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Stored tracker values are rendered by every client, so only these shapes are accepted
+const TRACKER_FIELD_CHECKS = {
+    status: value => TRACKER_STATUSES.includes(value),
+    owner: isText,
+    dueDate: isDate,
+    lastReviewed: isDate,
+    notes: isText,
+    checks: value => isPlainObject(value) && Object.entries(value).every(([group, items]) =>
+        ['shouldInclude', 'mayInclude'].includes(group) &&
+        Array.isArray(items) && items.every(item => item === null || typeof item === 'boolean'))
+};
+
+function fail(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    throw error;
+}
+
+function isValidId(value) {
+    return typeof value === 'string' && ID_PATTERN.test(value) && !RESERVED_IDS.includes(value);
+}
+
+function checkId(value, label) {
+    if (!isValidId(value)) fail(400, `Invalid ${label}`);
+}
+
+function has(map, key) {
+    return Object.prototype.hasOwnProperty.call(map, key);
+}
+
+// Workspaces, trackers and comments are keyed by client-chosen IDs
+function createMap(entries = []) {
+    return Object.assign(Object.create(null), Object.fromEntries(entries));
+}
+
+function same(a, b) {
+    return JSON.stringify(a === undefined ? null : a) === JSON.stringify(b === undefined ? null : b);
+}
+
+function pick(source, keys) {
+    return Object.fromEntries(keys.filter(key => isPlainObject(source) && has(source, key) && source[key] !== undefined).map(key => [key, source[key]]));
+}
+
+function pickTrackerFields(source, reqId) {
+    const fields = pick(source, TRACKER_FIELDS);
+    Object.entries(fields).forEach(([key, value]) => {
+        if (!TRACKER_FIELD_CHECKS[key](value)) fail(400, `Invalid ${key} for requirement ${reqId}`);
+    });
+    return fields;
+}
+
+// Request bodies are parsed JSON, so anything from null to a bare string can arrive
+function checkBody(body) {
+    if (!isPlainObject(body)) fail(400, 'Request body must be a JSON object');
+    if (body.previous !== undefined && body.previous !== null && !isPlainObject(body.previous)) {
+        fail(400, 'previous must be an object');
+    }
+}
+
+function checkWorkspaceFields(fields) {
+    if (fields.name !== undefined && (typeof fields.name !== 'string' || !fields.name.trim())) {
+        fail(400, 'Workspace name must not be empty');
+    }
+    if (fields.profile !== undefined && !isPlainObject(fields.profile)) fail(400, 'Workspace profile must be an object');
+    if (fields.roadmap !== undefined && fields.roadmap !== null && !isPlainObject(fields.roadmap)) {
+        fail(400, 'Workspace roadmap must be an object');
+    }
+}
+
+/**
+ * State files written before tracker values were checked may hold anything,
+ * so entries are rebuilt on load keeping only IDs and values that would be
+ * accepted today.
+ */
+function readWorkspace(id, workspace) {
+    const tracker = Object.entries(workspace.tracker || {})
+        .filter(([reqId, entry]) => isValidId(reqId) && isPlainObject(entry))
+        .map(([reqId, entry]) => [reqId, {
+            ...Object.fromEntries(Object.entries(pick(entry, TRACKER_FIELDS)).filter(([key, value]) => TRACKER_FIELD_CHECKS[key](value))),
+            ...pick(entry, ['updatedAt', 'updatedBy'])
+        }]);
+    const comments = Object.entries(workspace.comments || {})
+        .filter(([reqId, list]) => isValidId(reqId) && Array.isArray(list));
+
+    return { ...workspace, id, tracker: createMap(tracker), comments: createMap(comments) };
+}
+
+function readState(file) {
+    if (!fs.existsSync(file)) return { revision: 0, workspaces: createMap() };
+
+    const state = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const workspaces = Object.entries(state.workspaces || {})
+        .filter(([id, workspace]) => isValidId(id) && isPlainObject(workspace))
+        .map(([id, workspace]) => [id, readWorkspace(id, workspace)]);
+    return { revision: state.revision || 0, workspaces: createMap(workspaces) };
+}
+
+function createStore(dir) {
+    fs.mkdirSync(dir, { recursive: true });
+    const statePath = path.join(dir, 'state.json');
+    const auditPath = path.join(dir, 'audit.jsonl');
+    const state = readState(statePath);
+
+    // Write-then-rename so a crash never leaves a half-written state file
+    function persist() {
+        state.revision++;
+        const temp = `${statePath}.tmp`;
+        fs.writeFileSync(temp, JSON.stringify(state, null, 2));
+        fs.renameSync(temp, statePath);
+    }
+
+    function audit(user, entries) {
+        const at = new Date().toISOString();
+        const lines = entries.map(entry => JSON.stringify({ id: crypto.randomUUID(), at, user, ...entry }));
+        if (lines.length > 0) fs.appendFileSync(auditPath, `${lines.join('\n')}\n`);
+    }
+
+    function getWorkspace(id) {
+        checkId(id, 'workspace ID');
+        if (!has(state.workspaces, id)) fail(404, `Workspace ${id} not found`);
+        return state.workspaces[id];
+    }
+
+    /**
+     * Last writer wins. A conflict is reported when a field the client
+     * changed no longer holds the value the client last saw, meaning
+     * someone else changed it in between.
+     */
+    function applyChanges(target, changes, previous, user) {
+        const conflicts = Object.keys(changes)
+            .filter(key => previous && key in previous && !same(target[key], previous[key]) && !same(target[key], changes[key]))
+            .map(key => ({ field: key, theirs: target[key], updatedBy: target.updatedBy || null, updatedAt: target.updatedAt || null }));
+
+        const changed = Object.keys(changes).filter(key => !same(target[key], changes[key]));
+        const entries = changed.map(key => ({ field: key, from: target[key] === undefined ? null : target[key], to: changes[key] }));
+
+        changed.forEach(key => {
+            target[key] = changes[key];
+        });
+        if (changed.length > 0) {
+            target.updatedAt = new Date().toISOString();
+            target.updatedBy = user;
+        }
+
+        return { conflicts, entries };
+    }
+
+    function getState() {
+        return {
+            revision: state.revision,
+            workspaces: Object.values(state.workspaces)
+        };
+    }
+
+    function getRevision() {
+        return state.revision;
+    }
+
+    function putWorkspace(id, body = {}, user) {
+        checkId(id, 'workspace ID');
+        checkBody(body);
+        const { fields, previous } = body;
+        const changes = pick(fields, WORKSPACE_FIELDS);
+        checkWorkspaceFields(changes);
+
+        const existing = has(state.workspaces, id) ? state.workspaces[id] : null;
+        if (!existing) {
+            const now = new Date().toISOString();
+            const submitted = isPlainObject(fields) && isPlainObject(fields.tracker) ? fields.tracker : {};
+            const tracker = createMap(Object.entries(submitted)
+                .filter(([reqId]) => isValidId(reqId))
+                .map(([reqId, entry]) => [reqId, { ...pickTrackerFields(entry, reqId), updatedAt: now, updatedBy: user }]));
+
+            const workspace = {
+                id,
+                name: changes.name || 'Untitled system',
+                profile: changes.profile || {},
+                roadmap: changes.roadmap || null,
+                tracker,
+                comments: createMap(),
+                createdAt: isPlainObject(fields) && typeof fields.createdAt === 'string' ? fields.createdAt : now,
+                updatedAt: now,
+                updatedBy: user
+            };
+            state.workspaces[id] = workspace;
+            audit(user, [{ action: 'create', workspaceId: id, to: workspace.name }]);
+            persist();
+            return { workspace, conflicts: [] };
+        }
+
+        const { conflicts, entries } = applyChanges(existing, changes, previous, user);
+        if (entries.length > 0) {
+            audit(user, entries.map(entry => ({ action: 'update', workspaceId: id, ...entry })));
+            persist();
+        }
+        return { workspace: existing, conflicts };
+    }
+
+    function deleteWorkspace(id, user) {
+        const workspace = getWorkspace(id);
+        delete state.workspaces[id];
+        audit(user, [{ action: 'delete', workspaceId: id, from: workspace.name }]);
+        persist();
+    }
+
+    function updateRequirement(workspaceId, reqId, body = {}, user) {
+        const workspace = getWorkspace(workspaceId);
+        checkId(reqId, 'requirement ID');
+        checkBody(body);
+        const { changes, previous } = body;
+
+        const entry = has(workspace.tracker, reqId) ? workspace.tracker[reqId] : {};
+        const result = applyChanges(entry, pickTrackerFields(changes, reqId), previous, user);
+        workspace.tracker[reqId] = entry;
+
+        if (result.entries.length > 0) {
+            audit(user, result.entries.map(item => ({ action: 'update', workspaceId, requirementId: reqId, ...item })));
+            persist();
+        }
+        return { entry, conflicts: result.conflicts };
+    }
+
+    // Clients retry queued comments, so a comment ID already stored is a no-op
+    function addComment(workspaceId, reqId, body = {}, user) {
+        const workspace = getWorkspace(workspaceId);
+        checkId(reqId, 'requirement ID');
+        checkBody(body);
+        const { id, text } = body;
+        if (typeof text !== 'string' || !text.trim()) fail(400, 'Comment must not be empty');
+        if (text.length > MAX_COMMENT_LENGTH) fail(400, `Comment is longer than ${MAX_COMMENT_LENGTH} characters`);
+        if (id !== undefined) checkId(id, 'comment ID');
+
+        if (!has(workspace.comments, reqId)) workspace.comments[reqId] = [];
+        const comments = workspace.comments[reqId];
+        const existing = id && comments.find(comment => comment.id === id);
+        if (existing) return existing;
+
+        const comment = { id: id || crypto.randomUUID(), author: user, text: text.trim(), createdAt: new Date().toISOString() };
+        comments.push(comment);
+        audit(user, [{ action: 'comment', workspaceId, requirementId: reqId, to: comment.text }]);
+        persist();
+        return comment;
+    }
+
+    function readAudit({ workspace, requirement, limit = 100 } = {}) {
+        if (!fs.existsSync(auditPath)) return [];
+
+        return fs.readFileSync(auditPath, 'utf8')
+            .split('\n')
+            .filter(Boolean)
+            .map(line => JSON.parse(line))
+            .filter(entry => (!workspace || entry.workspaceId === workspace) && (!requirement || entry.requirementId === requirement))
+            .reverse()
+            .slice(0, limit);
+    }
+
+    return {
+        getState,
+        getRevision,
+        putWorkspace,
+        deleteWorkspace,
+        updateRequirement,
+        addComment,
+        readAudit
+    };
+}
+
+module.exports = { createStore, TRACKER_FIELDS, TRACKER_STATUSES, WORKSPACE_FIELDS };
@@ -0,0 +1,234 @@
+#!/usr/bin/env node
+/**
+ * Optional sync server for teams. Serves the navigator and a JSON API that
+ * shares workspaces, tracker status, notes and comments between assessors.
+ * Needs nothing beyond Node; state and the audit log are plain files.
+ *
+ * Usage: node server/sync-server.js [--port 8080] [--host 127.0.0.1] [--data server/data]
+ *
+ * There is no authentication: the X-User header only labels changes in the
+ * audit log. Bind to a private interface or put it behind your own proxy.
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const { createStore } = require('./store');
+
+const ROOT = path.join(__dirname, '..');
+const MAX_BODY_SIZE = 1024 * 1024;
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.csv': 'text/csv; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.ico': 'image/x-icon',
+    '.webmanifest': 'application/manifest+json'
+};
+
+function parseArgs(argv) {
+    const args = {
+        port: Number(process.env.PORT) || 8080,
+        host: '127.0.0.1',
+        data: path.join(__dirname, 'data')
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--port') args.port = Number(argv[++i]);
+        else if (argv[i] === '--host') args.host = argv[++i];
+        else if (argv[i] === '--data') args.data = path.resolve(argv[++i]);
+    }
+
+    return args;
+}
+
+// ============================================
+// HTTP Helpers
+// ============================================
+
+// A malformed escape such as %E0 makes decodeURIComponent throw; callers treat null as a bad path
+function decodePath(value) {
+    try {
+        return decodeURIComponent(value);
+    } catch (error) {
+        return null;
+    }
+}
+
+function sendJSON(res, status, body) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Cache-Control': 'no-store'
+    });
+    res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let size = 0;
+        const chunks = [];
+
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_SIZE) {
+                const error = new Error('Request body too large');
+                error.status = 413;
+                reject(error);
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            if (chunks.length === 0) return resolve({});
+            try {
+                resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+            } catch (error) {
+                error.status = 400;
+                error.message = 'Request body is not valid JSON';
+                reject(error);
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+// X-User labels changes; it is not an identity check
+function getUser(req) {
+    const user = String(req.headers['x-user'] || '').trim().slice(0, 100);
+    return user || 'anonymous';
+}
+
+// ============================================
+// API
+// ============================================
+
+function createRoutes(store) {
+    return [
+        ['GET', /^\/api\/health$/, () => ({ ok: true, service: 'aiuc1-navigator-sync', revision: store.getRevision() })],
+        ['GET', /^\/api\/state$/, () => store.getState()],
+        ['PUT', /^\/api\/workspaces\/([^/]+)$/, ({ params, body, user }) => store.putWorkspace(params[0], body, user)],
+        ['DELETE', /^\/api\/workspaces\/([^/]+)$/, ({ params, user }) => {
+            store.deleteWorkspace(params[0], user);
+            return { ok: true };
+        }],
+        ['PATCH', /^\/api\/workspaces\/([^/]+)\/requirements\/([^/]+)$/, ({ params, body, user }) =>
+            store.updateRequirement(params[0], params[1], body, user)],
+        ['POST', /^\/api\/workspaces\/([^/]+)\/requirements\/([^/]+)\/comments$/, ({ params, body, user }) =>
+            ({ comment: store.addComment(params[0], params[1], body, user) })],
+        ['GET', /^\/api\/audit$/, ({ query }) => ({
+            entries: store.readAudit({
+                workspace: query.get('workspace'),
+                requirement: query.get('requirement'),
+                limit: Math.min(Number(query.get('limit')) || 100, 1000)
+            })
+        })]
+    ];
+}
+
+async function handleAPI(routes, req, res, url) {
+    const route = routes.find(([method, pattern]) => method === req.method && pattern.test(url.pathname));
+    if (!route) {
+        const known = routes.some(([, pattern]) => pattern.test(url.pathname));
+        return sendJSON(res, known ? 405 : 404, { error: known ? 'Method not allowed' : 'Not found' });
+    }
+
+    const [, pattern, handler] = route;
+    const params = pattern.exec(url.pathname).slice(1).map(decodePath);
+    if (params.includes(null)) return sendJSON(res, 400, { error: 'Malformed URL' });
+    const body = ['PUT', 'PATCH', 'POST'].includes(req.method) ? await readBody(req) : {};
+    sendJSON(res, 200, await handler({ params, body, query: url.searchParams, user: getUser(req) }));
+}
+
+// ============================================
+// Static Files
+// ============================================
+
+/**
+ * Serve the app from the project root. Dotfiles and the server directory,
+ * which holds the stored state, are never served.
+ */
+function serveStatic(req, res, url) {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+        res.writeHead(405);
+        return res.end();
+    }
+
+    const pathname = decodePath(url.pathname);
+    if (pathname === null) {
+        res.writeHead(404);
+        return res.end();
+    }
+
+    const segments = pathname.split('/').filter(Boolean);
+    if (segments.some(segment => segment.startsWith('.')) || segments[0] === 'server') {
+        res.writeHead(404);
+        return res.end();
+    }
+
+    let file = path.join(ROOT, ...segments);
+    if (!file.startsWith(ROOT)) {
+        res.writeHead(404);
+        return res.end();
+    }
+    if (fs.existsSync(file) && fs.statSync(file).isDirectory()) file = path.join(file, 'index.html');
+    if (!fs.existsSync(file)) {
+        res.writeHead(404);
+        return res.end();
+    }
+
+    const headers = { 'Content-Type': CONTENT_TYPES[path.extname(file)] || 'application/octet-stream' };
+    if (req.method === 'HEAD') {
+        res.writeHead(200, headers);
+        return res.end();
+    }
+
+    // The file can still be unreadable (permissions, removed since the check), so only answer 200 once it opens
+    const stream = fs.createReadStream(file);
+    stream.on('open', () => {
+        res.writeHead(200, headers);
+        stream.pipe(res);
+    });
+    stream.on('error', error => {
+        if (res.headersSent) return res.destroy(error);
+        res.writeHead(error.code === 'ENOENT' ? 404 : 500);
+        res.end();
+    });
+}
+
+function createServer(store) {
+    const routes = createRoutes(store);
+
+    return http.createServer(async (req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+
+        try {
+            if (url.pathname.startsWith('/api/')) {
+                await handleAPI(routes, req, res, url);
+            } else {
+                serveStatic(req, res, url);
+            }
+        } catch (error) {
+            if (!error.status) console.error(error);
+            sendJSON(res, error.status || 500, { error: error.status ? error.message : 'Internal server error' });
+        }
+    });
+}
+
+function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const store = createStore(args.data);
+
+    createServer(store).listen(args.port, args.host, () => {
+        console.log(`AIUC-1 Navigator sync server on http://${args.host}:${args.port}`);
+        console.log(`Storing state in ${path.relative(process.cwd(), args.data) || '.'}`);
+    });
+}
+
+if (require.main === module) main();
+
+module.exports = { createServer };
@@ -0,0 +1,139 @@
+/**
+ * AIUC-1 Navigator service worker
+ * Precaches the app shell and standards dataset so the navigator works offline
+ */
+
+// Bump when SHELL_ASSETS changes so old shells are cleaned up
+const CACHE_VERSION = 'v7';
+const SHELL_CACHE = `aiuc1-shell-${CACHE_VERSION}`;
+const DATA_CACHE = 'aiuc1-data';
+const FONT_CACHE = 'aiuc1-fonts';
+
+const SHELL_ASSETS = [
+    './',
+    'index.html',
+    'app.js',
+    'styles.css',
+    'manifest.webmanifest',
+    'icons/icon.svg',
+    'lib/dataset-validator.js',
+    'lib/requirements-query.js',
+    'lib/requirement-card.js',
+    'lib/aiuc1-elements.js',
+    'lib/oscal.js',
+    'lib/i18n.js',
+    'locales/en.json',
+    'locales/de.json',
+    'locales/fr.json'
+];
+
+const DATA_ASSETS = [
+    'data/aiuc-1-standards.json',
+    'data/versions.json',
+    'data/aiuc-1-standards.schema.json',
+    'data/translations/aiuc-1-standards.de.json',
+    'data/translations/aiuc-1-standards.fr.json'
+];
+
+const FONT_ORIGINS = ['https://fonts.googleapis.com', 'https://fonts.gstatic.com'];
+
+// ============================================
+// Lifecycle
+// ============================================
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        Promise.all([
+            caches.open(SHELL_CACHE).then(cache => cache.addAll(SHELL_ASSETS)),
+            caches.open(DATA_CACHE).then(cache =>
+                cache.addAll(DATA_ASSETS.map(url => new Request(url, { cache: 'reload' })))
+            )
+        ]).then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith('aiuc1-shell-') && key !== SHELL_CACHE)
+                .map(key => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+// ============================================
+// Fetch Strategies
+// ============================================
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+
+    if (FONT_ORIGINS.includes(url.origin)) {
+        event.respondWith(staleWhileRevalidate(request, FONT_CACHE));
+        return;
+    }
+
+    if (url.origin !== self.location.origin) return;
+
+    // Sync server API: always live, the app queues changes itself when offline
+    if (url.pathname.includes('/api/')) return;
+
+    if (url.pathname.includes('/data/') && url.pathname.endsWith('.json')) {
+        event.respondWith(networkFirst(request, DATA_CACHE));
+        return;
+    }
+
+    event.respondWith(staleWhileRevalidate(request, SHELL_CACHE));
+});
+
+/**
+ * Datasets: always try the network so a newer standard replaces the cached
+ * copy, and fall back to the cache when offline.
+ */
+async function networkFirst(request, cacheName) {
+    const cache = await caches.open(cacheName);
+    const key = stripSearch(request.url);
+
+    try {
+        const response = await fetch(request, { cache: 'no-cache' });
+        if (response.ok) await cache.put(key, response.clone());
+        return response;
+    } catch (error) {
+        const cached = await cache.match(key);
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+/**
+ * App shell and fonts: answer from the cache immediately and refresh it in
+ * the background. Navigations ignore the query string so deep links such as
+ * ?principle=B resolve to the cached index.html.
+ */
+async function staleWhileRevalidate(request, cacheName) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request, { ignoreSearch: request.mode === 'navigate' });
+
+    const update = fetch(request)
+        .then(response => {
+            if (response.ok || response.type === 'opaque') {
+                cache.put(request.mode === 'navigate' ? stripSearch(request.url) : request, response.clone());
+            }
+            return response;
+        })
+        .catch(() => cached);
+
+    return cached || update;
+}
+
+function stripSearch(url) {
+    const parsed = new URL(url);
+    parsed.search = '';
+    parsed.hash = '';
+    return parsed.href;
+}